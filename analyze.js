@@ -1,12 +1,8 @@
 import express from "express";
-import OpenAI from "openai";
+import { complete } from "./lib/llm.js";
 
 const router = express.Router();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY, // ⚠️ ta clé doit être dans .env
-});
-
 // Petit utilitaire pour découper en batchs
 function chunkArray(array, size) {
   const chunks = [];
@@ -38,13 +34,7 @@ router.post("/analyze", async (req, res) => {
       ${text}
     `;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [{ role: "system", content: prompt }],
-      max_tokens: 800,
-    });
-
-    const analysis = completion.choices[0].message.content;
+    const { text: analysis } = await complete("batch", [{ role: "system", content: prompt }]);
 
     res.json({ user, totalEmails: emails.length, analysis });
   } catch (err) {
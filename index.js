@@ -1,14 +1,51 @@
 import express from "express";
+import crypto from "crypto";
 import cors from "cors";
-import fs from "fs";
-import path from "path";
 import dotenv from "dotenv";
 import { google } from "googleapis";
-import OpenAI from "openai";
-import Stripe from "stripe";
-import bodyParser from "body-parser";
 import { supabase } from "./supabaseClient.js";
 import reportsRouter from "./routes/reports.js";
+import jobsRouter from "./routes/jobs.js";
+import webhookRouter from "./routes/webhook.js";
+import billingRouter from "./routes/billing.js";
+import preferencesRouter from "./routes/preferences.js";
+import statsRouter from "./routes/stats.js";
+import sendersRouter from "./routes/senders.js";
+import schedulesRouter from "./routes/schedules.js";
+import deliveriesRouter from "./routes/deliveries.js";
+import webhooksRouter from "./routes/webhooks.js";
+import { stripe } from "./lib/stripe.js";
+import { requireAuth, requireAdmin, signOAuthState, verifyOAuthState } from "./lib/auth.js";
+import {
+  saveTokens,
+  getAuthorizedClient,
+  handleGoogleAuthError,
+  revokeTokens,
+  TokenStoreError,
+} from "./lib/tokenStore.js";
+import { createGmail, fetchEmails, messageToEmail } from "./lib/gmail.js";
+import {
+  AnalysisError,
+  chargeCredits,
+  getCreditsPerEmail,
+  runAnalysis,
+} from "./lib/analysis.js";
+import { serializeReport } from "./lib/reportModel.js";
+import { revealReport } from "./lib/redaction.js";
+import { planBatches } from "./lib/batchPlanner.js";
+import { startJobWorker } from "./lib/jobs.js";
+import { startScheduler } from "./lib/schedules.js";
+import { startDeliveryWorker } from "./lib/delivery.js";
+import { startWebhookWorker } from "./lib/webhooks.js";
+import { limitByIp, limitByUser, limitConcurrentAnalyses, releaseAnalysisSlot } from "./lib/rateLimit.js";
+import {
+  LedgerError,
+  consumeCredits,
+  grantCredits,
+  listTransactions,
+  postCreditTransaction,
+  reconcileBalance,
+} from "./lib/ledger.js";
 
 dotenv.config();
 
@@ -23,7 +60,6 @@ const {
  SERVER_ROOT_URL="https://resumail-backendv4.onrender.com",
 FRONTEND_URL="https://resumail.vercel.app",
   PORT = 3000,
-  TOKENS_FILE = "tokens.json",
   BATCH_SIZE = "10",
 } = process.env;
 
@@ -32,8 +68,13 @@ if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET) {
   console.error("Missing GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET in .env");
   process.exit(1);
 }
-if (!OPENAI_API_KEY) {
-  console.error("Missing OPENAI_API_KEY in .env");
+// la clé OpenAI n'est requise que pour le fournisseur LLM "openai" (cf. lib/llm.js)
+if (!OPENAI_API_KEY && (process.env.LLM_PROVIDER || "openai") === "openai") {
+  console.error("Missing OPENAI_API_KEY in .env (or set LLM_PROVIDER)");
+  process.exit(1);
+}
+if (!process.env.TOKEN_ENCRYPTION_KEY) {
+  console.error("Missing TOKEN_ENCRYPTION_KEY in .env (used to encrypt Gmail tokens)");
   process.exit(1);
 }
 if (!STRIPE_SECRET_KEY) {
@@ -46,21 +87,33 @@ if (!STRIPE_WEBHOOK_SECRET) {
 const app = express();
 // allow large JSON bodies (emails can be sizable)
 
-app.use(cors());
+// derrière le proxy de l'hébergeur : req.ip = IP du client (limitation par IP)
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS || "1"));
+app.use(cors({ exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"] }));
 app.use("/reports", reportsRouter); 
+// Stripe envoie du raw body : le webhook doit passer avant express.json()
+app.use("/webhook", webhookRouter);
 
 // 🔧 augmenter la limite du body parser
 app.use(express.json({ limit: "10mb" }));   // JSON jusqu’à 10 Mo
 app.use(express.urlencoded({ limit: "10mb", extended: true }));
 
-// OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID,
-});
-
-// Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// jobs d'analyse asynchrones (POST /jobs, GET /jobs/:id, GET /jobs/:id/events)
+app.use("/jobs", jobsRouter);
+// abonnements Stripe Billing (plans, souscription, changement de plan, portail)
+app.use("/billing", billingRouter);
+// préférences utilisateur (langue des rapports)
+app.use("/preferences", preferencesRouter);
+// statistiques par période (GET /stats?from=&to=&granularity=)
+app.use("/stats", statsRouter);
+// expéditeurs et domaines (top, plus négatifs, nouveaux)
+app.use("/senders", sendersRouter);
+// digests planifiés (CRUD + historique des exécutions)
+app.use("/schedules", schedulesRouter);
+// envoi des rapports par email (destinataires, suivi, désabonnement)
+app.use("/deliveries", deliveriesRouter);
+// webhooks sortants (endpoints, journal des livraisons, test)
+app.use("/webhooks", webhooksRouter);
 
 // Google OAuth client
 const oauth2Client = new google.auth.OAuth2(
@@ -69,22 +122,9 @@ const oauth2Client = new google.auth.OAuth2(
   `${SERVER_ROOT_URL}/auth/callback`
 );
 
-// --- tokens file (stores Gmail tokens keyed by gmail address) ---
-const tokensPath = path.resolve(process.cwd(), TOKENS_FILE);
-if (!fs.existsSync(tokensPath)) fs.writeFileSync(tokensPath, JSON.stringify({}), "utf8");
-function readTokensFile() {
-  try {
-    return JSON.parse(fs.readFileSync(tokensPath, "utf8") || "{}");
-  } catch (e) {
-    return {};
-  }
-}
-function writeTokensFile(obj) {
-  fs.writeFileSync(tokensPath, JSON.stringify(obj, null, 2), "utf8");
-}
-
 // --- helpers ---
-function getOAuth2Url() {
+// state signé (id Supabase de l'utilisateur), pour rattacher la boîte Gmail au bon compte
+function getOAuth2Url(userId) {
   const scopes = [
     "https://www.googleapis.com/auth/gmail.readonly",
     "https://www.googleapis.com/auth/userinfo.email",
@@ -94,6 +134,7 @@ function getOAuth2Url() {
     access_type: "offline",
     scope: scopes,
     prompt: "consent",
+    state: signOAuthState(userId),
   });
 }
 
@@ -105,71 +146,20 @@ async function getUserEmailFromTokens(tokens) {
   return res.data.email;
 }
 
-function decodeBase64UrlToString(b64url) {
-  if (!b64url) return "";
-  const b64 = b64url.replace(/-/g, "+").replace(/_/g, "/");
-  return Buffer.from(b64, "base64").toString("utf8");
-}
-
-function extractPlainTextFromPayload(payload) {
-  if (!payload) return "";
-  let text = "";
-
-  if (payload.mimeType === "text/plain" && payload.body?.data) {
-    text += decodeBase64UrlToString(payload.body.data);
-  } else if (payload.mimeType === "text/html" && payload.body?.data) {
-    text += decodeBase64UrlToString(payload.body.data);
-  } else if (payload.parts && payload.parts.length) {
-    for (const p of payload.parts) {
-      text += extractPlainTextFromPayload(p);
-    }
-  }
-  return text;
-}
-
-function parseHeaders(headers = [], name) {
-  const found = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
-  return found ? found.value : null;
-}
-
-function chunkArray(array, size) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += size) {
-    chunks.push(array.slice(i, i + size));
-  }
-  return chunks;
-}
+const WELCOME_CREDITS = 10;
 
 // --- routes ---
 // health
 app.get("/", (req, res) => {
-  res.send("🚀 Resumail backend is running. Use /auth/google to login.");
+  res.send("🚀 Resumail backend is running. Use /auth/google/url to connect Gmail.");
 });
 
-// Stripe checkout session creation
-// body: { userId: "<supabase-user-id-or-your-id>", credits: <number>, price: <cents> (optional) }
-// frontend should call this and redirect to returned url
-
-// --- (near top) ensure credits file exists
-const creditsPath = path.resolve(process.cwd(), "credits.json");
-if (!fs.existsSync(creditsPath)) fs.writeFileSync(creditsPath, JSON.stringify({}), "utf8");
-
-function readCreditsFile() {
-  try {
-    return JSON.parse(fs.readFileSync(creditsPath, "utf8") || "{}");
-  } catch (e) {
-    return {};
-  }
-}
-
-function writeCreditsFile(obj) {
-  fs.writeFileSync(creditsPath, JSON.stringify(obj, null, 2), "utf8");
-}
+// Toutes les routes ci-dessous (sauf OAuth callback) exigent un JWT Supabase :
+// l'utilisateur est dérivé du token (req.user), jamais du body ou de la query.
 
 // GET current credits for user
-app.get("/credits", async (req, res) => {
-  const userId = req.query.userId;
-  if (!userId) return res.status(400).json({ error: "Missing userId param" });
+app.get("/credits", requireAuth, async (req, res) => {
+  const userId = req.user.id;
 
   if (!supabase) {
     console.error("Supabase client not configured for /credits");
@@ -190,19 +180,22 @@ app.get("/credits", async (req, res) => {
     }
 
     if (!data || data.length === 0) {
-      // if the user truly does not exist, create with sensible default (10) — but only if no error
-      const { data: newProfile, error: insertErr } = await supabase
+      // if the user truly does not exist, create it and grant the welcome credits through the ledger
+      const { error: insertErr } = await supabase
         .from("profiles")
-        .insert({ id: userId, credits: 10 })
-        .select()
-        .limit(1);
+        .insert({ id: userId, credits: 0 });
 
       if (insertErr) {
         console.error("Failed to create profile in /credits:", insertErr);
         return res.status(500).json({ error: "Failed to create profile", detail: insertErr.message });
       }
 
-      return res.json({ credits: newProfile[0].credits });
+      const { balance } = await grantCredits(userId, WELCOME_CREDITS, {
+        referenceType: "signup",
+        referenceId: userId,
+        description: "Crédits de bienvenue",
+      });
+      return res.json({ credits: balance });
     }
 
     // success
@@ -213,121 +206,65 @@ app.get("/credits", async (req, res) => {
   }
 });
 
-// POST consume credits { user, amount }
-app.post("/consume", async (req, res) => {
-  const { userId, amount } = req.body;
-  if (!userId || typeof amount !== "number") {
-    return res.status(400).json({ error: "Missing params" });
-  }
-  if (!supabase) return res.status(500).json({ error: "Supabase not configured" });
+// GET /credits/history?limit=&before= : écritures du grand livre + solde rapproché
+app.get("/credits/history", requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  const { limit, before } = req.query;
 
-  const { data: profile, error: selErr } = await supabase
-    .from("profiles")
-    .select("credits")
-    .eq("id", userId)
-    .single();
-
-  if (selErr || !profile) {
-    return res.status(404).json({ error: "User not found" });
+  try {
+    const { balance, corrected } = await reconcileBalance(userId);
+    const entries = await listTransactions(userId, { limit, before });
+    res.json({ credits: balance, reconciled: corrected, entries });
+  } catch (err) {
+    if (err instanceof LedgerError) return res.status(err.status).json({ error: err.message });
+    console.error("/credits/history error:", err);
+    res.status(500).json({ error: "Server error", detail: err.message });
   }
+});
 
-  if (profile.credits < amount) {
-    return res.status(402).json({ error: "Insufficient credits" });
+// POST consume credits { amount }
+app.post("/consume", requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  const { amount } = req.body;
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ error: "Missing params" });
   }
+  if (!supabase) return res.status(500).json({ error: "Supabase not configured" });
 
-  const { data, error: updErr } = await supabase
-    .from("profiles")
-    .update({ credits: profile.credits - amount })
-    .eq("id", userId)
-    .select("credits")
-    .single();
-
-  if (updErr) {
-    console.error("Supabase /consume update error:", updErr);
+  try {
+    const { balance } = await consumeCredits(userId, amount, {
+      referenceType: "api",
+      description: "Consommation via /consume",
+    });
+    res.json({ credits: balance });
+  } catch (err) {
+    if (err instanceof LedgerError) return res.status(err.status).json({ error: err.message });
+    console.error("Supabase /consume update error:", err);
     return res.status(500).json({ error: "Failed to update credits" });
   }
-
-  res.json({ credits: data.credits });
 });
 
-// POST add credits (for testing or webhook use)
-app.post("/credits/add", (req, res) => {
-  const { user, amount } = req.body;
-  if (!user || typeof amount !== "number") return res.status(400).json({ error: "Missing params" });
-  const store = readCreditsFile();
-  store[user] = (Number(store[user] || 0) + amount);
-  writeCreditsFile(store);
-  return res.json({ credits: store[user] });
-});
-
-// Stripe envoie du raw body
-
-app.post(
-  "/webhook",
-  bodyParser.raw({ type: "application/json" }),
-  async (req, res) => {
-    const sig = req.headers["stripe-signature"];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-    let event;
-
-    try {
-      event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    } catch (err) {
-      console.error("❌ Webhook signature verification failed:", err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
+// POST add credits { user, amount, description } : grant (amount > 0) ou ajustement (amount < 0)
+// réservé aux admins (app_metadata.role = "admin")
+app.post("/credits/add", requireAuth, requireAdmin, async (req, res) => {
+  const { user, amount, description } = req.body;
+  if (!user || !Number.isInteger(amount) || amount === 0) return res.status(400).json({ error: "Missing params" });
 
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-
-      try {
-        // 🔑 Metadata envoyée depuis le frontend
-        const userId = session.metadata?.userId;
-        const creditsPurchased = parseInt(session.metadata?.credits || "0", 10);
-
-        if (!userId || !creditsPurchased) {
-          throw new Error("userId ou credits manquants dans metadata Stripe");
-        }
-
-        // 1️⃣ Enregistrer le paiement dans Supabase
-        const { error: payErr } = await supabase.from("payments").insert([
-          {
-            user_id: userId,
-            stripe_session_id: session.id,
-            amount: session.amount_total / 100, // montant en euros
-            credits_added: creditsPurchased,
-            status: "succeeded",
-          },
-        ]);
-
-        if (payErr) throw payErr;
-
-        // 2️⃣ Ajouter les crédits dans profiles
-        const { data: profile, error: selErr } = await supabase
-          .from("profiles")
-          .select("credits")
-          .eq("id", userId)
-          .single();
-
-        if (selErr || !profile) throw new Error("Utilisateur non trouvé dans profiles");
-
-        const { error: updErr } = await supabase
-          .from("profiles")
-          .update({ credits: profile.credits + creditsPurchased })
-          .eq("id", userId);
-
-        if (updErr) throw updErr;
-
-        console.log(`✅ User ${userId} : +${creditsPurchased} crédits (total ${profile.credits + creditsPurchased})`);
-      } catch (err) {
-        console.error("⚠️ Erreur traitement webhook:", err);
-        return res.status(500).send("Erreur serveur webhook");
-      }
-    }
-
-    res.json({ received: true });
+  try {
+    const { balance } = await postCreditTransaction({
+      userId: user,
+      type: amount > 0 ? "grant" : "adjustment",
+      amount,
+      referenceType: "manual",
+      description: description || `Ajout manuel par ${req.user.email || req.user.id}`,
+    });
+    return res.json({ credits: balance });
+  } catch (err) {
+    if (err instanceof LedgerError) return res.status(err.status).json({ error: err.message });
+    console.error("/credits/add error:", err);
+    return res.status(500).json({ error: "Failed to update credits" });
   }
-);
+});
 
 const CREDIT_PACKS = {
   100: 500,   // 100 crédits → 6,00 €
@@ -336,19 +273,20 @@ const CREDIT_PACKS = {
 };
 
 app.use((req, res, next) => {
-  console.log("📥 Reçu:", req.method, req.url, req.body);
+  console.log("📥 Reçu:", req.method, req.url.replace(/access_token=[^&]+/, "access_token=***"));
   next();
 });
 
-app.post("/create-checkout-session", async (req, res) => {
+// Stripe checkout session creation
+// body: { credits: <number> } — frontend should call this and redirect to returned url
+app.post("/create-checkout-session", limitByIp("checkout"), requireAuth, limitByUser("checkout"), async (req, res) => {
   try {
-    let { userId, credits } = req.body;
-
+    const userId = req.user.id;
     // sécuriser le type
-    credits = parseInt(credits, 10);
+    const credits = parseInt(req.body.credits, 10);
 
-    if (!userId || isNaN(credits)) {
-      return res.status(400).json({ error: "userId et credits requis" });
+    if (isNaN(credits)) {
+      return res.status(400).json({ error: "credits requis" });
     }
 
     const amount = CREDIT_PACKS[credits];
@@ -380,6 +318,10 @@ app.post("/create-checkout-session", async (req, res) => {
         userId,
         credits,
       },
+      // retrouvé dans payment_intent.payment_failed si le paiement échoue avant la fin du checkout
+      payment_intent_data: {
+        metadata: { userId, credits },
+      },
     });
 
     res.json({ url: session.url });
@@ -393,14 +335,17 @@ app.post("/create-checkout-session", async (req, res) => {
 });
 
 // Google OAuth bootstrap
-app.get("/auth/google", (req, res) => {
-  res.redirect(getOAuth2Url());
+// GET /auth/google/url -> { url } : le frontend redirige ensuite le navigateur vers Google
+app.get("/auth/google/url", requireAuth, (req, res) => {
+  res.json({ url: getOAuth2Url(req.user.id) });
 });
 
 app.get("/auth/callback", async (req, res) => {
   try {
     const code = req.query.code;
+    const userId = verifyOAuthState(req.query.state);
     if (!code) return res.status(400).send("Missing code");
+    if (!userId) return res.status(400).send("Invalid or expired state");
 
     const { tokens } = await oauth2Client.getToken(code);
     oauth2Client.setCredentials(tokens);
@@ -408,9 +353,7 @@ app.get("/auth/callback", async (req, res) => {
     const email = await getUserEmailFromTokens(tokens);
     if (!email) return res.status(500).send("Could not determine Gmail address");
 
-    const tokensStore = readTokensFile();
-    tokensStore[email] = tokens;
-    writeTokensFile(tokensStore);
+    await saveTokens({ userId, email, tokens });
 
     // ✅ Redirige proprement vers le frontend
     const redirectUrl = `${FRONTEND_URL}/filters?user=${encodeURIComponent(email)}`;
@@ -422,18 +365,32 @@ app.get("/auth/callback", async (req, res) => {
   }
 });
 
-// List messages and decode
-app.get("/emails", async (req, res) => {
+// POST /auth/revoke { user } : révoque le grant Google et supprime les tokens stockés
+app.post("/auth/revoke", requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  const { user } = req.body;
+  if (!user) return res.status(400).json({ error: "Missing user (email)" });
+
   try {
-    const user = req.query.user;
-    if (!user) return res.status(400).json({ error: "Missing user param (email)" });
+    await revokeTokens({ userId, email: user });
+    console.log(`🔓 Gmail access revoked for ${user} (user ${userId})`);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err instanceof TokenStoreError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("/auth/revoke error:", err);
+    res.status(500).json({ error: "Server error", detail: err.message });
+  }
+});
 
-    const tokens = readTokensFile()[user];
-    if (!tokens) return res.status(404).json({ error: "No tokens for this user. Authenticate via /auth/google" });
+// List messages and decode
+app.get("/emails", limitByIp("emails"), requireAuth, limitByUser("emails"), async (req, res) => {
+  const userId = req.user.id;
+  const { user } = req.query;
+  if (!user) return res.status(400).json({ error: "Missing user param (email)" });
 
-    const client = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET);
-    client.setCredentials(tokens);
-    const gmail = google.gmail({ version: "v1", auth: client });
+  try {
+    const client = await getAuthorizedClient({ userId, email: user });
+    const gmail = createGmail(client);
 
     const maxResults = Math.min(parseInt(req.query.maxResults || "100", 10), 500);
     const q = req.query.q || undefined;
@@ -450,21 +407,7 @@ app.get("/emails", async (req, res) => {
     for (const m of messages) {
       try {
         const got = await gmail.users.messages.get({ userId: "me", id: m.id, format: "full" });
-        const msg = got.data;
-        const headers = msg.payload?.headers || [];
-        const subject = parseHeaders(headers, "Subject") || "(no subject)";
-        const from = parseHeaders(headers, "From") || "(unknown)";
-        const date = parseHeaders(headers, "Date") || null;
-        const body = extractPlainTextFromPayload(msg.payload) || msg.snippet || "";
-        out.push({
-          id: m.id,
-          threadId: msg.threadId,
-          subject,
-          from,
-          snippet: msg.snippet || "",
-          body,
-          date,
-        });
+        out.push(messageToEmail(got.data));
       } catch (e) {
         console.warn("Failed to fetch message", m.id, e?.message);
       }
@@ -472,267 +415,125 @@ app.get("/emails", async (req, res) => {
 
     res.json({ messages: out, nextPageToken: listRes.data.nextPageToken || null });
   } catch (err) {
+    if (err instanceof TokenStoreError) return res.status(err.status).json({ error: err.message, code: err.code });
+    if (await handleGoogleAuthError(err, { userId, email: user })) {
+      return res.status(401).json({ error: "Gmail access expired or was revoked. Re-authenticate via /auth/google/url", code: "needs_reconsent" });
+    }
     console.error("/emails error:", err);
     res.status(500).json({ error: "Server error", detail: err.message || String(err) });
   }
 });
 
-// Analyze route with batching + OpenAI calls
-const CREDITS_PER_EMAIL = 1;
+// --- /analyze V2 : emails envoyés par le frontend
+// body: { emails: [...], groupByThread } (groupByThread : analyse par conversation)
 
-// --- /analyze V2 :
-
-function safeParseJson(str, fallbackTotal = 0) {
-  try {
-    const m = str.match(/\{[\s\S]*\}/m);
-    if (!m) throw new Error("No JSON found");
-    const parsed = JSON.parse(m[0]);
-    if (!parsed.total_emails) parsed.total_emails = fallbackTotal;
-    if (!parsed.classification) parsed.classification = { positive:0, negative:0, neutral:0, other:0 };
-    if (!parsed.highlights) parsed.highlights = [];
-    if (!parsed.summary) parsed.summary = "";
-    return parsed;
-  } catch {
-    return {
-      total_emails: fallbackTotal,
-      
-      classification: { positive:0, negative:0, neutral:0, other:0 },
-      highlights: [],
-      summary: str.slice(0, 1000),
-    };
-  }
-  parsed.sentiment_overall = parsed.classification;
-}
-
-app.post("/analyzev2", async (req, res) => {
+app.post("/analyzev2", limitByIp("analyze"), requireAuth, limitByUser("analyze"), limitConcurrentAnalyses, async (req, res) => {
   try {
-    const { userId, emails } = req.body;
-    if (!userId || !Array.isArray(emails) || emails.length === 0)
-      return res.status(400).json({ error: "Missing userId or emails" });
+    const userId = req.user.id;
+    const { emails, groupByThread = false } = req.body;
+    if (!Array.isArray(emails) || emails.length === 0)
+      return res.status(400).json({ error: "Missing emails" });
     if (!supabase)
       return res.status(500).json({ error: "Supabase not configured" });
 
-    const BATCH_SIZE = 50;
-    const MERGE_BATCH_SIZE = 5;
-    const CREDITS_PER_EMAIL = Number(process.env.CREDITS_PER_EMAIL || "1");
-    const neededCredits = emails.length * CREDITS_PER_EMAIL;
-
-    // --- 1) Décrémenter crédits ---
-    let newBalance = null;
-    try {
-      const { data: rpcData, error: rpcErr } = await supabase.rpc(
-        "decrement_credits",
-        { p_user_id: userId, p_amount: neededCredits }
-      );
-      if (rpcErr) return res.status(402).json({ error: "Not enough credits" });
-      newBalance =
-        typeof rpcData === "number"
-          ? rpcData
-          : rpcData?.[0]?.credits ?? null;
-    } catch {
-      // fallback manuel
-      const { data: profile, error: selErr } = await supabase
-        .from("profiles")
-        .select("credits")
-        .eq("id", userId)
-        .single();
-      if (selErr || !profile)
-        return res.status(404).json({ error: "User not found" });
-      if (profile.credits < neededCredits)
-        return res.status(402).json({ error: "Not enough credits" });
-      const { data: updated } = await supabase
-        .from("profiles")
-        .update({ credits: profile.credits - neededCredits })
-        .eq("id", userId)
-        .select("credits")
-        .single();
-      newBalance = updated.credits;
-    }
+    // seuls les emails retenus par le planificateur (non vides, non dupliqués) sont facturés
+    const plan = planBatches(emails, { groupByThread: !!groupByThread });
+    if (!plan.billableEmails) return res.status(400).json({ error: "No email with content to analyze" });
 
-    // --- 2) Découpage des emails ---
-    const chunkArray = (arr, size) => {
-      const out = [];
-      for (let i = 0; i < arr.length; i += size)
-        out.push(arr.slice(i, i + size));
-      return out;
-    };
-    const batches = chunkArray(emails, BATCH_SIZE);
-
-    const miniReportIds = [];
-    const partialJsons = [];
-
-    // --- 3) Analyse IA par batch ---
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      const text = batch
-        .map(
-          (e, idx) =>
-            `Email ${idx + 1} (from: ${e.from}, subject: ${e.subject}): ${
-              e.body || ""
-            }`
-        )
-        .join("\n\n");
-
-      const systemPrompt = `You are an assistant that MUST output JSON only. Format:
-{
-  "total_emails": integer,
-  "classification": {"positive": integer,"negative": integer,"neutral": integer,"other": integer},
-  "highlights": ["short string", ...],
-  "summary": "max 5 sentences"
-}`;
-
-      const userPrompt = `Analyze the following ${batch.length} emails:\n\n${text.slice(
-        0,
-        15000
-      )}`;
-
-      let aiRaw = "";
-      try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt },
-          ],
-          temperature: 0.2,
-          max_tokens: 800,
-        });
-        aiRaw = completion.choices?.[0]?.message?.content || "";
-      } catch (err) {
-        console.error("AI call failed for batch", i, err);
-      }
+    const analysisId = crypto.randomUUID();
+    const newBalance = await chargeCredits(userId, plan.billableEmails * getCreditsPerEmail(), analysisId);
+    const result = await runAnalysis({ userId, analysisId, plan, groupByThread: !!groupByThread });
 
-      const parsed = safeParseJson(aiRaw, batch.length);
-
-      // --- Sauvegarde du mini-rapport ---
-      const { data: insertedMini, error: miniErr } = await supabase
-        .from("reports")
-        .insert([
-          {
-            user_id: userId,
-            total_emails: parsed.total_emails,
-            report_text: parsed.summary,
-            summary: parsed.summary,
-            classification: parsed.classification,
-            highlights: parsed.highlights,
-            sentiment_overall: parsed.classification,
-            is_final: false,
-          },
-        ])
-        .select("*")
-        .single();
-
-      if (!miniErr && insertedMini) {
-        miniReportIds.push(insertedMini.id);
-        partialJsons.push(parsed);
-        console.log(`✅ Mini-rapport créé : ${insertedMini.id}`);
-      } else {
-        console.error("Insert mini report error:", miniErr);
-      }
-    }
+    const { data: profileAfter } = await supabase
+      .from("profiles")
+      .select("credits")
+      .eq("id", userId)
+      .single();
 
-    // --- 4) Fusion des rapports ---
-    async function mergeReports(jsonList) {
-      if (jsonList.length === 1) return jsonList[0];
-      const groups = chunkArray(jsonList, MERGE_BATCH_SIZE);
-      const merged = [];
-
-      for (const group of groups) {
-        const mergePrompt = `
-You are an assistant that MUST merge multiple JSON reports into one final JSON.
-Format:
-{
-  "total_emails": integer,
-  "classification": {"positive": integer,"negative": integer,"neutral": integer,"other": integer},
-  "highlights": [{"text": "string","count": integer,"pct": "xx%"}, ...],
-  "summary": "max 8 sentences"
-}`;
-        const mergeInput = group
-          .map((p, i) => `REPORT ${i + 1}:\n${JSON.stringify(p)}`)
-          .join("\n\n");
-
-        try {
-          const merge = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-              { role: "system", content: mergePrompt },
-              { role: "user", content: mergeInput },
-            ],
-            temperature: 0.2,
-            max_tokens: 1000,
-          });
-          const mergedJson = safeParseJson(
-            merge.choices?.[0]?.message?.content || "",
-            0
-          );
-          merged.push(mergedJson);
-        } catch (err) {
-          console.error("Merge failed:", err);
-          merged.push(group[0]);
-        }
-      }
+    return res.json({
+      ok: true,
+      userId,
+      creditsLeft: profileAfter?.credits ?? newBalance,
+      totalEmails: emails.length,
+      billedEmails: plan.billableEmails,
+      mini_report_ids: result.miniReportIds,
+      finalReportId: result.finalReportId,
+      finalReport: result.finalJson,
+      llmUsage: result.usage,
+    });
+  } catch (err) {
+    if (err instanceof AnalysisError) return res.status(err.status).json({ error: err.message });
+    console.error("/analyzev2 error:", err);
+    return res.status(500).json({ error: "IA analysis failed", detail: err.message });
+  } finally {
+    // place libérée à la fin de l'analyse, même si le client s'est déconnecté
+    releaseAnalysisSlot(req);
+  }
+});
 
-      if (merged.length > 1) return mergeReports(merged);
-      return merged[0];
-    }
+// --- /analyze/gmail : le backend récupère lui-même les emails via une requête Gmail
+// body: { user: "<gmail>", q, after: "YYYY-MM-DD", before: "YYYY-MM-DD", maxEmails, groupByThread }
+const MAX_QUERY_EMAILS = Number(process.env.MAX_QUERY_EMAILS || "1000");
 
-    const finalJson = await mergeReports(partialJsons);
+app.post("/analyze/gmail", limitByIp("analyze"), requireAuth, limitByUser("analyze"), limitConcurrentAnalyses, async (req, res) => {
+  const userId = req.user.id;
+  const { user, q, after, before, groupByThread = false } = req.body;
 
-    // --- 5) Sauvegarde du rapport final ---
-    const { data: insertedFinal, error: finalErr } = await supabase
-      .from("reports")
-      .insert([
-        {
-          user_id: userId,
-          total_emails: finalJson.total_emails,
-          report_text: finalJson.summary,
-          summary: finalJson.summary,
-          classification: finalJson.classification,
-          highlights: finalJson.highlights,
-          sentiment_overall: finalJson.classification,
-          mini_report_ids: miniReportIds, // JSON array propre
-          is_final: true,
-        },
-      ])
-      .select("*")
-      .single();
+  try {
+    if (!user) return res.status(400).json({ error: "Missing user (email)" });
+    if (!supabase) return res.status(500).json({ error: "Supabase not configured" });
+
+    const maxEmails = Math.min(parseInt(req.body.maxEmails || "100", 10), MAX_QUERY_EMAILS);
+    if (!maxEmails || maxEmails < 1) return res.status(400).json({ error: "Invalid maxEmails" });
+
+    const client = await getAuthorizedClient({ userId, email: user });
+    const { query, emails } = await fetchEmails(createGmail(client), { q, after, before, maxEmails });
 
-    if (finalErr) {
-      console.error("❌ Insert final report error:", finalErr);
-      return res.status(500).json({ error: "Failed to save final report" });
+    if (!emails.length) {
+      return res.json({ ok: true, userId, query, totalEmails: 0, finalReportId: null });
     }
 
-    console.log(`🏁 Rapport final créé : ${insertedFinal.id}`);
+    // on ne facture que les emails effectivement récupérés et analysés
+    // seuls les emails retenus par le planificateur (non vides, non dupliqués) sont facturés
+    const plan = planBatches(emails, { groupByThread: !!groupByThread });
+    if (!plan.billableEmails) return res.status(400).json({ error: "No email with content to analyze" });
 
-    const { data: profileAfter } = await supabase
-      .from("profiles")
-      .select("credits")
-      .eq("id", userId)
-      .single();
+    const analysisId = crypto.randomUUID();
+    const newBalance = await chargeCredits(userId, plan.billableEmails * getCreditsPerEmail(), analysisId);
+    const result = await runAnalysis({ userId, analysisId, plan, groupByThread: !!groupByThread });
 
     return res.json({
       ok: true,
       userId,
-      creditsLeft: profileAfter?.credits ?? newBalance,
+      query,
+      creditsLeft: newBalance,
       totalEmails: emails.length,
-      mini_report_ids: miniReportIds,
-      finalReportId: insertedFinal.id,
-      finalReport: finalJson,
+      billedEmails: plan.billableEmails,
+      mini_report_ids: result.miniReportIds,
+      finalReportId: result.finalReportId,
+      finalReport: result.finalJson,
+      llmUsage: result.usage,
     });
   } catch (err) {
-    console.error("/analyzev2 error:", err);
+    if (err instanceof TokenStoreError || err instanceof AnalysisError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    if (await handleGoogleAuthError(err, { userId, email: user })) {
+      return res.status(401).json({ error: "Gmail access expired or was revoked. Re-authenticate via /auth/google/url", code: "needs_reconsent" });
+    }
+    if (err.message?.startsWith("Invalid date")) return res.status(400).json({ error: err.message });
+    console.error("/analyze/gmail error:", err);
     return res.status(500).json({ error: "IA analysis failed", detail: err.message });
+  } finally {
+    releaseAnalysisSlot(req);
   }
 });
 
 // ✅ Route pour récupérer les rapports d'un utilisateur
 
-app.get('/reports', async (req, res) => {
+app.get('/reports', requireAuth, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    if (!user_id) {
-      return res.status(400).json({ error: 'Missing user_id' });
-    }
+    const user_id = req.user.id;
 
     // 🔹 On sélectionne explicitement toutes les colonnes utiles
     const { data, error } = await supabase
@@ -748,7 +549,17 @@ app.get('/reports', async (req, res) => {
         highlights,
         report_text,
         summary,
-        mini_report_ids
+        mini_report_ids,
+        degraded,
+        degraded_reasons,
+        coverage,
+        group_by_thread,
+        total_threads,
+        threads,
+        threads_attention,
+        schedule_id,
+        redaction,
+        redaction_map
       `)
       .eq('user_id', user_id)
       .order('created_at', { ascending: false });
@@ -758,18 +569,8 @@ app.get('/reports', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    // ✅ Normalisation complète
-    const normalized = (data || []).map((r) => ({
-      id: r.id,
-      report_text: r.report_text || '',
-      sentiment_overall: r.sentiment_overall || r.classification || {},
-      total_emails: r.total_emails || 0,
-      created_at: r.created_at,
-      is_final: r.is_final || false,
-      highlights: Array.isArray(r.highlights) ? r.highlights : [],
-      summary: r.summary || '',
-      mini_report_ids: Array.isArray(r.mini_report_ids) ? r.mini_report_ids : [],
-    }));
+    // ✅ Normalisation complète (données personnelles en clair pour le propriétaire)
+    const normalized = (data || []).map((r) => serializeReport(revealReport(r)));
 
     res.json(normalized);
   } catch (err) {
@@ -779,7 +580,7 @@ app.get('/reports', async (req, res) => {
 });
 
 // ✅ Nouvelle route pour récupérer une liste de mini-rapports par ID
-app.get('/reports/byIds', async (req, res) => {
+app.get('/reports/byIds', requireAuth, async (req, res) => {
   try {
     const ids = req.query.ids?.split(',').map((id) => id.trim()).filter(Boolean);
     if (!ids?.length) {
@@ -799,118 +600,36 @@ app.get('/reports/byIds', async (req, res) => {
         highlights,
         report_text,
         summary,
-        mini_report_ids
+        mini_report_ids,
+        degraded,
+        degraded_reasons,
+        coverage,
+        group_by_thread,
+        total_threads,
+        threads,
+        threads_attention,
+        schedule_id,
+        redaction,
+        redaction_map
       `)
-      .in('id', ids);
+      .in('id', ids)
+      .eq('user_id', req.user.id); // uniquement les rapports de l'appelant
 
     if (error) throw error;
 
-    res.json(data || []);
+    res.json((data || []).map(revealReport));
   } catch (err) {
     console.error('/reports/byIds error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-
-// Route stats
-app.get('/stats/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    if (!userId) return res.status(400).json({ error: 'Missing userId' });
-
-    const { data: reports, error } = await supabase
-      .from('reports')
-      .select('id, report_text, report_text, sentiment_overall, classification, total_emails, created_at, is_final')
-      .eq('user_id', userId)
-      .eq('is_final', true)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-    if (!reports || !reports.length) {
-      return res.json({ total_emails: 0, avg: { positive:0, neutral:0, negative:0, other:0 }, last_summary: "" });
-    }
-
-    const totalEmails = reports.reduce((sum, r) => sum + (r.total_emails || 0), 0);
-
-    const avg = { positive:0, neutral:0, negative:0, other:0 };
-    reports.forEach((r) => {
-      const s = r.sentiment_overall ?? r.classification ?? {};
-      avg.positive += Number(s.positive || 0);
-      avg.neutral += Number(s.neutral || 0);
-      avg.negative += Number(s.negative || 0);
-      avg.other += Number(s.other || 0);
-    });
-
-    const count = reports.length;
-    Object.keys(avg).forEach(k => { avg[k] = Math.round(avg[k] / count); });
-
-    const last_summary = (reports[0]?.reports_text ?? reports[0]?.report_text) || "";
-
-    res.json({ total_emails: totalEmails, avg, last_summary });
-  } catch (err) {
-    console.error('/stats/:userId error', err);
-    res.status(500).json({ error: 'Failed to load stats' });
-  }
-});
-
-app.get("/reports/:id/pdf", async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!id) return res.status(400).send("Missing report ID");
-
-    // Récupération du rapport dans Supabase
-    const { data: report, error } = await supabase
-      .from("reports")
-      .select("*")
-      .eq("id", id)
-      .single();
-
-    if (error || !report)
-      return res.status(404).send("Report not found");
-
-    // Génération du contenu PDF
-    const doc = new jsPDF();
-    const title = "Rapport d'analyse Resumail 📨";
-    const date = new Date(report.created_at).toLocaleDateString("fr-FR");
-
-    doc.setFontSize(18);
-    doc.text(title, 20, 30);
-    doc.setFontSize(12);
-    doc.text(`Date : ${date}`, 20, 50);
-    doc.text(`Utilisateur : ${report.user_id}`, 20, 65);
-    doc.text(`Emails analysés : ${report.total_emails}`, 20, 80);
-
-    doc.setFontSize(14);
-    doc.text("Résumé :", 20, 110);
-    doc.setFontSize(12);
-    doc.text(doc.splitTextToSize(report.summary || "Aucun résumé disponible", 500), 20, 130);
-
-    doc.setFontSize(14);
-    doc.text("Points forts :", 20, 180);
-    doc.setFontSize(12);
-    if (Array.isArray(report.highlights)) {
-      report.highlights.forEach((h, i) => {
-        doc.text(`• ${h.text || h}`, 25, 200 + i * 15);
-      });
-    } else {
-      doc.text("Aucun point fort disponible.", 25, 200);
-    }
-
-    // Envoi du PDF au navigateur
-    const pdf = doc.output("arraybuffer");
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename=rapport_${id}.pdf`
-    );
-    res.send(Buffer.from(pdf));
-  } catch (err) {
-    console.error("/reports/:id/pdf error:", err);
-    res.status(500).send("Erreur lors de la génération du PDF");
-  }
+app.listen(PORT, () => {
+  console.log(`🚀 Resumail backend running on port ${PORT}`);
+  startJobWorker();
+  startScheduler();
+  startDeliveryWorker();
+  startWebhookWorker();
 });
 
-app.listen(PORT, () => console.log(`🚀 Resumail backend running on port ${PORT}`));
-
 // contact@hozana.org, newsletter@mag.genealogie.com, emails@hamza-ahmed.co.uk, hello@chess.com, News@insideapple.apple.com, mj@thefastlaneforum.com
\ No newline at end of file
@@ -0,0 +1,116 @@
+// lib/aggregate.js
+// Agrégation déterministe des mini-rapports : compteurs, pourcentages et
+// highlights regroupés sont calculés ici, le modèle n'écrit que le résumé.
+import { LABELS, countLabels } from "./emailResults.js";
+
+// au-delà de ce score (Jaccard sur les mots significatifs), deux highlights sont regroupés
+const SIMILARITY_THRESHOLD = 0.6;
+export const MAX_HIGHLIGHTS = 15;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be by for from in is it of on or the to with " +
+    "au aux avec ce ces dans de des du en est et la le les leur un une pour par pas plus sur que qui")
+    .split(" ")
+);
+
+// "Retards de LIVRAISON !" -> "livraison retard" (minuscules, sans accents, ponctuation ni pluriels)
+export function normalizeHighlightText(text) {
+  return [...highlightTokens(text)].sort().join(" ");
+}
+
+function highlightTokens(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !STOPWORDS.has(w))
+    // pluriels : "retards" et "retard" comptent comme le même mot
+    .map((w) => (w.length > 3 && w.endsWith("s") ? w.slice(0, -1) : w));
+  return new Set(words);
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let common = 0;
+  for (const w of a) if (b.has(w)) common += 1;
+  return common / (a.size + b.size - common);
+}
+
+export function percentage(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// Highlights similaires fusionnés (compteurs additionnés) ; le libellé retenu
+// est celui de la variante la plus fréquente du groupe
+export function groupHighlights(highlights, totalEmails) {
+  const groups = [];
+  for (const h of highlights) {
+    if (!h?.text) continue;
+    const tokens = highlightTokens(h.text);
+    const count = Number.isInteger(h.count) ? h.count : 0;
+    const group = groups.find(
+      (g) => g.key === normalizeHighlightText(h.text) || similarity(g.tokens, tokens) >= SIMILARITY_THRESHOLD
+    );
+    if (group) {
+      group.count += count;
+      group.variants.set(h.text, (group.variants.get(h.text) || 0) + count);
+    } else {
+      groups.push({ key: normalizeHighlightText(h.text), tokens, count, variants: new Map([[h.text, count]]) });
+    }
+  }
+
+  return groups
+    .map((g) => {
+      const [text] = [...g.variants.entries()].sort((a, b) => b[1] - a[1])[0];
+      const count = Math.min(g.count, totalEmails);
+      return { text, count, pct: Math.round(percentage(count, totalEmails)) };
+    })
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+// Chiffres du rapport final, toujours égaux à la somme des mini-rapports.
+// threads : résultats par thread déjà réunis (cf. mergeThreadParts dans lib/threads.js),
+// un thread découpé sur plusieurs mini-rapports n'est alors compté qu'une fois
+export function aggregateReports(partials, { threads = null } = {}) {
+  const totalEmails = partials.reduce((sum, p) => sum + (p.total_emails || 0), 0);
+  const classification = Object.fromEntries(LABELS.map((l) => [l, 0]));
+  if (threads) {
+    Object.assign(classification, countLabels(threads));
+  } else {
+    for (const p of partials) {
+      for (const l of LABELS) classification[l] += Number(p.classification?.[l] || 0);
+    }
+  }
+  // base des pourcentages : les éléments classés (emails ou threads)
+  const classified = Object.values(classification).reduce((a, b) => a + b, 0);
+
+  return {
+    total_emails: totalEmails,
+    classification,
+    percentages: Object.fromEntries(LABELS.map((l) => [l, percentage(classification[l], classified)])),
+    highlights: groupHighlights(partials.flatMap((p) => p.highlights || []), totalEmails),
+  };
+}
+
+// Highlights de deux rapports mis en correspondance (même règle de similarité
+// que groupHighlights) : nouveaux dans `after`, disparus de `before`, persistants
+export function matchHighlights(before, after) {
+  const remaining = before.filter((h) => h?.text).map((h) => ({ ...h, tokens: highlightTokens(h.text) }));
+  const added = [];
+  const persistent = [];
+  for (const h of after) {
+    if (!h?.text) continue;
+    const tokens = highlightTokens(h.text);
+    const index = remaining.findIndex((r) => similarity(r.tokens, tokens) >= SIMILARITY_THRESHOLD);
+    if (index === -1) {
+      added.push(h);
+      continue;
+    }
+    const [{ tokens: _, ...match }] = remaining.splice(index, 1);
+    persistent.push({ text: h.text, before: match, after: h });
+  }
+  return { added, removed: remaining.map(({ tokens: _, ...h }) => h), persistent };
+}
@@ -0,0 +1,522 @@
+// lib/analysis.js
+// Pipeline d'analyse : découpage en batchs, appels LLM (cf. lib/llm.js), agrégation
+// des mini-rapports (cf. lib/aggregate.js) et résumé final.
+import { EventEmitter } from "events";
+import { supabase } from "../supabaseClient.js";
+import { consumeCredits, getRefundedAmount, refundCredits, LedgerError } from "./ledger.js";
+import { LLMError, addUsage, completeStructured, getTaskConfig } from "./llm.js";
+import { estimateTokens, finalCoverage } from "./batchPlanner.js";
+import { BATCH_OUTPUT_SCHEMA, SUMMARY_OUTPUT_SCHEMA, THREAD_BATCH_OUTPUT_SCHEMA } from "./jsonSchema.js";
+import { aggregateReports } from "./aggregate.js";
+import { recordSenderActivity } from "./senders.js";
+import { getRedactionLevel } from "./preferences.js";
+import {
+  DEFAULT_REDACTION_LEVEL,
+  mergeRedactions,
+  redactBatch,
+  revealReport,
+  sealRedactionMap,
+} from "./redaction.js";
+import {
+  LABELS,
+  countLabels,
+  emailKey,
+  linkEmailResultsToFinal,
+  normalizeEmailResults,
+  saveEmailResults,
+} from "./emailResults.js";
+import {
+  THREAD_OUTPUT_FORMAT,
+  buildThreadPromptText,
+  groupIntoThreads,
+  mergeThreadParts,
+  normalizeThreadResults,
+  selectThreadsNeedingAttention,
+} from "./threads.js";
+
+export const MERGE_BATCH_SIZE = 5;
+
+// "completed" : { userId, report } à chaque rapport final enregistré (livraison par email, webhooks)
+export const reportEvents = new EventEmitter();
+
+export class AnalysisError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "AnalysisError";
+    this.status = status;
+  }
+}
+
+export function getCreditsPerEmail() {
+  return Number(process.env.CREDITS_PER_EMAIL || "1");
+}
+
+export function chunkArray(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// Highlights au format unique { text, count, pct } (pct en % du total d'emails) ;
+// les anciens rapports stockaient de simples chaînes
+export function normalizeHighlights(highlights, totalEmails) {
+  return (Array.isArray(highlights) ? highlights : [])
+    .map((h) => (typeof h === "string" ? { text: h, count: null } : h))
+    .filter((h) => h && typeof h.text === "string" && h.text.trim())
+    .map((h) => {
+      const count = Number.isInteger(h.count) ? Math.min(h.count, totalEmails || h.count) : null;
+      return {
+        text: h.text.trim(),
+        count,
+        pct: count !== null && totalEmails ? Math.round((count / totalEmails) * 100) : null,
+      };
+    });
+}
+
+// Débite les crédits d'une analyse dans le grand livre et renvoie le nouveau solde
+export async function chargeCredits(userId, amount, analysisId) {
+  try {
+    const { balance } = await consumeCredits(userId, amount, {
+      referenceType: "analysis",
+      referenceId: analysisId,
+      description: `Analyse de ${amount / getCreditsPerEmail()} emails`,
+    });
+    return balance;
+  } catch (err) {
+    if (err instanceof LedgerError) throw new AnalysisError(err.message, err.status);
+    throw err;
+  }
+}
+
+// Rembourse les crédits d'une partie de l'analyse (idempotent par référence)
+export async function refundAnalysisCredits(userId, analysisId, key, emailCount, reason) {
+  const amount = emailCount * getCreditsPerEmail();
+  if (!amount) return;
+  try {
+    await refundCredits(userId, amount, {
+      referenceType: "analysis",
+      referenceId: `${analysisId}:${key}`,
+      description: `Remboursement ${emailCount} emails (${reason})`,
+      metadata: { reason },
+    });
+    console.log(`↩️ ${amount} crédits remboursés à ${userId} (${reason})`);
+  } catch (err) {
+    console.error(`❌ Refund failed for ${analysisId}:${key}:`, err);
+  }
+}
+
+// Rembourse ce qui reste des crédits débités (`charged`) après les remboursements
+// déjà passés pour l'analyse (batchs en échec...) : analyse interrompue par une
+// erreur. Idempotent par référence "<analysisId>:<key>".
+export async function refundRemainingCredits(userId, analysisId, charged, { key = "failed", reason = "analysis_failed" } = {}) {
+  const remaining = charged - (await getRefundedAmount(userId, analysisId));
+  if (remaining <= 0) return 0;
+  await refundCredits(userId, remaining, {
+    referenceType: "analysis",
+    referenceId: `${analysisId}:${key}`,
+    description: `Remboursement analyse en échec (${reason})`,
+    metadata: { reason },
+  });
+  console.log(`↩️ ${remaining} crédits remboursés pour l'analyse ${analysisId} (${reason})`);
+  return remaining;
+}
+
+// groupByThread : chaque conversation est classée comme une unité (résultats
+// par thread au lieu de résultats par email)
+// redaction : { userId, level } (cf. lib/redaction.js) ; seule une copie masquée
+// des emails est envoyée au modèle, les résultats sont rattachés au batch d'origine
+export async function analyzeBatch(batch, { groupByThread = false, redaction = null } = {}) {
+  const masked = redaction ? redactBatch(batch, redaction) : { batch, mapping: {}, redaction: null };
+  const text = groupByThread
+    ? buildThreadPromptText(masked.batch)
+    : masked.batch
+        .map(
+          (e, idx) =>
+            `Email [id=${emailKey(e, idx)}] (from: ${e.from}, subject: ${e.subject}): ${
+              e.body || ""
+            }`
+        )
+        .join("\n\n");
+
+  const highlightFormat = `"highlights": [{"text": "short recurring point", "count": number of emails concerned}, ...]`;
+  const systemPrompt = groupByThread
+    ? `You are an assistant that MUST output JSON only. Emails are grouped into conversation threads, messages in chronological order. Format:
+{
+  ${highlightFormat},
+  "summary": "max 5 sentences",
+  ${THREAD_OUTPUT_FORMAT}
+}
+"threads" MUST contain exactly one entry per thread. "label" is the overall sentiment of the conversation, "sentiment_start" and "sentiment_end" the sentiment of its first and last messages. "needs_attention" is true when the conversation is unresolved or ends badly and someone should follow up.`
+    : `You are an assistant that MUST output JSON only. Format:
+{
+  ${highlightFormat},
+  "summary": "max 5 sentences",
+  "emails": [{"id": "the email id given in brackets", "label": "${LABELS.join("|")}", "confidence": number between 0 and 1, "reason": "one short sentence"}, ...]
+}
+"emails" MUST contain exactly one entry per email.`;
+  const maskingNote = Object.keys(masked.mapping).length
+    ? "\nPersonal data is masked with tokens such as [NAME_1a2b3c4d]. Keep these tokens exactly as written when you refer to them."
+    : "";
+
+  // le batch tient déjà dans le budget de tokens (cf. lib/batchPlanner.js)
+  const userPrompt = groupByThread
+    ? `Analyze the following ${groupIntoThreads(batch).length} threads (${batch.length} emails):\n\n${text}`
+    : `Analyze the following ${batch.length} emails:\n\n${text}`;
+
+  // une erreur d'appel remonte à l'appelant (remboursement du batch)
+  const output = await completeStructured(
+    "batch",
+    [
+      { role: "system", content: systemPrompt + maskingNote },
+      { role: "user", content: userPrompt },
+    ],
+    groupByThread ? THREAD_BATCH_OUTPUT_SCHEMA : BATCH_OUTPUT_SCHEMA
+  );
+  // pas de compteurs inventés : un batch sans sortie valide est traité comme un échec
+  if (!output.valid) {
+    throw new LLMError(`Invalid model output after ${output.attempts} attempts: ${output.errors.slice(0, 3).join("; ")}`, 502, "invalid_output");
+  }
+  const { usage } = output;
+  const base = {
+    total_emails: batch.length,
+    summary: output.json.summary,
+    highlights: normalizeHighlights(output.json.highlights, batch.length),
+    coverage: {
+      fully_analyzed: batch.filter((e) => !e.truncated).map((e) => e.id),
+      truncated: batch.filter((e) => e.truncated).map((e) => e.id),
+    },
+    // politique appliquée + correspondance chiffrée (les rapports partiels des jobs sont persistés)
+    ...(masked.redaction && { redaction: masked.redaction, redaction_map: sealRedactionMap(masked.mapping) }),
+  };
+
+  if (groupByThread) {
+    // un thread compte pour un sentiment, quel que soit son nombre de messages.
+    // Participants / dernier intervenant / sujet viennent du batch masqué : ils sont
+    // persistés et envoyés aux webhooks, le démasquage se fait à l'affichage (revealReport)
+    const threads = normalizeThreadResults(output.json.threads, masked.batch);
+    const totalThreads = groupIntoThreads(batch).length;
+    const missing = totalThreads - threads.length;
+    return {
+      ...base,
+      total_threads: totalThreads,
+      classification: countLabels(threads),
+      ...degradation(missing && `${missing} threads without result`),
+      threads,
+      emailResults: [],
+      usage,
+    };
+  }
+
+  // les compteurs viennent des résultats par email, pas de ceux annoncés par le modèle
+  const emailResults = normalizeEmailResults(output.json.emails, batch);
+  const missing = batch.length - emailResults.length;
+  return {
+    ...base,
+    classification: countLabels(emailResults),
+    ...degradation(missing && `${missing} emails without result`),
+    emailResults,
+    usage,
+  };
+}
+
+// { degraded, degraded_reasons } à partir d'une liste de raisons (valeurs falsy ignorées)
+function degradation(...reasons) {
+  const list = reasons.flat().filter(Boolean);
+  return { degraded: list.length > 0, degraded_reasons: list };
+}
+
+// Mini-rapport déjà enregistré pour le batch `batchIndex` d'un job (cf. lib/jobs.js)
+async function findJobMiniReport(jobId, batchIndex) {
+  const { data, error } = await supabase
+    .from("reports")
+    .select("*")
+    .eq("job_id", jobId)
+    .eq("batch_index", batchIndex)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// JSON d'un mini-rapport (forme renvoyée par analyzeBatch) à partir de sa ligne reports
+function partialFromRow(row) {
+  return {
+    total_emails: row.total_emails,
+    summary: row.summary,
+    highlights: row.highlights || [],
+    coverage: row.coverage,
+    classification: row.classification,
+    degraded: !!row.degraded,
+    degraded_reasons: row.degraded_reasons || [],
+    ...(row.group_by_thread && { total_threads: row.total_threads, threads: row.threads || [] }),
+    ...(row.redaction && { redaction: row.redaction, redaction_map: row.redaction_map }),
+  };
+}
+
+// job : { jobId, batchIndex } ; un seul mini-rapport par batch de job (index unique),
+// en cas de conflit l'id du mini-rapport déjà enregistré est renvoyé
+export async function saveMiniReport(userId, parsed, { jobId = null, batchIndex = null } = {}) {
+  const { data: insertedMini, error: miniErr } = await supabase
+    .from("reports")
+    .insert([
+      {
+        user_id: userId,
+        ...(jobId && { job_id: jobId, batch_index: batchIndex }),
+        total_emails: parsed.total_emails,
+        report_text: parsed.summary,
+        summary: parsed.summary,
+        classification: parsed.classification,
+        highlights: parsed.highlights,
+        sentiment_overall: parsed.classification,
+        degraded: parsed.degraded,
+        degraded_reasons: parsed.degraded_reasons,
+        coverage: parsed.coverage,
+        ...(parsed.threads && {
+          threads: parsed.threads,
+          total_threads: parsed.total_threads,
+          group_by_thread: true,
+        }),
+        ...(parsed.redaction && { redaction: parsed.redaction, redaction_map: parsed.redaction_map }),
+        is_final: false,
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (miniErr?.code === "23505" && jobId) {
+    const existing = await findJobMiniReport(jobId, batchIndex).catch(() => null);
+    if (existing) {
+      console.log(`♻️ Mini-rapport déjà enregistré pour le batch ${batchIndex} du job ${jobId} : ${existing.id}`);
+      return existing.id;
+    }
+  }
+  if (miniErr || !insertedMini) {
+    console.error("Insert mini report error:", miniErr);
+    return null;
+  }
+  console.log(`✅ Mini-rapport créé : ${insertedMini.id}`);
+  return insertedMini.id;
+}
+
+async function summarize(systemPrompt, input, onUsage) {
+  const output = await completeStructured(
+    "merge",
+    [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: input },
+    ],
+    SUMMARY_OUTPUT_SCHEMA
+  );
+  onUsage?.(output.usage);
+  if (!output.valid) throw new LLMError(output.errors.slice(0, 3).join("; "), 502, "invalid_output");
+  return output.json.summary;
+}
+
+// Trop de résumés pour un seul appel : condensation par groupes de MERGE_BATCH_SIZE
+async function condenseSummaries(summaries, onUsage) {
+  const { maxInputTokens } = getTaskConfig("merge");
+  if (summaries.length <= 1 || estimateTokens(summaries.join("\n\n")) <= maxInputTokens) return summaries;
+
+  const condensed = [];
+  for (const group of chunkArray(summaries, MERGE_BATCH_SIZE)) {
+    condensed.push(
+      await summarize(
+        `You are an assistant that MUST output JSON only. Format: {"summary": "max 6 sentences"}
+Condense the partial email analysis summaries below into one, keeping every recurring topic.`,
+        group.map((t, i) => `SUMMARY ${i + 1}: ${t}`).join("\n\n"),
+        onUsage
+      )
+    );
+  }
+  return condenseSummaries(condensed, onUsage);
+}
+
+// Résumé narratif du rapport final, rédigé à partir des chiffres calculés par
+// aggregateReports : le modèle ne produit aucun chiffre. En cas d'échec, les
+// résumés des mini-rapports sont concaténés et le rapport est marqué dégradé.
+export async function writeFinalSummary(figures, partials, { onUsage } = {}) {
+  const summaries = partials.map((p) => p.summary).filter(Boolean);
+  if (partials.length === 1) return { summary: summaries[0] || "", degraded_reasons: [] };
+
+  try {
+    const condensed = await condenseSummaries(summaries, onUsage);
+    const summary = await summarize(
+      `You are an assistant that MUST output JSON only. Format: {"summary": "max 8 sentences"}
+Write the overall summary of an email analysis. The figures are exact: quote them as given, never recompute or invent numbers.`,
+      `FIGURES:\n${JSON.stringify(figures)}\n\nPARTIAL SUMMARIES:\n${condensed.map((t, i) => `${i + 1}. ${t}`).join("\n")}`,
+      onUsage
+    );
+    return { summary, degraded_reasons: [] };
+  } catch (err) {
+    console.error("Final summary failed:", err.message);
+    return { summary: summaries.join(" "), degraded_reasons: ["summary_failed"] };
+  }
+}
+
+// redactionMap : correspondance chiffrée des jetons de masquage (cf. lib/redaction.js)
+export async function saveFinalReport(userId, finalJson, miniReportIds, redactionMap = null) {
+  const { data: insertedFinal, error: finalErr } = await supabase
+    .from("reports")
+    .insert([
+      {
+        user_id: userId,
+        total_emails: finalJson.total_emails,
+        report_text: finalJson.summary,
+        summary: finalJson.summary,
+        classification: finalJson.classification,
+        highlights: finalJson.highlights,
+        sentiment_overall: finalJson.classification,
+        degraded: finalJson.degraded,
+        degraded_reasons: finalJson.degraded_reasons,
+        coverage: finalJson.coverage,
+        mini_report_ids: miniReportIds, // JSON array propre
+        ...(finalJson.group_by_thread && {
+          total_threads: finalJson.total_threads,
+          threads_attention: finalJson.threads_attention,
+          group_by_thread: true,
+        }),
+        ...(finalJson.schedule_id && { schedule_id: finalJson.schedule_id }),
+        ...(finalJson.redaction && { redaction: finalJson.redaction, redaction_map: redactionMap }),
+        is_final: true,
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (finalErr) {
+    console.error("❌ Insert final report error:", finalErr);
+    throw new AnalysisError("Failed to save final report", 500);
+  }
+
+  console.log(`🏁 Rapport final créé : ${insertedFinal.id}`);
+  return insertedFinal;
+}
+
+// Analyse + sauvegarde d'un batch. En cas d'échec (appel IA ou sauvegarde),
+// les crédits du batch sont remboursés et null est renvoyé.
+// redactionLevel : niveau de masquage de l'utilisateur (cf. getRedactionLevel)
+// jobId : batch d'un job ; un mini-rapport déjà enregistré pour (job, batch) avant
+// un crash est repris tel quel, sans nouvel appel ni doublon
+export async function processBatch({ userId, analysisId, batch, index, groupByThread = false, redactionLevel = DEFAULT_REDACTION_LEVEL, jobId = null }) {
+  if (jobId) {
+    const existing = await findJobMiniReport(jobId, index);
+    if (existing) return { miniId: existing.id, parsed: partialFromRow(existing), usage: null };
+  }
+
+  let parsed;
+  try {
+    parsed = await analyzeBatch(batch, { groupByThread, redaction: { userId, level: redactionLevel } });
+  } catch (err) {
+    console.error("AI call failed for batch", index, err.message);
+    const reason = err.code === "invalid_output" ? "invalid_output" : "ai_call_failed";
+    await refundAnalysisCredits(userId, analysisId, `batch:${index}`, batch.length, reason);
+    return null;
+  }
+
+  const { emailResults, usage, ...report } = parsed;
+  const miniId = await saveMiniReport(userId, report, { jobId, batchIndex: index });
+  if (!miniId) {
+    await refundAnalysisCredits(userId, analysisId, `batch:${index}`, batch.length, "report_not_saved");
+    return null;
+  }
+  await saveEmailResults(userId, miniId, emailResults);
+  // statistiques par expéditeur : un échec n'interrompt pas l'analyse
+  await recordSenderActivity(userId, miniId, batch, parsed).catch((err) =>
+    console.error(`Sender stats failed for mini report ${miniId}:`, err.message)
+  );
+  return { miniId, parsed: report, usage };
+}
+
+// Fusion + sauvegarde du rapport final ; si la sauvegarde échoue, les emails
+// des batchs analysés sont remboursés. plan : résultat de planBatches.
+// scheduleId : digest planifié à l'origine de l'analyse (cf. lib/schedules.js)
+export async function finalizeAnalysis({ userId, analysisId, plan, partialJsons, miniReportIds, analyzedEmails, scheduleId = null }) {
+  if (!partialJsons.length) throw new AnalysisError("No batch could be analyzed", 500);
+
+  // chiffres = somme des mini-rapports (eux-mêmes issus des résultats par email) ;
+  // en mode conversation, les parties d'un même thread sont réunies avant le comptage
+  const threadsMode = partialJsons.some((p) => Array.isArray(p.threads));
+  const threads = threadsMode ? mergeThreadParts(partialJsons.flatMap((p) => p.threads || [])) : null;
+  const figures = aggregateReports(partialJsons, { threads });
+  const analyzedIds = partialJsons.flatMap((p) => [...(p.coverage?.fully_analyzed || []), ...(p.coverage?.truncated || [])]);
+  if (threadsMode) {
+    // threads des batchs analysés, y compris ceux que le modèle a oubliés
+    const analyzed = new Set(analyzedIds);
+    figures.total_threads = groupIntoThreads(plan.batches.flat().filter((e) => analyzed.has(e.id))).length;
+  }
+
+  let usage = null;
+  const { summary, degraded_reasons: summaryIssues } = await writeFinalSummary(figures, partialJsons, {
+    onUsage: (call) => (usage = addUsage(usage, call)),
+  });
+  const finalJson = {
+    ...figures,
+    summary,
+    ...degradation(partialJsons.flatMap((p) => p.degraded_reasons || []), summaryIssues),
+    // emails analysés en entier / tronqués / ignorés (vides, doublons, batchs en échec)
+    coverage: finalCoverage(plan.coverage, analyzedIds),
+  };
+
+  if (threadsMode) {
+    finalJson.group_by_thread = true;
+    finalJson.threads_attention = selectThreadsNeedingAttention(threads);
+  }
+  if (scheduleId) finalJson.schedule_id = scheduleId;
+  const { redaction, redaction_map: redactionMap } = mergeRedactions(partialJsons);
+  if (redaction) finalJson.redaction = redaction;
+
+  try {
+    const finalReport = await saveFinalReport(userId, finalJson, miniReportIds, redactionMap);
+    await linkEmailResultsToFinal(finalReport.id, miniReportIds);
+    reportEvents.emit("completed", { userId, report: finalReport });
+    // finalJson est renvoyé au propriétaire : en clair
+    return { finalJson: revealReport({ ...finalJson, redaction_map: redactionMap }), finalReport, usage };
+  } catch (err) {
+    await refundAnalysisCredits(userId, analysisId, "final", analyzedEmails, "report_not_saved");
+    throw err;
+  }
+}
+
+// Analyse complète d'un plan de batchs (crédits de plan.billableEmails déjà
+// débités par l'appelant sous la référence analysisId). Une erreur non gérée
+// batch par batch rembourse ce qui n'a pas encore été remboursé.
+export async function runAnalysis({ userId, analysisId, plan, groupByThread = false }) {
+  try {
+    return await analyzePlan({ userId, analysisId, plan, groupByThread });
+  } catch (err) {
+    await refundRemainingCredits(userId, analysisId, plan.billableEmails * getCreditsPerEmail()).catch((e) =>
+      console.error(`❌ Refund failed for ${analysisId}:`, e)
+    );
+    throw err;
+  }
+}
+
+async function analyzePlan({ userId, analysisId, plan, groupByThread }) {
+  const { batches } = plan;
+  const redactionLevel = await getRedactionLevel(userId);
+  const miniReportIds = [];
+  const partialJsons = [];
+  let analyzedEmails = 0;
+  let usage = null;
+
+  for (let i = 0; i < batches.length; i++) {
+    const done = await processBatch({ userId, analysisId, batch: batches[i], index: i, groupByThread, redactionLevel });
+    if (done) {
+      miniReportIds.push(done.miniId);
+      partialJsons.push(done.parsed);
+      analyzedEmails += batches[i].length;
+      usage = addUsage(usage, done.usage);
+    }
+  }
+
+  const { finalJson, finalReport, usage: mergeUsage } = await finalizeAnalysis({
+    userId,
+    analysisId,
+    plan,
+    partialJsons,
+    miniReportIds,
+    analyzedEmails,
+  });
+
+  if (mergeUsage) usage = addUsage(usage, mergeUsage);
+  return { miniReportIds, finalReportId: finalReport.id, finalJson, usage };
+}
@@ -0,0 +1,80 @@
+// lib/auth.js
+// Authentification des appels API par le JWT Supabase (header Authorization: Bearer <token>).
+import crypto from "crypto";
+import { supabase } from "../supabaseClient.js";
+
+function extractToken(req, allowQueryToken) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) return token;
+  // EventSource et liens de téléchargement ne peuvent pas poser de header
+  if (allowQueryToken && typeof req.query.access_token === "string") return req.query.access_token;
+  return null;
+}
+
+function authenticate({ allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    const token = extractToken(req, allowQueryToken);
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    try {
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error || !data?.user) return res.status(401).json({ error: "Invalid or expired access token" });
+
+      const { user } = data;
+      req.user = {
+        id: user.id,
+        email: user.email,
+        // app_metadata n'est modifiable qu'avec la service role key
+        role: user.app_metadata?.role || "user",
+      };
+      next();
+    } catch (err) {
+      console.error("❌ Auth error:", err);
+      res.status(500).json({ error: "Authentication failed" });
+    }
+  };
+}
+
+export const requireAuth = authenticate();
+export const requireAuthOrQueryToken = authenticate({ allowQueryToken: true });
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== "admin") return res.status(403).json({ error: "Admin role required" });
+  next();
+}
+
+// --- state OAuth Google signé : rattache la boîte Gmail à l'utilisateur authentifié ---
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function stateSignature(payload) {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.TOKEN_ENCRYPTION_KEY;
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+export function signOAuthState(userId) {
+  const payload = Buffer.from(JSON.stringify({ userId, ts: Date.now() })).toString("base64url");
+  return `${payload}.${stateSignature(payload)}`;
+}
+
+// Renvoie l'id utilisateur, ou null si le state est invalide / expiré
+export function verifyOAuthState(state) {
+  const [payload, signature] = String(state || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = stateSignature(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const { userId, ts } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!userId || Date.now() - ts > STATE_TTL_MS) return null;
+    return userId;
+  } catch {
+    return null;
+  }
+}
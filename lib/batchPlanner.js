@@ -0,0 +1,127 @@
+// lib/batchPlanner.js
+// Découpage des emails en batchs selon un budget de tokens (cf. LLM_BATCH_*) :
+// chaque email est plafonné, un thread trop long est tronqué équitablement entre
+// ses messages, et chaque email est classé analysé / tronqué / ignoré.
+import { getTaskConfig } from "./llm.js";
+import { groupIntoThreads } from "./threads.js";
+
+// ~4 caractères par token : estimation suffisante pour remplir un budget
+const CHARS_PER_TOKEN = 4;
+// en-tête "Email [id=...] (from: ..., subject: ...)" et séparateurs
+const HEADER_OVERHEAD_TOKENS = 12;
+const TRUNCATION_MARK = " […]";
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+function headerTokens(e) {
+  return HEADER_OVERHEAD_TOKENS + estimateTokens(e.from) + estimateTokens(e.subject) + estimateTokens(e.date);
+}
+
+// Couverture finale : les emails des batchs en échec passent en "ignorés"
+export function finalCoverage(planCoverage, analyzedIds) {
+  const analyzed = new Set(analyzedIds);
+  const failed = [...planCoverage.fully_analyzed, ...planCoverage.truncated]
+    .filter((id) => !analyzed.has(id))
+    .map((id) => ({ id, reason: "batch_failed" }));
+  return {
+    fully_analyzed: planCoverage.fully_analyzed.filter((id) => analyzed.has(id)),
+    truncated: planCoverage.truncated.filter((id) => analyzed.has(id)),
+    skipped: [...planCoverage.skipped, ...failed],
+  };
+}
+
+// Plafond c tel que somme(min(coût_i, c)) <= budget : les emails courts restent
+// entiers, les longs se partagent le reste à parts égales
+export function fairShareCap(costs, budget) {
+  const sorted = [...costs].sort((a, b) => a - b);
+  let remaining = budget;
+  for (let i = 0; i < sorted.length; i++) {
+    const share = Math.floor(remaining / (sorted.length - i));
+    if (sorted[i] > share) return Math.max(0, share);
+    remaining -= sorted[i];
+  }
+  return Infinity;
+}
+
+function truncateBody(email, maxTokens) {
+  if (email.bodyTokens <= maxTokens) return email;
+  const chars = Math.max(0, maxTokens * CHARS_PER_TOKEN - TRUNCATION_MARK.length);
+  return {
+    ...email,
+    body: email.body.slice(0, chars).trimEnd() + TRUNCATION_MARK,
+    bodyTokens: maxTokens,
+    truncated: true,
+  };
+}
+
+function chunk(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+// -> { batches: [[email]], billableEmails, coverage: { fully_analyzed: [id], truncated: [id], skipped: [{ id, reason }] } }
+// Les emails des batchs portent un id (généré si absent) et truncated: true le cas échéant.
+export function planBatches(emails, { groupByThread = false } = {}) {
+  const { maxInputTokens, maxEmailTokens, maxEmails } = getTaskConfig("batch");
+  const skipped = [];
+  const seen = new Set();
+  const kept = [];
+
+  emails.forEach((raw, i) => {
+    const id = String(raw?.id || `email-${i + 1}`);
+    if (seen.has(id)) return skipped.push({ id, reason: "duplicate" });
+    seen.add(id);
+    const body = String(raw?.body || raw?.snippet || "").trim();
+    if (!body) return skipped.push({ id, reason: "empty" });
+
+    const email = { ...raw, id, body, truncated: false, bodyTokens: estimateTokens(body) };
+    // id généré : non significatif d'une analyse à l'autre (cf. lib/senders.js)
+    if (!raw?.id) email.generatedId = true;
+    kept.push(truncateBody(email, maxEmailTokens));
+  });
+
+  // unités indivisibles : un email, ou un thread en mode conversation. Un thread
+  // de plus de maxEmails messages est découpé en parties consécutives (analysées
+  // chacune comme une conversation) pour qu'aucun batch ne dépasse maxEmails ;
+  // le rapport final les réunit (cf. mergeThreadParts dans lib/threads.js).
+  const units = groupByThread
+    ? groupIntoThreads(kept).flatMap((t) => chunk(t.emails, maxEmails))
+    : kept.map((e) => [e]);
+
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+  for (let unit of units) {
+    let tokens = unit.reduce((sum, e) => sum + headerTokens(e) + e.bodyTokens, 0);
+    if (tokens > maxInputTokens) {
+      // unité plus grosse que le budget : troncature équitable entre ses messages
+      const headers = unit.reduce((sum, e) => sum + headerTokens(e), 0);
+      const cap = fairShareCap(unit.map((e) => e.bodyTokens), Math.max(0, maxInputTokens - headers));
+      unit = unit.map((e) => truncateBody(e, cap));
+      tokens = unit.reduce((sum, e) => sum + headerTokens(e) + e.bodyTokens, 0);
+    }
+    if (current.length && (currentTokens + tokens > maxInputTokens || current.length + unit.length > maxEmails)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(...unit);
+    currentTokens += tokens;
+  }
+  if (current.length) batches.push(current);
+
+  const cleaned = batches.map((b) => b.map(({ bodyTokens, ...e }) => e));
+  const planned = cleaned.flat();
+  return {
+    batches: cleaned,
+    billableEmails: planned.length,
+    coverage: {
+      fully_analyzed: planned.filter((e) => !e.truncated).map((e) => e.id),
+      truncated: planned.filter((e) => e.truncated).map((e) => e.id),
+      skipped,
+    },
+  };
+}
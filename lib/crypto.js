@@ -0,0 +1,38 @@
+// lib/crypto.js
+// Chiffrement symétrique (AES-256-GCM) pour les secrets stockés en base.
+import crypto from "crypto";
+
+const VERSION = "v1";
+
+function getKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) throw new Error("Missing TOKEN_ENCRYPTION_KEY in .env");
+  // accepte n'importe quelle chaîne : on en dérive une clé de 32 octets
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+// "v1:<iv>:<tag>:<ciphertext>" (base64)
+export function encryptJson(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  const tag = cipher.getAuthTag();
+  return [VERSION, iv.toString("base64"), tag.toString("base64"), ciphertext.toString("base64")].join(":");
+}
+
+export function decryptJson(payload) {
+  const [version, iv, tag, ciphertext] = String(payload || "").split(":");
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error("Unsupported encrypted payload");
+  }
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const plain = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]);
+  return JSON.parse(plain.toString("utf8"));
+}
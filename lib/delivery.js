@@ -0,0 +1,503 @@
+// lib/delivery.js
+// Envoi des rapports finaux par email (SMTP) : PDF en pièce jointe (cf.
+// lib/reportPdf.js) et résumé HTML. Chaque envoi est suivi dans report_deliveries
+// et retenté avec un délai croissant ; chaque destinataire confirme son adresse
+// (double opt-in, sauf l'adresse du compte) et a un lien de désabonnement.
+// En développement, un serveur SMTP local (Mailpit, MailHog : localhost:1025) suffit.
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import { supabase } from "../supabaseClient.js";
+import { LABELS } from "./emailResults.js";
+import { reportEvents } from "./analysis.js";
+import { loadPreviousReportModel, loadReportModel } from "./reportModel.js";
+import { createReportPdf, pdfToBuffer } from "./reportPdf.js";
+import { CHART_COLORS, htmlEscape } from "./reportExport.js";
+import { createTranslator } from "./i18n.js";
+import { getPreferences } from "./preferences.js";
+
+// un envoi "sending" sans mise à jour depuis ce délai est considéré comme abandonné
+const STALE_AFTER_MS = 10 * 60 * 1000;
+const EMAIL_HIGHLIGHTS = 5;
+const DELIVERY_COLUMNS =
+  "id, user_id, report_id, recipient_id, email, status, attempts, last_error, message_id, next_attempt_at, sent_at, created_at, updated_at";
+
+export class DeliveryError extends Error {
+  constructor(message, status = 400, code = "invalid_delivery") {
+    super(message);
+    this.name = "DeliveryError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function getMailConfig() {
+  return {
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT || "1025"),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined,
+    from: process.env.MAIL_FROM || "Resumail <reports@resumail.local>",
+    // liens de désabonnement (routes/deliveries.js)
+    rootUrl: process.env.SERVER_ROOT_URL || "https://resumail-backendv4.onrender.com",
+    maxAttempts: Math.max(1, Number(process.env.DELIVERY_MAX_ATTEMPTS || "5")),
+    pollIntervalMs: Number(process.env.DELIVERY_POLL_INTERVAL_MS || "30000"),
+  };
+}
+
+// ---------- Transport SMTP ----------
+
+let transport = null;
+
+export function getTransport() {
+  if (!transport) {
+    const { host, port, secure, auth } = getMailConfig();
+    transport = nodemailer.createTransport({ host, port, secure, auth });
+  }
+  return transport;
+}
+
+// Remplace le transport (tests, transport JSON de nodemailer...)
+export function setTransport(next) {
+  transport = next;
+}
+
+// délai avant la tentative suivante : 1 min, 5 min, 25 min...
+export function retryDelayMs(attempts) {
+  return 60000 * 5 ** Math.max(0, attempts - 1);
+}
+
+// ---------- Destinataires ----------
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+const isEmail = (email) => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email);
+
+const RECIPIENT_COLUMNS = "id, email, unsubscribed_at, confirmed_at, created_at";
+// un email de confirmation au plus par destinataire pendant ce délai
+const CONFIRMATION_RESEND_MS = 10 * 60 * 1000;
+
+export async function listRecipients(userId) {
+  const { data, error } = await supabase
+    .from("delivery_recipients")
+    .select(RECIPIENT_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+const newToken = () => crypto.randomBytes(24).toString("hex");
+const stripRecipient = ({ confirmation_sent_at, ...recipient }) => recipient;
+
+// Ajoute un destinataire. L'adresse du compte est confirmée d'office ; toute
+// autre adresse reçoit un lien de confirmation (double opt-in) et ne reçoit
+// aucun rapport avant de l'avoir suivi. Une adresse désabonnée le reste : seul
+// le lien de confirmation, suivi par son titulaire, la réabonne.
+export async function addRecipient(userId, rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  if (!isEmail(email)) throw new DeliveryError("Invalid email");
+  const owner = normalizeEmail(await accountEmail(userId));
+
+  const { data: existing, error: findError } = await supabase
+    .from("delivery_recipients")
+    .select(`${RECIPIENT_COLUMNS}, confirmation_sent_at`)
+    .eq("user_id", userId)
+    .eq("email", email)
+    .maybeSingle();
+  if (findError) throw findError;
+
+  let recipient = existing;
+  if (!recipient) {
+    const confirmed = email === owner;
+    const { data, error } = await supabase
+      .from("delivery_recipients")
+      .insert([
+        {
+          user_id: userId,
+          email,
+          unsubscribe_token: newToken(),
+          confirmed_at: confirmed ? new Date().toISOString() : null,
+          confirmation_token: confirmed ? null : newToken(),
+        },
+      ])
+      .select(`${RECIPIENT_COLUMNS}, confirmation_sent_at`)
+      .single();
+    if (error) throw error;
+    recipient = data;
+  }
+
+  if (recipient.confirmed_at && !recipient.unsubscribed_at) return stripRecipient(recipient);
+  await sendConfirmation(userId, recipient, owner);
+  return stripRecipient(recipient);
+}
+
+// Envoie (au plus une fois par CONFIRMATION_RESEND_MS) le lien de confirmation
+// à un destinataire non confirmé ou désabonné
+async function sendConfirmation(userId, recipient, owner) {
+  const sentAt = recipient.confirmation_sent_at ? new Date(recipient.confirmation_sent_at).getTime() : 0;
+  if (Date.now() - sentAt < CONFIRMATION_RESEND_MS) return;
+
+  const token = newToken();
+  const { error } = await supabase
+    .from("delivery_recipients")
+    .update({ confirmation_token: token, confirmation_sent_at: new Date().toISOString() })
+    .eq("id", recipient.id);
+  if (error) throw error;
+
+  const preferences = await getPreferences(userId).catch(() => null);
+  const { subject, html, text } = renderConfirmationEmail(owner, confirmationUrl(token), createTranslator(preferences?.language));
+  await getTransport().sendMail({ from: getMailConfig().from, to: recipient.email, subject, html, text });
+  console.log(`📧 Confirmation demandée à ${recipient.email} pour ${userId}`);
+}
+
+export async function removeRecipient(id, userId) {
+  const { data, error } = await supabase
+    .from("delivery_recipients")
+    .delete()
+    .eq("id", id)
+    .eq("user_id", userId)
+    .select("id");
+  if (error) throw error;
+  return !!data?.length;
+}
+
+async function accountEmail(userId) {
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+  if (error) throw error;
+  return data?.user?.email || null;
+}
+
+// Destinataires actifs (confirmés, non désabonnés) ; sans aucun destinataire
+// configuré, l'adresse du compte est ajoutée
+async function activeRecipients(userId) {
+  let rows = await supabase
+    .from("delivery_recipients")
+    .select("id, email, unsubscribed_at, confirmed_at")
+    .eq("user_id", userId)
+    .then(({ data, error }) => {
+      if (error) throw error;
+      return data || [];
+    });
+  if (!rows.length) {
+    const email = await accountEmail(userId);
+    if (email) rows = [await addRecipient(userId, email)];
+  }
+  return rows.filter((r) => r.confirmed_at && !r.unsubscribed_at);
+}
+
+// Confirme le destinataire du token (double opt-in, réabonne une adresse
+// désabonnée) ; null si le token est inconnu
+export async function confirmRecipient(token) {
+  if (!token) return null;
+  const { data, error } = await supabase
+    .from("delivery_recipients")
+    .update({ confirmed_at: new Date().toISOString(), unsubscribed_at: null, confirmation_token: null })
+    .eq("confirmation_token", String(token))
+    .select("id, email")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Désabonne le destinataire du token ; null si le token est inconnu
+export async function unsubscribe(token) {
+  if (!token) return null;
+  const { data, error } = await supabase
+    .from("delivery_recipients")
+    .update({ unsubscribed_at: new Date().toISOString() })
+    .eq("unsubscribe_token", String(token))
+    .select("id, email")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// ---------- File d'envoi ----------
+
+// Met en file l'envoi d'un rapport final à tous les destinataires actifs, ou à
+// `emails` (qui doivent faire partie des destinataires actifs). Un envoi déjà
+// fait pour un destinataire est relancé.
+export async function queueReportDelivery(userId, reportId, { emails = null } = {}) {
+  const { data: report, error: reportError } = await supabase
+    .from("reports")
+    .select("id")
+    .eq("id", reportId)
+    .eq("user_id", userId)
+    .eq("is_final", true)
+    .maybeSingle();
+  if (reportError) throw reportError;
+  if (!report) throw new DeliveryError("Final report not found", 404, "report_not_found");
+
+  let recipients = await activeRecipients(userId);
+  if (emails) {
+    const wanted = emails.map(normalizeEmail);
+    const unknown = wanted.filter((e) => !recipients.some((r) => r.email === e));
+    if (unknown.length) {
+      throw new DeliveryError(`Not an active recipient: ${unknown.join(", ")}`, 400, "unknown_recipient");
+    }
+    recipients = recipients.filter((r) => wanted.includes(r.email));
+  }
+  if (!recipients.length) throw new DeliveryError("No active recipient", 400, "no_recipient");
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("report_deliveries")
+    .upsert(
+      recipients.map((r) => ({
+        user_id: userId,
+        report_id: reportId,
+        recipient_id: r.id,
+        email: r.email,
+        status: "pending",
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: now,
+        updated_at: now,
+      })),
+      { onConflict: "report_id,email" }
+    )
+    .select(DELIVERY_COLUMNS);
+  if (error) throw error;
+
+  setImmediate(pollDeliveries);
+  return data || [];
+}
+
+export async function listDeliveries(userId, { reportId, limit = 50 } = {}) {
+  let query = supabase
+    .from("report_deliveries")
+    .select(DELIVERY_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Math.max(1, Number(limit) || 50), 200));
+  if (reportId) query = query.eq("report_id", reportId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// ---------- Contenu ----------
+
+export function unsubscribeUrl(token) {
+  return `${getMailConfig().rootUrl}/deliveries/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+export function confirmationUrl(token) {
+  return `${getMailConfig().rootUrl}/deliveries/confirm?token=${encodeURIComponent(token)}`;
+}
+
+// { subject, html, text } : demande de confirmation d'un destinataire
+export function renderConfirmationEmail(owner, link, tr = createTranslator()) {
+  const { t } = tr;
+  const intro = t("confirm.intro", { owner: owner || "Resumail" });
+  const html = `<!DOCTYPE html>
+<html lang="${tr.lang}">
+<body style="margin:0;padding:24px;background:#F3F4F6;font-family:Arial,sans-serif;color:#1F2937;">
+<table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#fff;border-radius:6px;padding:24px;">
+<tr><td>
+<h1 style="color:#1E3A8A;font-size:20px;margin:0 0 16px;">${htmlEscape(t("confirm.subject"))}</h1>
+<p>${htmlEscape(intro)}</p>
+<p><a href="${htmlEscape(link)}" style="display:inline-block;background:#1E3A8A;color:#fff;padding:10px 16px;border-radius:4px;text-decoration:none;">${htmlEscape(t("confirm.action"))}</a></p>
+<p style="color:#6B7280;font-size:12px;margin-top:24px;">${htmlEscape(t("confirm.ignore"))}</p>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+  const text = [t("confirm.subject"), "", intro, "", tr.pair(t("confirm.action"), link), "", t("confirm.ignore")].join("\n");
+  return { subject: t("confirm.subject"), html, text };
+}
+
+// { subject, html, text } : résumé du rapport (le détail est dans le PDF joint)
+export function renderReportEmail(model, tr = createTranslator(), { unsubscribeLink } = {}) {
+  const { t } = tr;
+  const date = tr.formatDate(model.created_at);
+  const intro = t("email.intro", { emails: t("count.emails", { count: model.total_emails }) });
+  const summary = model.summary || t("summary.empty");
+  const highlights = [...model.highlights]
+    .sort((a, b) => (b.count ?? -1) - (a.count ?? -1) || a.text.localeCompare(b.text))
+    .slice(0, EMAIL_HIGHLIGHTS);
+  const sentiment = LABELS.map((l) => ({
+    label: tr.label(l),
+    color: CHART_COLORS[l],
+    value: `${tr.formatNumber(model.classification[l])} (${tr.formatPercent(model.percentages[l])})`,
+  }));
+
+  const html = `<!DOCTYPE html>
+<html lang="${tr.lang}">
+<body style="margin:0;padding:24px;background:#F3F4F6;font-family:Arial,sans-serif;color:#1F2937;">
+<table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#fff;border-radius:6px;padding:24px;">
+<tr><td>
+<h1 style="color:#1E3A8A;font-size:20px;margin:0 0 4px;">${htmlEscape(t("report.title"))}</h1>
+<p style="color:#6B7280;margin:0 0 16px;">${htmlEscape(date)}</p>
+<p>${htmlEscape(intro)}</p>
+${model.degraded ? `<p style="background:#FEF3C7;padding:8px;">⚠️ ${htmlEscape(t("report.partial", { reasons: model.degraded_reasons.join(", ") }))}</p>` : ""}
+<h2 style="font-size:16px;color:#1E3A8A;">${htmlEscape(t("section.summary"))}</h2>
+<p style="line-height:1.5;">${htmlEscape(summary)}</p>
+<h2 style="font-size:16px;color:#1E3A8A;">${htmlEscape(t("section.sentiment"))}</h2>
+<table role="presentation" style="border-collapse:collapse;">
+${sentiment
+  .map(
+    (s) =>
+      `<tr><td style="padding:4px 8px 4px 0;"><span style="display:inline-block;width:10px;height:10px;background:${s.color};"></span></td><td style="padding:4px 16px 4px 0;">${htmlEscape(s.label)}</td><td style="padding:4px 0;text-align:right;">${htmlEscape(s.value)}</td></tr>`
+  )
+  .join("\n")}
+</table>
+${
+  highlights.length
+    ? `<h2 style="font-size:16px;color:#1E3A8A;">${htmlEscape(t("section.highlights"))}</h2><ul>${highlights
+        .map((h) => `<li>${htmlEscape(h.text)}${h.pct !== null ? ` <span style="color:#6B7280;">(${htmlEscape(tr.formatPercent(h.pct))})</span>` : ""}</li>`)
+        .join("")}</ul>`
+    : ""
+}
+<p style="color:#6B7280;font-size:12px;margin-top:24px;">${htmlEscape(t("email.footer"))}${
+    unsubscribeLink ? ` <a href="${htmlEscape(unsubscribeLink)}" style="color:#6B7280;">${htmlEscape(t("email.unsubscribe"))}</a>` : ""
+  }</p>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+  const text = [
+    t("report.title"),
+    date,
+    "",
+    intro,
+    "",
+    `${t("section.summary")}\n${summary}`,
+    "",
+    t("section.sentiment"),
+    ...sentiment.map((s) => `- ${tr.pair(s.label, s.value)}`),
+    ...(highlights.length ? ["", t("section.highlights"), ...highlights.map((h) => `- ${h.text}`)] : []),
+    "",
+    t("email.footer"),
+    ...(unsubscribeLink ? [tr.pair(t("email.unsubscribe"), unsubscribeLink)] : []),
+  ].join("\n");
+
+  return { subject: t("email.subject", { date }), html, text };
+}
+
+// ---------- Envoi ----------
+
+async function updateDelivery(id, patch) {
+  const { error } = await supabase
+    .from("report_deliveries")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+async function sendDelivery(delivery) {
+  const { data: recipient, error } = await supabase
+    .from("delivery_recipients")
+    .select("email, unsubscribe_token, unsubscribed_at, confirmed_at")
+    .eq("id", delivery.recipient_id)
+    .maybeSingle();
+  if (error) throw error;
+  // destinataire supprimé, désabonné ou jamais confirmé
+  if (!recipient || recipient.unsubscribed_at || !recipient.confirmed_at) {
+    await updateDelivery(delivery.id, { status: "cancelled", last_error: "unsubscribed" });
+    return;
+  }
+
+  // rapport en clair pour l'adresse du compte (le propriétaire), masqué pour les
+  // autres destinataires (cf. lib/redaction.js)
+  const reveal = normalizeEmail(recipient.email) === normalizeEmail(await accountEmail(delivery.user_id).catch(() => null));
+  const model = await loadReportModel(delivery.report_id, delivery.user_id, { reveal });
+  if (!model) {
+    await updateDelivery(delivery.id, { status: "cancelled", last_error: "report_not_found" });
+    return;
+  }
+  const preferences = await getPreferences(delivery.user_id).catch(() => null);
+  const tr = createTranslator(preferences?.language);
+  const previous = await loadPreviousReportModel(model, { reveal }).catch(() => null);
+  const pdf = await pdfToBuffer(createReportPdf(model, { tr, previous }));
+  const link = unsubscribeUrl(recipient.unsubscribe_token);
+  const { subject, html, text } = renderReportEmail(model, tr, { unsubscribeLink: link });
+
+  const info = await getTransport().sendMail({
+    from: getMailConfig().from,
+    to: recipient.email,
+    subject,
+    html,
+    text,
+    attachments: [{ filename: `resumail-report-${model.id}.pdf`, content: pdf, contentType: "application/pdf" }],
+    list: { unsubscribe: { url: link, comment: tr.t("email.unsubscribe") } },
+  });
+  await updateDelivery(delivery.id, {
+    status: "sent",
+    message_id: info.messageId || null,
+    sent_at: new Date().toISOString(),
+    last_error: null,
+  });
+  console.log(`📧 Rapport ${model.id} envoyé à ${recipient.email}`);
+}
+
+// Réserve un envoi (update conditionnel sur le statut / updated_at)
+async function claimDelivery(delivery) {
+  let query = supabase
+    .from("report_deliveries")
+    .update({ status: "sending", attempts: delivery.attempts + 1, updated_at: new Date().toISOString() })
+    .eq("id", delivery.id)
+    .eq("status", delivery.status);
+  if (delivery.status === "sending") query = query.eq("updated_at", delivery.updated_at);
+  const { data, error } = await query.select(DELIVERY_COLUMNS);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+let polling = false;
+
+export async function pollDeliveries() {
+  if (polling) return;
+  polling = true;
+  try {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_AFTER_MS).toISOString();
+    const { data: candidates, error } = await supabase
+      .from("report_deliveries")
+      .select(DELIVERY_COLUMNS)
+      .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,updated_at.lt.${staleBefore})`)
+      .order("next_attempt_at", { ascending: true })
+      .limit(10);
+    if (error) throw error;
+
+    const { maxAttempts } = getMailConfig();
+    for (const candidate of candidates || []) {
+      const delivery = await claimDelivery(candidate);
+      if (!delivery) continue; // pris par une autre instance
+      try {
+        await sendDelivery(delivery);
+      } catch (err) {
+        const failed = delivery.attempts >= maxAttempts;
+        console.error(`❌ Delivery ${delivery.id} failed (attempt ${delivery.attempts}/${maxAttempts}):`, err.message);
+        await updateDelivery(delivery.id, {
+          status: failed ? "failed" : "pending",
+          last_error: String(err.message || err).slice(0, 500),
+          next_attempt_at: new Date(Date.now() + retryDelayMs(delivery.attempts)).toISOString(),
+        }).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error("⚠️ Delivery poller error:", err.message || err);
+  } finally {
+    polling = false;
+  }
+}
+
+// Envoi automatique des rapports finaux si l'utilisateur l'a activé
+reportEvents.on("completed", async ({ userId, report }) => {
+  try {
+    const preferences = await getPreferences(userId);
+    if (!preferences?.deliver_reports) return;
+    const queued = await queueReportDelivery(userId, report.id);
+    console.log(`📬 ${queued.length} envoi(s) en file pour le rapport ${report.id}`);
+  } catch (err) {
+    console.error(`❌ Failed to queue delivery of report ${report.id}:`, err.message);
+  }
+});
+
+export function startDeliveryWorker() {
+  pollDeliveries();
+  return setInterval(pollDeliveries, getMailConfig().pollIntervalMs);
+}
@@ -0,0 +1,80 @@
+// lib/emailResults.js
+// Classification par email (label, confiance, raison) stockée dans email_results,
+// rattachée au mini-rapport puis au rapport final. Les compteurs agrégés des
+// rapports sont calculés à partir de ces lignes.
+import { supabase } from "../supabaseClient.js";
+
+export const LABELS = ["positive", "negative", "neutral", "other"];
+
+// identifiant stable d'un email dans un batch (id Gmail si disponible)
+export function emailKey(email, index) {
+  return String(email.id || `email-${index + 1}`);
+}
+
+// Ne garde que les résultats qui correspondent à un email du batch (un par email)
+export function normalizeEmailResults(rawResults, batch) {
+  const byKey = new Map(batch.map((e, i) => [emailKey(e, i), e]));
+  const out = new Map();
+
+  for (const r of Array.isArray(rawResults) ? rawResults : []) {
+    const key = r && String(r.id ?? "");
+    const email = byKey.get(key);
+    if (!email || out.has(key)) continue;
+
+    const label = LABELS.includes(String(r.label).toLowerCase()) ? String(r.label).toLowerCase() : "other";
+    const confidence = Math.min(1, Math.max(0, Number(r.confidence) || 0));
+    out.set(key, {
+      message_id: key,
+      thread_id: email.threadId || null,
+      subject: email.subject || null,
+      sender: email.from || null,
+      label,
+      confidence,
+      reason: String(r.reason || "").slice(0, 300),
+    });
+  }
+  return [...out.values()];
+}
+
+export function countLabels(results) {
+  const counts = Object.fromEntries(LABELS.map((l) => [l, 0]));
+  for (const r of results) counts[r.label] += 1;
+  return counts;
+}
+
+export async function saveEmailResults(userId, miniReportId, results) {
+  if (!results.length) return true;
+  const { error } = await supabase
+    .from("email_results")
+    .insert(results.map((r) => ({ ...r, user_id: userId, mini_report_id: miniReportId })));
+  if (error) {
+    console.error("Insert email results error:", error);
+    return false;
+  }
+  return true;
+}
+
+export async function linkEmailResultsToFinal(finalReportId, miniReportIds) {
+  if (!miniReportIds.length) return;
+  const { error } = await supabase
+    .from("email_results")
+    .update({ final_report_id: finalReportId })
+    .in("mini_report_id", miniReportIds);
+  if (error) console.error("Link email results error:", error);
+}
+
+// Résultats d'un rapport (mini ou final), filtrables par label. report : { id, is_final }
+// (ligne de reports) ; un seul filtre eq sur la colonne du type de rapport
+export async function listEmailResults(report, { label, limit = 100, offset = 0 } = {}) {
+  let query = supabase
+    .from("email_results")
+    .select("message_id, thread_id, subject, sender, label, confidence, reason, mini_report_id, final_report_id, created_at", { count: "exact" })
+    .eq(report.is_final ? "final_report_id" : "mini_report_id", report.id)
+    .order("created_at", { ascending: true })
+    .range(Number(offset) || 0, (Number(offset) || 0) + Math.min(Number(limit) || 100, 500) - 1);
+  if (label) query = query.eq("label", label);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return { results: data || [], total: count ?? 0 };
+}
@@ -0,0 +1,114 @@
+// lib/gmail.js
+// Helpers Gmail : décodage des messages et pagination des recherches.
+import { google } from "googleapis";
+import { normalizeMessage } from "./mime.js";
+
+// texte normalisé d'un payload Gmail (cf. lib/mime.js)
+export function extractPlainTextFromPayload(payload) {
+  return normalizeMessage(payload).text;
+}
+
+export function parseHeaders(headers = [], name) {
+  const found = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
+  return found ? found.value : null;
+}
+
+// "Jane Doe <Jane@Example.com>" -> { name: "Jane Doe", address: "jane@example.com", domain: "example.com" }
+export function parseAddress(value) {
+  const raw = String(value || "").trim();
+  const angle = raw.match(/^(.*?)<([^>]+)>\s*$/);
+  const address = (angle ? angle[2] : raw.match(/[^\s<>"]+@[^\s<>"]+/)?.[0] || "").trim().toLowerCase();
+  const name = (angle ? angle[1] : "").trim().replace(/^"(.*)"$/, "$1").trim();
+  return {
+    name: name || null,
+    address: address || null,
+    domain: address.includes("@") ? address.split("@").pop() : null,
+  };
+}
+
+export function createGmail(auth) {
+  return google.gmail({ version: "v1", auth });
+}
+
+// message Gmail (format "full") -> email au format renvoyé par /emails
+export function messageToEmail(msg) {
+  const headers = msg.payload?.headers || [];
+  const { text, attachments } = normalizeMessage(msg.payload, { snippet: msg.snippet || "" });
+  const from = parseHeaders(headers, "From");
+  return {
+    id: msg.id,
+    threadId: msg.threadId,
+    subject: parseHeaders(headers, "Subject") || "(no subject)",
+    from: from || "(unknown)",
+    // { name, address, domain } (cf. lib/senders.js)
+    sender: parseAddress(from),
+    snippet: msg.snippet || "",
+    body: text,
+    attachments,
+    date: parseHeaders(headers, "Date") || null,
+    // date de réception Gmail (fiable, contrairement à l'en-tête Date)
+    receivedAt: msg.internalDate ? new Date(Number(msg.internalDate)).toISOString() : null,
+  };
+}
+
+// "2025-01-31" -> "2025/01/31" (format attendu par les opérateurs after:/before:)
+function toGmailDate(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid date: ${value}`);
+  return d.toISOString().slice(0, 10).replace(/-/g, "/");
+}
+
+export function buildGmailQuery({ q, after, before } = {}) {
+  const parts = [];
+  if (q) parts.push(q);
+  if (after) parts.push(`after:${toGmailDate(after)}`);
+  if (before) parts.push(`before:${toGmailDate(before)}`);
+  return parts.join(" ") || undefined;
+}
+
+// messages.list parcouru au plus pour oldestFirst (500 ids par page)
+const MAX_LISTED_IDS = Number(process.env.GMAIL_MAX_LISTED_IDS || "20000");
+
+// Parcourt messages.list via nextPageToken puis récupère chaque message.
+// Les messages en échec sont ignorés (et non facturés).
+// Gmail liste du plus récent au plus ancien : par défaut les maxEmails plus
+// récents sont gardés ; oldestFirst liste toute la recherche (dans la limite de
+// MAX_LISTED_IDS) pour garder les maxEmails plus anciens, de sorte que la suite
+// puisse être reprise après le plus récent d'entre eux (cf. lib/schedules.js).
+// -> { query, emails, truncated } (truncated : la recherche contenait plus de maxEmails messages)
+export async function fetchEmails(gmail, { q, after, before, maxEmails = 100, oldestFirst = false } = {}) {
+  const query = buildGmailQuery({ q, after, before });
+  const listLimit = oldestFirst ? Math.max(MAX_LISTED_IDS, maxEmails) : maxEmails;
+  let ids = [];
+  let pageToken;
+
+  do {
+    const listRes = await gmail.users.messages.list({
+      userId: "me",
+      q: query,
+      maxResults: Math.min(500, listLimit - ids.length),
+      pageToken,
+    });
+    for (const m of listRes.data.messages || []) ids.push(m.id);
+    pageToken = listRes.data.nextPageToken;
+  } while (pageToken && ids.length < listLimit);
+
+  const truncated = ids.length > maxEmails || !!pageToken;
+  if (oldestFirst && pageToken) {
+    console.warn(`⚠️ Gmail search capped at ${listLimit} messages: older messages are left out (${query})`);
+  }
+  ids = oldestFirst ? ids.slice(-maxEmails) : ids.slice(0, maxEmails);
+
+  const emails = [];
+  for (const id of ids) {
+    try {
+      const got = await gmail.users.messages.get({ userId: "me", id, format: "full" });
+      emails.push(messageToEmail(got.data));
+    } catch (e) {
+      if (e.response?.data?.error === "invalid_grant") throw e;
+      console.warn("Failed to fetch message", id, e?.message);
+    }
+  }
+
+  return { query, emails, truncated };
+}
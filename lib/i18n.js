@@ -0,0 +1,224 @@
+// lib/i18n.js
+// Catalogue de traductions des rapports (PDF et exports) et formats de dates /
+// nombres selon la langue. Les clés suffixées _one / _other sont choisies
+// selon params.count (règles de pluriel Intl).
+
+export const DEFAULT_LANGUAGE = "fr";
+
+const LOCALES = { fr: "fr-FR", en: "en-US" };
+
+const CATALOG = {
+  fr: {
+    "report.title": "Rapport d’analyse – Resumail",
+    "report.docTitle": "Rapport Resumail",
+    "report.docSubject": "Analyse de courriels",
+    "report.unknownUser": "Utilisateur inconnu",
+    "report.partial": "Rapport partiel : {reasons}",
+    "report.footer": "Resumail • {date} • Page {page}/{pages}",
+    "format.pair": "{label} : {value}",
+    "section.summary": "Résumé général",
+    "section.sentiment": "Statistiques et sentiments",
+    "section.highlights": "Points récurrents",
+    "section.threads": "Conversations à traiter",
+    "section.coverage": "Couverture",
+    "section.miniReports": "Mini-rapports détaillés",
+    "section.comparison": "Comparaison avec le rapport précédent",
+    "section.batches": "Sentiments par sous-rapport",
+    "comparison.none": "Aucun rapport précédent à comparer.",
+    "comparison.previous": "Rapport précédent du {date}",
+    "comparison.points": "pts",
+    "summary.empty": "Aucun résumé disponible.",
+    "highlights.empty": "Aucun retour significatif disponible.",
+    "miniReport.title_one": "Sous-rapport #{index} ({count} email)",
+    "miniReport.title_other": "Sous-rapport #{index} ({count} emails)",
+    "miniReport.short_one": "#{index} ({count} email)",
+    "miniReport.short_other": "#{index} ({count} emails)",
+    "count.emails_one": "{count} email",
+    "count.emails_other": "{count} emails",
+    "count.threads_one": "{count} conversation",
+    "count.threads_other": "{count} conversations",
+    "table.category": "Catégorie",
+    "table.count": "Nombre",
+    "table.percent": "%",
+    "table.highlight": "Point récurrent",
+    "table.emails": "Emails",
+    "table.previous": "Précédent",
+    "table.current": "Actuel",
+    "table.change": "Évolution",
+    "table.subject": "Sujet",
+    "table.lastSpeaker": "Dernier intervenant",
+    "table.end": "Fin",
+    "table.reason": "Raison",
+    "coverage.fullyAnalyzed": "Analysés en entier",
+    "coverage.truncated": "Tronqués",
+    "coverage.skipped": "Ignorés",
+    "chart.label": "Répartition des sentiments",
+    "email.subject": "Rapport Resumail du {date}",
+    "email.intro": "Votre analyse de {emails} est terminée. Le rapport complet est joint en PDF.",
+    "email.footer": "Vous recevez cet email car cette adresse est destinataire des rapports Resumail.",
+    "email.unsubscribe": "Se désabonner",
+    "unsubscribe.title": "Désabonnement",
+    "unsubscribe.done": "L’adresse {email} ne recevra plus les rapports Resumail.",
+    "unsubscribe.invalid": "Lien de désabonnement invalide.",
+    "confirm.subject": "Confirmez la réception des rapports Resumail",
+    "confirm.intro": "{owner} souhaite vous envoyer ses rapports d’analyse Resumail à cette adresse.",
+    "confirm.action": "Confirmer la réception",
+    "confirm.ignore": "Si vous n’êtes pas à l’origine de cette demande, ignorez cet email : aucun rapport ne vous sera envoyé.",
+    "confirm.title": "Confirmation",
+    "confirm.done": "L’adresse {email} recevra désormais les rapports Resumail.",
+    "confirm.invalid": "Lien de confirmation invalide ou expiré.",
+    "compare.title": "Ce qui a changé – Resumail",
+    "compare.docTitle": "Comparaison de rapports Resumail",
+    "compare.period": "Du rapport du {from} au rapport du {to}",
+    "section.narrative": "Ce qui a changé",
+    "section.volume": "Volume",
+    "section.highlightChanges": "Évolution des points récurrents",
+    "highlights.new": "Nouveaux",
+    "highlights.gone": "Disparus",
+    "highlights.persistent": "Persistants",
+    "highlights.none": "Aucun",
+    "narrative.volume": "Volume analysé : {from} → {to} emails ({delta}).",
+    "narrative.sentiment": "{label} : {from} → {to} ({delta} pts).",
+    "narrative.stable": "La répartition des sentiments est stable.",
+    "narrative.new": "Nouveaux sujets : {items}.",
+    "narrative.gone": "Sujets disparus : {items}.",
+    "label.positive": "Positif",
+    "label.negative": "Négatif",
+    "label.neutral": "Neutre",
+    "label.other": "Autre",
+  },
+  en: {
+    "report.title": "Analysis report – Resumail",
+    "report.docTitle": "Resumail report",
+    "report.docSubject": "Email analysis",
+    "report.unknownUser": "Unknown user",
+    "report.partial": "Partial report: {reasons}",
+    "report.footer": "Resumail • {date} • Page {page}/{pages}",
+    "format.pair": "{label}: {value}",
+    "section.summary": "Overall summary",
+    "section.sentiment": "Statistics and sentiment",
+    "section.highlights": "Highlights",
+    "section.threads": "Conversations needing attention",
+    "section.coverage": "Coverage",
+    "section.miniReports": "Detailed sub-reports",
+    "section.comparison": "Comparison with the previous report",
+    "section.batches": "Sentiment by sub-report",
+    "comparison.none": "No previous report to compare with.",
+    "comparison.previous": "Previous report from {date}",
+    "comparison.points": "pts",
+    "summary.empty": "No summary available.",
+    "highlights.empty": "No significant feedback available.",
+    "miniReport.title_one": "Sub-report #{index} ({count} email)",
+    "miniReport.title_other": "Sub-report #{index} ({count} emails)",
+    "miniReport.short_one": "#{index} ({count} email)",
+    "miniReport.short_other": "#{index} ({count} emails)",
+    "count.emails_one": "{count} email",
+    "count.emails_other": "{count} emails",
+    "count.threads_one": "{count} conversation",
+    "count.threads_other": "{count} conversations",
+    "table.category": "Category",
+    "table.count": "Count",
+    "table.percent": "%",
+    "table.highlight": "Highlight",
+    "table.emails": "Emails",
+    "table.previous": "Previous",
+    "table.current": "Current",
+    "table.change": "Change",
+    "table.subject": "Subject",
+    "table.lastSpeaker": "Last speaker",
+    "table.end": "Ends",
+    "table.reason": "Reason",
+    "coverage.fullyAnalyzed": "Fully analyzed",
+    "coverage.truncated": "Truncated",
+    "coverage.skipped": "Skipped",
+    "chart.label": "Sentiment breakdown",
+    "email.subject": "Resumail report – {date}",
+    "email.intro": "Your analysis of {emails} is complete. The full report is attached as a PDF.",
+    "email.footer": "You are receiving this email because this address is a Resumail report recipient.",
+    "email.unsubscribe": "Unsubscribe",
+    "unsubscribe.title": "Unsubscribe",
+    "unsubscribe.done": "{email} will no longer receive Resumail reports.",
+    "unsubscribe.invalid": "Invalid unsubscribe link.",
+    "confirm.subject": "Confirm that you want to receive Resumail reports",
+    "confirm.intro": "{owner} would like to send their Resumail analysis reports to this address.",
+    "confirm.action": "Confirm",
+    "confirm.ignore": "If you did not expect this request, ignore this email: no report will be sent to you.",
+    "confirm.title": "Confirmation",
+    "confirm.done": "{email} will now receive Resumail reports.",
+    "confirm.invalid": "Invalid or expired confirmation link.",
+    "compare.title": "What changed – Resumail",
+    "compare.docTitle": "Resumail report comparison",
+    "compare.period": "From the report of {from} to the report of {to}",
+    "section.narrative": "What changed",
+    "section.volume": "Volume",
+    "section.highlightChanges": "Highlight changes",
+    "highlights.new": "New",
+    "highlights.gone": "Gone",
+    "highlights.persistent": "Persistent",
+    "highlights.none": "None",
+    "narrative.volume": "Emails analyzed: {from} → {to} ({delta}).",
+    "narrative.sentiment": "{label}: {from} → {to} ({delta} pts).",
+    "narrative.stable": "The sentiment breakdown is stable.",
+    "narrative.new": "New topics: {items}.",
+    "narrative.gone": "Topics no longer mentioned: {items}.",
+    "label.positive": "Positive",
+    "label.negative": "Negative",
+    "label.neutral": "Neutral",
+    "label.other": "Other",
+  },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOG);
+
+// "en-US", "EN", "fr_FR" -> "en" / "fr" ; null si non supportée
+export function resolveLanguage(value) {
+  const lang = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(lang) ? lang : null;
+}
+
+// Première langue supportée d'un en-tête Accept-Language
+export function languageFromHeader(header) {
+  for (const part of String(header || "").split(",")) {
+    const lang = resolveLanguage(part.split(";")[0]);
+    if (lang) return lang;
+  }
+  return null;
+}
+
+export function createTranslator(language) {
+  const lang = resolveLanguage(language) || DEFAULT_LANGUAGE;
+  const locale = LOCALES[lang];
+  const messages = CATALOG[lang];
+  const plurals = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  const signedFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1, signDisplay: "exceptZero" });
+  const signedPercentFormat = new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 1, signDisplay: "exceptZero" });
+  const percentFormat = new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 1 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "long", timeStyle: "short" });
+
+  const formatNumber = (n) => numberFormat.format(Number(n) || 0);
+
+  function t(key, params = {}) {
+    const pluralKey = typeof params.count === "number" ? `${key}_${plurals.select(params.count)}` : null;
+    const template = messages[pluralKey] ?? messages[`${key}_other`] ?? messages[key] ?? CATALOG[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (_, name) =>
+      typeof params[name] === "number" ? formatNumber(params[name]) : String(params[name] ?? "")
+    );
+  }
+
+  return {
+    lang,
+    locale,
+    t,
+    formatNumber,
+    // écart signé : "+3", "-1,5", "0"
+    formatSigned: (n) => signedFormat.format(Number(n) || 0),
+    // pourcentage exprimé de 0 à 100 (cf. lib/aggregate.js)
+    formatPercent: (pct) => percentFormat.format((Number(pct) || 0) / 100),
+    formatSignedPercent: (pct) => signedPercentFormat.format((Number(pct) || 0) / 100),
+    formatDate: (value) => (value ? dateFormat.format(new Date(value)) : ""),
+    label: (category) => t(`label.${category}`),
+    // "Libellé : valeur" selon la typographie de la langue
+    pair: (label, value) => t("format.pair", { label, value }),
+  };
+}
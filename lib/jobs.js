@@ -0,0 +1,293 @@
+// lib/jobs.js
+// Jobs d'analyse asynchrones : la progression (batchs terminés, mini-rapports)
+// est persistée dans analysis_jobs pour pouvoir reprendre après un crash.
+import { EventEmitter } from "events";
+import { supabase } from "../supabaseClient.js";
+import {
+  chargeCredits,
+  finalizeAnalysis,
+  getCreditsPerEmail,
+  processBatch,
+  refundRemainingCredits,
+} from "./analysis.js";
+import { planBatches } from "./batchPlanner.js";
+import { getRefundedAmount } from "./ledger.js";
+import { getAuthorizedClient } from "./tokenStore.js";
+import { createGmail, fetchEmails } from "./gmail.js";
+import { getRedactionLevel } from "./preferences.js";
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || "5000");
+// un job "running" sans mise à jour depuis ce délai est considéré comme abandonné
+const STALE_AFTER_MS = Number(process.env.JOB_STALE_AFTER_MS || "600000");
+// jobs traités en parallèle par une instance
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || "2"));
+
+// "job:<id>" : état du job à chaque mise à jour ; "finished" : { job, status, finalReportId | error }
+// (status "empty" : aucun email à analyser, rien n'a été débité)
+// (émis par l'instance qui a traité le job)
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const JOB_COLUMNS =
+  "id, user_id, status, source, options, total_emails, total_batches, batches_done, mini_report_ids, final_report_id, credits_charged, error, created_at, updated_at";
+
+// Vue publique d'un job (sans les emails)
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    group_by_thread: !!job.options?.groupByThread,
+    schedule_id: job.source?.scheduleId || null,
+    total_emails: job.total_emails || 0,
+    total_batches: job.total_batches || 0,
+    batches_done: job.batches_done || 0,
+    mini_report_ids: Array.isArray(job.mini_report_ids) ? job.mini_report_ids : [],
+    final_report_id: job.final_report_id || null,
+    credits_charged: job.credits_charged || 0,
+    error: job.error || null,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
+
+export async function getJob(id) {
+  const { data, error } = await supabase
+    .from("analysis_jobs")
+    .select(JOB_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function updateJob(id, patch) {
+  const { data, error } = await supabase
+    .from("analysis_jobs")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(JOB_COLUMNS)
+    .single();
+  if (error) throw error;
+  jobEvents.emit(`job:${id}`, serializeJob(data));
+  return data;
+}
+
+// source: { type: "emails" } (emails fournis, crédits déjà débités)
+//      ou { type: "gmail", user, q, after, before, maxEmails, oldestFirst } (récupération par le worker ;
+//         complété par { truncated, fetchedUntil } si la recherche dépassait maxEmails)
+// id peut être fourni pour débiter les crédits sous la référence du job avant sa création
+// options: { groupByThread }
+export async function createJob({ id, userId, source, options = {}, emails = null, creditsCharged = 0 }) {
+  const { data, error } = await supabase
+    .from("analysis_jobs")
+    .insert([
+      {
+        id,
+        user_id: userId,
+        status: "queued",
+        source,
+        options,
+        emails,
+        total_emails: emails?.length || 0,
+        total_batches: emails ? planBatches(emails, options).batches.length : 0,
+        batches_done: 0,
+        mini_report_ids: [],
+        partial_reports: [],
+        credits_charged: creditsCharged,
+      },
+    ])
+    .select(JOB_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  setImmediate(pollJobs);
+  return data;
+}
+
+// Jobs de l'utilisateur en file ou en cours (limite d'analyses simultanées, lib/rateLimit.js)
+export async function countActiveJobs(userId) {
+  const { count, error } = await supabase
+    .from("analysis_jobs")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .in("status", ["queued", "running"]);
+  if (error) throw error;
+  return count || 0;
+}
+
+// Réserve un job de façon atomique (update conditionnel sur le statut / updated_at)
+async function claimJob(job) {
+  let query = supabase
+    .from("analysis_jobs")
+    .update({ status: "running", updated_at: new Date().toISOString() })
+    .eq("id", job.id)
+    .eq("status", job.status);
+  if (job.status === "running") query = query.eq("updated_at", job.updated_at);
+
+  const { data, error } = await query.select("*");
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+function latestReceivedAt(emails) {
+  const dates = emails.map((e) => e.receivedAt).filter(Boolean).sort();
+  return dates.at(-1) || null;
+}
+
+async function loadEmailsForJob(job) {
+  if (Array.isArray(job.emails)) return job;
+
+  const { user, q, after, before, maxEmails, oldestFirst = false } = job.source || {};
+  const client = await getAuthorizedClient({ userId: job.user_id, email: user });
+  // aucun email : le job se termine "empty" (cf. processJob)
+  const { emails, truncated } = await fetchEmails(createGmail(client), { q, after, before, maxEmails, oldestFirst });
+  // recherche coupée à maxEmails : date du dernier message récupéré (reprise de la suite, cf. lib/schedules.js)
+  const source = truncated ? { ...job.source, truncated: true, fetchedUntil: latestReceivedAt(emails) } : job.source;
+
+  // emails et débit persistés ensemble : une reprise ne refacture pas.
+  // Les emails ignorés par le planificateur (vides, doublons) ne sont pas facturés.
+  const plan = planBatches(emails, job.options || {});
+  const creditsCharged = plan.billableEmails * getCreditsPerEmail();
+  if (creditsCharged) await chargeCredits(job.user_id, creditsCharged, job.id);
+  try {
+    const updated = await updateJob(job.id, {
+      source,
+      emails,
+      total_emails: emails.length,
+      total_batches: plan.batches.length,
+      credits_charged: creditsCharged,
+    });
+    return { ...job, ...updated, emails };
+  } catch (err) {
+    // credits_charged non enregistré : refundFailedJob ne verrait pas le débit
+    await refundRemainingCredits(job.user_id, job.id, creditsCharged, { key: "job_failed", reason: "job_failed" });
+    throw err;
+  }
+}
+
+async function processJob(claimed) {
+  console.log(`⚙️ Job ${claimed.id} démarré (batch ${claimed.batches_done || 0})`);
+  const job = await loadEmailsForJob(claimed);
+
+  // même découpage qu'à la création : batches_done reste valable à la reprise
+  const { groupByThread = false } = job.options || {};
+  const plan = planBatches(job.emails, { groupByThread });
+  if (!plan.billableEmails) {
+    // aucun email à analyser (recherche vide, emails sans contenu) : pas de rapport
+    const updated = await updateJob(job.id, { status: "empty", emails: null, partial_reports: null });
+    console.log(`🫙 Job ${job.id} terminé sans email à analyser`);
+    return { job: updated, status: "empty", finalReport: null };
+  }
+  const redactionLevel = await getRedactionLevel(job.user_id);
+  const { batches } = plan;
+  const miniReportIds = Array.isArray(job.mini_report_ids) ? [...job.mini_report_ids] : [];
+  const partialJsons = Array.isArray(job.partial_reports) ? [...job.partial_reports] : [];
+  // emails des batchs déjà traités, moins ceux remboursés (reprise après crash)
+  const resumedEmails = batches.slice(0, job.batches_done || 0).reduce((sum, b) => sum + b.length, 0);
+  const refundedEmails = (await getRefundedAmount(job.user_id, job.id)) / getCreditsPerEmail();
+  let analyzedEmails = Math.max(0, resumedEmails - refundedEmails);
+
+  for (let i = job.batches_done || 0; i < batches.length; i++) {
+    const done = await processBatch({
+      userId: job.user_id,
+      analysisId: job.id,
+      batch: batches[i],
+      index: i,
+      groupByThread,
+      redactionLevel,
+      jobId: job.id,
+    });
+    if (done) {
+      miniReportIds.push(done.miniId);
+      partialJsons.push(done.parsed);
+      analyzedEmails += batches[i].length;
+    }
+    await updateJob(job.id, {
+      batches_done: i + 1,
+      mini_report_ids: miniReportIds,
+      partial_reports: partialJsons,
+    });
+  }
+
+  const { finalReport } = await finalizeAnalysis({
+    userId: job.user_id,
+    analysisId: job.id,
+    plan,
+    partialJsons,
+    miniReportIds,
+    analyzedEmails,
+    scheduleId: job.source?.scheduleId,
+  });
+
+  await updateJob(job.id, {
+    status: "completed",
+    final_report_id: finalReport.id,
+    emails: null, // inutile de conserver le contenu des emails
+    partial_reports: null,
+  });
+  console.log(`🏁 Job ${job.id} terminé : rapport ${finalReport.id}`);
+  return { job, status: "completed", finalReport };
+}
+
+// Un job en échec rembourse tout ce qui n'a pas déjà été remboursé batch par batch
+async function refundFailedJob(id) {
+  const { data: job } = await supabase
+    .from("analysis_jobs")
+    .select("user_id, credits_charged")
+    .eq("id", id)
+    .single();
+  if (!job?.credits_charged) return;
+
+  await refundRemainingCredits(job.user_id, id, job.credits_charged, { key: "job_failed", reason: "job_failed" });
+}
+
+// Réserve puis traite un job ; un échec est enregistré sur le job et remboursé
+async function runJob(candidate) {
+  const claimed = await claimJob(candidate);
+  if (!claimed) return; // pris par une autre instance
+  try {
+    const { job, status, finalReport } = await processJob(claimed);
+    jobEvents.emit("finished", { job, status, finalReportId: finalReport?.id || null });
+  } catch (err) {
+    console.error(`❌ Job ${claimed.id} failed:`, err);
+    await updateJob(claimed.id, { status: "failed", error: err.message }).catch(() => {});
+    await refundFailedJob(claimed.id).catch((e) => console.error(`❌ Refund failed for job ${claimed.id}:`, e));
+    jobEvents.emit("finished", { job: claimed, status: "failed", error: err });
+  }
+}
+
+let polling = false;
+
+export async function pollJobs() {
+  if (polling) return;
+  polling = true;
+  try {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+    const { data: candidates, error } = await supabase
+      .from("analysis_jobs")
+      .select("id, status, updated_at")
+      .or(`status.eq.queued,and(status.eq.running,updated_at.lt.${staleBefore})`)
+      .order("created_at", { ascending: true })
+      .limit(Math.max(5, JOB_CONCURRENCY));
+    if (error) throw error;
+
+    // au plus JOB_CONCURRENCY jobs à la fois, dans l'ordre de création
+    const queue = [...(candidates || [])];
+    const worker = async () => {
+      while (queue.length) {
+        const candidate = queue.shift();
+        await runJob(candidate).catch((err) => console.error(`⚠️ Job ${candidate.id} not processed:`, err.message || err));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(JOB_CONCURRENCY, queue.length) }, worker));
+  } catch (err) {
+    console.error("⚠️ Job poller error:", err.message || err);
+  } finally {
+    polling = false;
+  }
+}
+
+export function startJobWorker() {
+  pollJobs();
+  return setInterval(pollJobs, POLL_INTERVAL_MS);
+}
@@ -0,0 +1,125 @@
+// lib/jsonSchema.js
+// Validation JSON Schema minimale (sous-ensemble : type, properties, required,
+// additionalProperties, items, enum, minimum/maximum, minLength/maxLength, maxItems)
+// pour les sorties structurées des modèles, et schémas des réponses attendues.
+import { LABELS } from "./emailResults.js";
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+// -> liste d'erreurs lisibles ("$.emails[3].label: must be one of ..."), vide si valide
+export function validateSchema(schema, value, path = "$") {
+  const errors = [];
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${[].concat(schema.type).join("|")}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: too long`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: too many items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validateSchema(sub, v, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+    }
+  }
+  return errors;
+}
+
+const label = { type: "string", enum: LABELS };
+
+const highlights = {
+  type: "array",
+  maxItems: 20,
+  items: {
+    type: "object",
+    required: ["text", "count"],
+    properties: {
+      text: { type: "string", minLength: 1, maxLength: 300 },
+      count: { type: "integer", minimum: 0 },
+    },
+  },
+};
+
+// Sortie d'un batch analysé email par email
+export const BATCH_OUTPUT_SCHEMA = {
+  type: "object",
+  required: ["highlights", "summary", "emails"],
+  properties: {
+    highlights,
+    summary: { type: "string" },
+    emails: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "label", "confidence"],
+        properties: {
+          id: { type: ["string", "integer"] },
+          label,
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+          reason: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Sortie d'un batch analysé par conversation
+export const THREAD_BATCH_OUTPUT_SCHEMA = {
+  type: "object",
+  required: ["highlights", "summary", "threads"],
+  properties: {
+    highlights,
+    summary: { type: "string" },
+    threads: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "label", "sentiment_start", "sentiment_end", "resolved", "needs_attention"],
+        properties: {
+          id: { type: ["string", "integer"] },
+          label,
+          sentiment_start: label,
+          sentiment_end: label,
+          resolved: { type: "boolean" },
+          needs_attention: { type: "boolean" },
+          reason: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Résumé du rapport final (les chiffres sont calculés dans lib/aggregate.js)
+export const SUMMARY_OUTPUT_SCHEMA = {
+  type: "object",
+  required: ["summary"],
+  properties: {
+    summary: { type: "string", minLength: 1 },
+  },
+};
@@ -0,0 +1,266 @@
+// lib/ledger.js
+// Grand livre des crédits en partie double : chaque transaction passe deux
+// écritures (compte utilisateur / compte de contrepartie) dont la somme est nulle.
+// profiles.credits n'est qu'un cache du solde du compte utilisateur.
+import { EventEmitter } from "events";
+import { supabase } from "../supabaseClient.js";
+
+export const ENTRY_TYPES = ["purchase", "consumption", "refund", "grant", "adjustment"];
+
+// comptes de contrepartie par type d'écriture
+const COUNTER_ACCOUNTS = {
+  purchase: "external:stripe",
+  consumption: "system:usage",
+  refund: "system:usage",
+  grant: "system:grants",
+  adjustment: "system:adjustments",
+};
+
+export class LedgerError extends Error {
+  constructor(message, status = 500, code = "ledger_error") {
+    super(message);
+    this.name = "LedgerError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const userAccount = (userId) => `user:${userId}`;
+
+// "transaction" : { userId, type, amount, balance } après chaque nouvelle transaction
+// (pas pour un doublon) ; utilisé par les webhooks credits.low (lib/webhooks.js)
+export const ledgerEvents = new EventEmitter();
+
+// aussi appelé pour les transactions passées par d'autres RPC (cf. lib/stripeWebhook.js)
+export function announceTransaction(result, { userId, type, amount }) {
+  if (!result.duplicate) ledgerEvents.emit("transaction", { userId, type, amount, balance: result.balance });
+  return result;
+}
+
+// Passe une transaction (amount signé, vu du compte utilisateur).
+// Idempotent sur (type, referenceType, referenceId) : un doublon renvoie la transaction existante.
+export async function postCreditTransaction({
+  userId,
+  type,
+  amount,
+  referenceType = null,
+  referenceId = null,
+  description = null,
+  metadata = {},
+  allowNegative = false,
+}) {
+  if (!ENTRY_TYPES.includes(type)) throw new LedgerError(`Unknown entry type: ${type}`, 400);
+  if (!Number.isInteger(amount) || amount === 0) throw new LedgerError("Amount must be a non-zero integer", 400);
+
+  const { data, error } = await supabase.rpc("post_credit_transaction", {
+    p_user_id: userId,
+    p_type: type,
+    p_amount: amount,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_description: description,
+    p_metadata: metadata,
+    p_allow_negative: allowNegative,
+  });
+
+  if (!error) {
+    const row = Array.isArray(data) ? data[0] : data;
+    return announceTransaction(
+      { transactionId: row?.transaction_id, balance: row?.balance, duplicate: !!row?.duplicate },
+      { userId, type, amount }
+    );
+  }
+
+  if (String(error.message).includes("insufficient_credits")) {
+    throw new LedgerError("Not enough credits", 402, "insufficient_credits");
+  }
+  if (String(error.message).includes("profile_not_found")) {
+    throw new LedgerError("User not found", 404, "profile_not_found");
+  }
+  // RPC absente (PGRST202) : fallback manuel, non atomique
+  if (error.code !== "PGRST202") throw new LedgerError(`Ledger error: ${error.message}`);
+  console.warn("⚠️ post_credit_transaction RPC missing, using manual fallback");
+  return announceTransaction(
+    await postCreditTransactionManually({ userId, type, amount, referenceType, referenceId, description, metadata, allowNegative }),
+    { userId, type, amount }
+  );
+}
+
+async function findTransaction(type, referenceType, referenceId) {
+  if (!referenceId) return null;
+  const { data } = await supabase
+    .from("credit_transactions")
+    .select("id, balance_after")
+    .eq("entry_type", type)
+    .eq("reference_type", referenceType)
+    .eq("reference_id", referenceId)
+    .maybeSingle();
+  return data;
+}
+
+async function postCreditTransactionManually({ userId, type, amount, referenceType, referenceId, description, metadata, allowNegative }) {
+  const existing = await findTransaction(type, referenceType, referenceId);
+  if (existing) return { transactionId: existing.id, balance: existing.balance_after, duplicate: true };
+
+  const { data: profile, error: selErr } = await supabase
+    .from("profiles")
+    .select("credits")
+    .eq("id", userId)
+    .single();
+  if (selErr || !profile) throw new LedgerError("User not found", 404, "profile_not_found");
+
+  const balance = profile.credits + amount;
+  if (balance < 0 && !allowNegative) throw new LedgerError("Not enough credits", 402, "insufficient_credits");
+
+  await ensureOpeningBalance(userId, profile.credits);
+
+  const transactionId = await insertTransaction({ userId, type, amount, balance, referenceType, referenceId, description, metadata });
+
+  const { error: updErr } = await supabase
+    .from("profiles")
+    .update({ credits: balance })
+    .eq("id", userId);
+  if (updErr) throw new LedgerError(`Failed to update credits: ${updErr.message}`);
+
+  return { transactionId, balance, duplicate: false };
+}
+
+// Les soldes antérieurs au grand livre sont repris via une écriture d'ouverture
+// (adjustment) avant la première transaction ; le profil porte déjà ce solde.
+async function ensureOpeningBalance(userId, credits) {
+  if (!credits) return;
+  const { count, error } = await supabase
+    .from("credit_transactions")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId);
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  if (count > 0) return;
+
+  await insertTransaction({
+    userId,
+    type: "adjustment",
+    amount: credits,
+    balance: credits,
+    referenceType: "opening_balance",
+    referenceId: userId,
+    description: "Solde d'ouverture",
+  }).catch((err) => {
+    if (err.code !== "duplicate") throw err; // déjà ouvert en parallèle
+  });
+}
+
+// Insère la transaction et ses deux écritures (utilisateur / contrepartie)
+async function insertTransaction({ userId, type, amount, balance, referenceType, referenceId, description, metadata = {} }) {
+  const { data: tx, error: txErr } = await supabase
+    .from("credit_transactions")
+    .insert([
+      {
+        user_id: userId,
+        entry_type: type,
+        amount,
+        balance_after: balance,
+        reference_type: referenceType,
+        reference_id: referenceId,
+        description,
+        metadata,
+      },
+    ])
+    .select("id")
+    .single();
+  if (txErr) throw new LedgerError(`Ledger error: ${txErr.message}`, 500, txErr.code === "23505" ? "duplicate" : "ledger_error");
+
+  const { error: legErr } = await supabase.from("credit_ledger_entries").insert([
+    { transaction_id: tx.id, account: userAccount(userId), amount },
+    { transaction_id: tx.id, account: COUNTER_ACCOUNTS[type], amount: -amount },
+  ]);
+  if (legErr) throw new LedgerError(`Ledger error: ${legErr.message}`);
+  return tx.id;
+}
+
+export function consumeCredits(userId, amount, { referenceType = null, referenceId = null, description = null, metadata } = {}) {
+  return postCreditTransaction({ userId, type: "consumption", amount: -amount, referenceType, referenceId, description, metadata });
+}
+
+export function refundCredits(userId, amount, { referenceType = null, referenceId = null, description = null, metadata } = {}) {
+  return postCreditTransaction({ userId, type: "refund", amount, referenceType, referenceId, description, metadata });
+}
+
+export function grantCredits(userId, amount, { referenceType = null, referenceId = null, description = null, metadata } = {}) {
+  return postCreditTransaction({ userId, type: "grant", amount, referenceType, referenceId, description, metadata });
+}
+
+// Somme des remboursements déjà passés pour une analyse (références "<analysisId>:...")
+export async function getRefundedAmount(userId, analysisId) {
+  const { data, error } = await supabase
+    .from("credit_transactions")
+    .select("amount")
+    .eq("user_id", userId)
+    .eq("entry_type", "refund")
+    .eq("reference_type", "analysis")
+    .like("reference_id", `${analysisId}:%`);
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  return (data || []).reduce((sum, t) => sum + t.amount, 0);
+}
+
+// Crédits consommés (nets des remboursements) depuis une date
+export async function getNetConsumptionSince(userId, since) {
+  const { data, error } = await supabase
+    .from("credit_transactions")
+    .select("amount")
+    .eq("user_id", userId)
+    .in("entry_type", ["consumption", "refund"])
+    .gte("created_at", since);
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  return -(data || []).reduce((sum, t) => sum + t.amount, 0);
+}
+
+// Solde courant (cache profiles.credits, celui que vérifie post_credit_transaction)
+export async function getCreditBalance(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("credits")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  if (!data) throw new LedgerError("User not found", 404, "profile_not_found");
+  return data.credits || 0;
+}
+
+// Solde dérivé des écritures du compte utilisateur (somme calculée en base)
+export async function getLedgerBalance(userId) {
+  const { data, error } = await supabase.rpc("credit_ledger_balance", { p_user_id: userId });
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  const row = Array.isArray(data) ? data[0] : data;
+  return { balance: row?.balance || 0, entries: row?.entries || 0 };
+}
+
+// Rapproche profiles.credits du grand livre (RPC reconcile_credit_balance, sous
+// le verrou du profil) :
+// - aucun historique : écriture d'ouverture (adjustment) du solde existant
+// - écart : le grand livre fait foi, le cache profiles.credits est corrigé
+export async function reconcileBalance(userId) {
+  const { data, error } = await supabase.rpc("reconcile_credit_balance", { p_user_id: userId });
+  if (error) {
+    if (String(error.message).includes("profile_not_found")) {
+      throw new LedgerError("User not found", 404, "profile_not_found");
+    }
+    throw new LedgerError(`Ledger error: ${error.message}`);
+  }
+  const row = Array.isArray(data) ? data[0] : data;
+  if (row?.corrected) console.warn(`⚠️ Credits drift corrected for ${userId}: ledger=${row.ledger_balance}`);
+  return { balance: row?.balance ?? 0, ledgerBalance: row?.ledger_balance ?? 0, corrected: !!row?.corrected };
+}
+
+export async function listTransactions(userId, { limit = 50, before } = {}) {
+  let query = supabase
+    .from("credit_transactions")
+    .select("id, entry_type, amount, balance_after, reference_type, reference_id, description, metadata, created_at")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 200));
+  if (before) query = query.lt("created_at", before);
+
+  const { data, error } = await query;
+  if (error) throw new LedgerError(`Ledger error: ${error.message}`);
+  return data || [];
+}
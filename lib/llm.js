@@ -0,0 +1,276 @@
+// lib/llm.js
+// Couche fournisseur LLM : OpenAI, serveur compatible OpenAI (Ollama, vLLM,
+// LM Studio...) ou mock déterministe hors ligne. Modèles, limites et coûts
+// sont configurés par déploiement via les variables LLM_*.
+import OpenAI from "openai";
+import { validateSchema } from "./jsonSchema.js";
+
+export class LLMError extends Error {
+  constructor(message, status = 502, code = "llm_error") {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// prix en USD par million de tokens (entrée / sortie), surchargeables via LLM_PRICING
+const DEFAULT_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+};
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    console.warn(`⚠️ ${name} is not valid JSON, ignored`);
+    return {};
+  }
+}
+
+// Paramètres par tâche : "batch" (analyse d'un lot d'emails) et "merge" (résumé du rapport final)
+export function getLLMConfig() {
+  const provider = process.env.LLM_PROVIDER || "openai";
+  const model = process.env.LLM_MODEL || "gpt-4o-mini";
+  const temperature = Number(process.env.LLM_TEMPERATURE || "0.2");
+  return {
+    provider,
+    baseURL: process.env.LLM_BASE_URL || undefined,
+    // les serveurs compatibles ne gèrent pas tous response_format
+    jsonMode: (process.env.LLM_JSON_MODE || (provider === "openai" ? "true" : "false")) === "true",
+    // appels par sortie structurée : 1 appel + réparations si la réponse est invalide
+    maxAttempts: Math.max(1, Number(process.env.LLM_MAX_ATTEMPTS || "3")),
+    tasks: {
+      batch: {
+        model: process.env.LLM_BATCH_MODEL || model,
+        temperature,
+        maxTokens: Number(process.env.LLM_BATCH_MAX_TOKENS || "3000"),
+        // budget du prompt d'un batch, plafond par email et nombre max d'emails (cf. lib/batchPlanner.js)
+        maxInputTokens: Number(process.env.LLM_BATCH_MAX_INPUT_TOKENS || "8000"),
+        maxEmailTokens: Number(process.env.LLM_BATCH_MAX_EMAIL_TOKENS || "800"),
+        maxEmails: Number(process.env.LLM_BATCH_MAX_EMAILS || "50"),
+      },
+      merge: {
+        model: process.env.LLM_MERGE_MODEL || model,
+        temperature,
+        maxTokens: Number(process.env.LLM_MERGE_MAX_TOKENS || "1000"),
+        // au-delà, les résumés des mini-rapports sont condensés par groupes avant le résumé final
+        maxInputTokens: Number(process.env.LLM_MERGE_MAX_INPUT_TOKENS || "6000"),
+      },
+    },
+    pricing: { ...DEFAULT_PRICING, ...parseJsonEnv("LLM_PRICING") },
+  };
+}
+
+export function getTaskConfig(task) {
+  const config = getLLMConfig().tasks[task];
+  if (!config) throw new LLMError(`Unknown LLM task: ${task}`, 500, "unknown_task");
+  return config;
+}
+
+export function estimateCost(model, usage, pricing = getLLMConfig().pricing) {
+  const price = pricing[model];
+  if (!price) return 0;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+// ---------- Adaptateurs ----------
+// Interface commune : complete({ task, model, messages, temperature, maxTokens, json })
+//   -> { text, usage: { inputTokens, outputTokens } }
+
+function createOpenAIProvider({ name, apiKey, baseURL, organization, jsonMode }) {
+  const client = new OpenAI({ apiKey, baseURL, organization });
+  return {
+    name,
+    async complete({ model, messages, temperature, maxTokens, json }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && jsonMode && { response_format: { type: "json_object" } }),
+      });
+      return {
+        text: completion.choices?.[0]?.message?.content || "",
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || 0,
+          outputTokens: completion.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+const NEGATIVE_WORDS = /\b(angry|bad|broken|complain\w*|disappoint\w*|error|fail\w*|issue|late|problem|refund|terrible|urgent|wrong|déçu\w*|problème|retard|remboursement|plainte|erreur)\b/i;
+const POSITIVE_WORDS = /\b(thank\w*|great|love|happy|perfect|excellent|awesome|merci|super|parfait|génial|ravi\w*)\b/i;
+
+function mockLabel(text) {
+  if (NEGATIVE_WORDS.test(text)) return "negative";
+  if (POSITIVE_WORDS.test(text)) return "positive";
+  return "neutral";
+}
+
+// Réponse déterministe déduite du prompt : un résultat par [id=...] et un
+// label par mots-clés, de quoi faire tourner tout le pipeline sans réseau
+function mockResponse({ task, messages }) {
+  const system = messages.find((m) => m.role === "system")?.content || "";
+  const user = messages.filter((m) => m.role === "user").map((m) => m.content).join("\n");
+
+  if (task === "merge") {
+    return { summary: "Mock merged summary." };
+  }
+
+  const blocks = user.split(/\n\n(?=(?:Email|Thread) \[id=)/);
+  const items = [];
+  for (const block of blocks) {
+    const id = block.match(/\[id=([^\]]+)\]/)?.[1];
+    if (id) items.push({ id, label: mockLabel(block) });
+  }
+
+  if (system.includes('"threads"')) {
+    return {
+      highlights: [],
+      summary: `Mock analysis of ${items.length} threads.`,
+      threads: items.map(({ id, label }) => ({
+        id,
+        label,
+        sentiment_start: label,
+        sentiment_end: label,
+        resolved: label !== "negative",
+        needs_attention: label === "negative",
+        reason: "mock",
+      })),
+    };
+  }
+  return {
+    highlights: [],
+    summary: `Mock analysis of ${items.length} emails.`,
+    emails: items.map(({ id, label }) => ({ id, label, confidence: 0.9, reason: "mock" })),
+  };
+}
+
+// responses : réponses figées par tâche (objet, chaîne ou fonction(request)),
+// sinon mockResponse
+export function createMockProvider({ responses = {} } = {}) {
+  return {
+    name: "mock",
+    async complete(request) {
+      const canned = responses[request.task];
+      const out = typeof canned === "function" ? canned(request) : canned ?? mockResponse(request);
+      const text = typeof out === "string" ? out : JSON.stringify(out);
+      const inputChars = request.messages.reduce((sum, m) => sum + String(m.content).length, 0);
+      // ~4 caractères par token, pour que le suivi des coûts reste réaliste
+      return { text, usage: { inputTokens: Math.ceil(inputChars / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  };
+}
+
+export function createProvider(config = getLLMConfig()) {
+  switch (config.provider) {
+    case "openai":
+      return createOpenAIProvider({
+        name: "openai",
+        apiKey: process.env.OPENAI_API_KEY,
+        organization: process.env.OPENAI_ORG_ID,
+        baseURL: config.baseURL,
+        jsonMode: config.jsonMode,
+      });
+    case "openai-compatible":
+      if (!config.baseURL) throw new LLMError("LLM_BASE_URL is required for openai-compatible", 500, "misconfigured");
+      return createOpenAIProvider({
+        name: "openai-compatible",
+        apiKey: process.env.LLM_API_KEY || "not-needed",
+        baseURL: config.baseURL,
+        jsonMode: config.jsonMode,
+      });
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new LLMError(`Unknown LLM_PROVIDER: ${config.provider}`, 500, "misconfigured");
+  }
+}
+
+let provider = null;
+
+export function getProvider() {
+  if (!provider) provider = createProvider();
+  return provider;
+}
+
+// Remplace le fournisseur courant (tests, scripts hors ligne)
+export function setProvider(next) {
+  provider = next;
+}
+
+// ---------- API utilisée par le pipeline ----------
+
+// Appel texte pour une tâche configurée -> { text, usage, cost, model, provider }
+export async function complete(task, messages, { json = false } = {}) {
+  const { model, temperature, maxTokens } = getTaskConfig(task);
+  const current = getProvider();
+  let result;
+  try {
+    result = await current.complete({ task, model, messages, temperature, maxTokens, json });
+  } catch (err) {
+    throw new LLMError(`${current.name} ${task} call failed: ${err.message}`, 502, "provider_error");
+  }
+
+  const cost = estimateCost(model, result.usage);
+  console.log(
+    `🤖 ${current.name}/${model} ${task}: ${result.usage.inputTokens}+${result.usage.outputTokens} tokens, $${cost.toFixed(5)}`
+  );
+  return { ...result, cost, model, provider: current.name };
+}
+
+// Parse strict : seule une éventuelle clôture ```json est tolérée autour de l'objet
+function parseJsonOutput(text) {
+  const trimmed = String(text || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+  try {
+    return { value: JSON.parse(trimmed) };
+  } catch (err) {
+    return { error: `$: not valid JSON (${err.message})` };
+  }
+}
+
+// Sortie structurée validée par un schéma JSON. Une réponse invalide est renvoyée
+// au modèle avec les erreurs pour correction, dans la limite de maxAttempts appels.
+// -> { json, valid, errors, attempts, usage } (json = null si jamais valide)
+export async function completeStructured(task, messages, schema, { maxAttempts = getLLMConfig().maxAttempts } = {}) {
+  let conversation = messages;
+  let usage = null;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const call = await complete(task, conversation, { json: true });
+    usage = addUsage(usage, call);
+
+    const { value, error } = parseJsonOutput(call.text);
+    errors = error ? [error] : validateSchema(schema, value);
+    if (!errors.length) return { json: value, valid: true, errors, attempts: attempt, usage };
+
+    console.warn(`⚠️ ${task} output invalid (attempt ${attempt}/${maxAttempts}): ${errors.slice(0, 5).join("; ")}`);
+    conversation = [
+      ...messages,
+      { role: "assistant", content: call.text.slice(0, 4000) },
+      {
+        role: "user",
+        content: `Your previous answer did not match the required format: ${errors.slice(0, 10).join("; ")}. Reply with ONLY the corrected JSON object.`,
+      },
+    ];
+  }
+
+  return { json: null, valid: false, errors, attempts: maxAttempts, usage };
+}
+
+// Cumul de l'usage de plusieurs appels
+export function addUsage(total, call) {
+  return {
+    calls: (total?.calls || 0) + (call?.calls ?? 1),
+    inputTokens: (total?.inputTokens || 0) + (call?.inputTokens ?? call?.usage?.inputTokens ?? 0),
+    outputTokens: (total?.outputTokens || 0) + (call?.outputTokens ?? call?.usage?.outputTokens ?? 0),
+    cost: (total?.cost || 0) + (call?.cost || 0),
+  };
+}
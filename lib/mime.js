@@ -0,0 +1,308 @@
+// lib/mime.js
+// Normalisation des messages : choix de la meilleure partie texte (text/plain,
+// sinon HTML converti en texte), charsets, encodages de transfert, suppression
+// des citations / signatures et liste des pièces jointes.
+//
+// Deux entrées possibles :
+// - payload Gmail (format "full") : body.data en base64url, encodage de transfert déjà décodé par Gmail
+// - message brut (.eml / format "raw") via parseRawMessage(), qui produit le même arbre de parties
+
+// ---------- en-têtes ----------
+
+function headerValue(headers = [], name) {
+  const found = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
+  return found ? found.value : null;
+}
+
+// "text/plain; charset=ISO-8859-1; format=flowed" -> { value: "text/plain", params: { charset: "ISO-8859-1", ... } }
+export function parseHeaderParams(value) {
+  const [head, ...rest] = String(value || "").split(";");
+  const params = {};
+  for (const p of rest) {
+    const idx = p.indexOf("=");
+    if (idx === -1) continue;
+    const key = p.slice(0, idx).trim().toLowerCase();
+    const val = p.slice(idx + 1).trim().replace(/^"(.*)"$/, "$1");
+    params[key] = decodeEncodedWords(val);
+  }
+  return { value: head.trim().toLowerCase(), params };
+}
+
+// 0x80-0x9F en windows-1252 (0x81, 0x8D, 0x8F, 0x90, 0x9D non attribués)
+const CP1252_HIGH = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ";
+
+// Le TextDecoder de Node 20 décode windows-1252 (et ses alias WHATWG :
+// iso-8859-1, us-ascii...) comme du latin1 : 0x80-0x9F deviennent des caractères
+// de contrôle au lieu de €, ’, –...
+function decodeWindows1252(buffer) {
+  let out = "";
+  for (const byte of buffer) out += byte >= 0x80 && byte < 0xa0 ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  return out;
+}
+
+function decodeBytes(buffer, charset = "utf-8") {
+  const label = String(charset || "utf-8").toLowerCase().replace(/^"|"$/g, "");
+  try {
+    const decoder = new TextDecoder(label);
+    return decoder.encoding === "windows-1252" ? decodeWindows1252(buffer) : decoder.decode(buffer);
+  } catch {
+    // charset inconnu de l'ICU : on retombe sur utf-8
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+}
+
+// RFC 2047 : =?UTF-8?B?...?= / =?ISO-8859-1?Q?...?=
+export function decodeEncodedWords(value) {
+  return String(value || "")
+    .replace(/\?=\s+=\?/g, "?==?") // espaces entre mots encodés adjacents ignorés
+    .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (_, charset, enc, text) => {
+      const bytes =
+        enc.toUpperCase() === "B"
+          ? Buffer.from(text, "base64")
+          : decodeQuotedPrintable(text.replace(/_/g, " "));
+      return decodeBytes(bytes, charset);
+    });
+}
+
+// ---------- encodages de transfert ----------
+
+export function decodeQuotedPrintable(input) {
+  const str = String(input).replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    const hex = str.slice(i + 1, i + 3);
+    if (str[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(str.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeTransferEncoding(binary, encoding) {
+  switch (String(encoding || "").toLowerCase()) {
+    case "base64":
+      return Buffer.from(binary.replace(/\s+/g, ""), "base64");
+    case "quoted-printable":
+      return decodeQuotedPrintable(binary);
+    default:
+      return Buffer.from(binary, "latin1");
+  }
+}
+
+// ---------- message brut (.eml) ----------
+
+function splitHeadersAndBody(binary) {
+  const match = binary.match(/\r?\n\r?\n/);
+  if (!match) return { headerText: binary, body: "" };
+  return {
+    headerText: binary.slice(0, match.index),
+    body: binary.slice(match.index + match[0].length),
+  };
+}
+
+function parseHeaderBlock(headerText) {
+  const headers = [];
+  for (const line of headerText.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length) {
+      headers[headers.length - 1].value += " " + line.trim(); // en-tête replié
+      continue;
+    }
+    const idx = line.indexOf(":");
+    if (idx > 0) headers.push({ name: line.slice(0, idx).trim(), value: line.slice(idx + 1).trim() });
+  }
+  // valeurs en octets bruts (latin1) -> utf-8 si besoin, puis mots encodés RFC 2047
+  return headers.map((h) => ({
+    name: h.name,
+    value: decodeEncodedWords(decodeBytes(Buffer.from(h.value, "latin1"), "utf-8")),
+  }));
+}
+
+function parsePart(binary) {
+  const { headerText, body } = splitHeadersAndBody(binary);
+  const headers = parseHeaderBlock(headerText);
+  const contentType = parseHeaderParams(headerValue(headers, "Content-Type") || "text/plain");
+  const disposition = parseHeaderParams(headerValue(headers, "Content-Disposition") || "");
+  const filename = disposition.params.filename || contentType.params.name || "";
+
+  const part = { mimeType: contentType.value, filename, headers, body: { size: 0 } };
+
+  if (contentType.value.startsWith("multipart/") && contentType.params.boundary) {
+    const boundary = `--${contentType.params.boundary}`;
+    const sections = body.split(boundary).slice(1);
+    part.parts = [];
+    for (const section of sections) {
+      if (section.startsWith("--")) break; // délimiteur final
+      part.parts.push(parsePart(section.replace(/^\r?\n/, "").replace(/\r?\n$/, "")));
+    }
+    return part;
+  }
+
+  if (contentType.value === "message/rfc822") {
+    part.parts = [parsePart(body)];
+    return part;
+  }
+
+  const buffer = decodeTransferEncoding(body, headerValue(headers, "Content-Transfer-Encoding"));
+  part.body = { size: buffer.length, buffer };
+  return part;
+}
+
+// .eml (Buffer ou chaîne) -> arbre de parties au format payload Gmail
+export function parseRawMessage(raw) {
+  const binary = Buffer.isBuffer(raw) ? raw.toString("latin1") : Buffer.from(String(raw), "utf8").toString("latin1");
+  return parsePart(binary);
+}
+
+// ---------- HTML -> texte ----------
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  eacute: "é", egrave: "è", ecirc: "ê", agrave: "à", acirc: "â", ccedil: "ç",
+  ocirc: "ô", ucirc: "û", ugrave: "ù", icirc: "î", iuml: "ï", euml: "ë",
+  Eacute: "É", Egrave: "È", Agrave: "À", Ccedil: "Ç", laquo: "«", raquo: "»",
+  rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", hellip: "…", ndash: "–", mdash: "—",
+  euro: "€", copy: "©", reg: "®", trade: "™", zwnj: "", zwj: "",
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&([a-z]+);/gi, (m, name) => (name in NAMED_ENTITIES ? NAMED_ENTITIES[name] : m));
+}
+
+export function htmlToText(html) {
+  return decodeEntities(
+    String(html || "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(head|script|style|title|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, "")
+      // éléments masqués (preheaders, balises de tracking)
+      .replace(/<(\w+)[^>]*style\s*=\s*["'][^"']*display\s*:\s*none[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi, "")
+      // citations des clients mail (Gmail, Outlook, Apple Mail)
+      .replace(/<div[^>]*class=["'][^"']*gmail_quote[^"']*["'][^>]*>[\s\S]*$/i, "")
+      .replace(/<div[^>]*id=["']?(divRplyFwdMsg|appendonsend)["']?[^>]*>[\s\S]*$/i, "")
+      .replace(/<blockquote\b[\s\S]*?<\/blockquote>/gi, "")
+      .replace(/<img\b[^>]*>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<\/(p|div|tr|h[1-6]|ul|ol|table|section|article|header|footer)>/gi, "\n")
+      .replace(/<(td|th)\b[^>]*>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/ /g, " ")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ---------- citations et signatures ----------
+
+const REPLY_HEADER_PATTERNS = [
+  /^On .{1,200} wrote:\s*$/, // Gmail / Apple Mail (en)
+  /^Le .{1,200} a écrit\s*:\s*$/, // Gmail / Apple Mail (fr)
+  /^-{2,}\s*(Original Message|Message d'origine|Forwarded message|Message transféré)\s*-{2,}/i,
+  /^_{10,}\s*$/, // séparateur Outlook
+  /^(From|De)\s*:.+$/, // bloc d'en-têtes Outlook en début de citation
+];
+
+const SIGNATURE_PATTERNS = [
+  /^-- ?$/, // délimiteur RFC 3676
+  /^(Sent from my|Envoyé de mon|Envoyé depuis mon) .{1,40}$/i,
+  /^Get Outlook for .{1,20}$/i,
+];
+
+export function stripQuotesAndSignature(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
+    // un en-tête de réponse peut être coupé sur deux lignes ("On ..., X <x@y>\nwrote:")
+    const joined = `${line} ${(lines[i + 1] || "").trim()}`;
+    if (REPLY_HEADER_PATTERNS.some((re) => re.test(line) || re.test(joined))) {
+      // "From:" seul en milieu de texte n'est une citation que s'il est suivi d'en-têtes
+      if (/^(From|De)\s*:/.test(line) && !/^(Sent|Envoyé|Date|To|À)\s*:/i.test((lines[i + 1] || "").trim())) {
+        kept.push(line);
+        continue;
+      }
+      break;
+    }
+    if (SIGNATURE_PATTERNS.some((re) => re.test(line))) break;
+    if (/^>/.test(line)) continue; // ligne citée
+    kept.push(line);
+  }
+
+  return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// ---------- arbre de parties ----------
+
+function isAttachment(part) {
+  const disposition = parseHeaderParams(headerValue(part.headers, "Content-Disposition") || "");
+  return !!part.filename || disposition.value === "attachment" || !!part.body?.attachmentId;
+}
+
+function partText(part) {
+  const contentType = parseHeaderParams(headerValue(part.headers, "Content-Type") || part.mimeType);
+  let buffer = part.body?.buffer;
+  if (!buffer && part.body?.data) {
+    buffer = Buffer.from(part.body.data.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+  }
+  if (!buffer) return "";
+  return decodeBytes(buffer, contentType.params.charset);
+}
+
+// Meilleure représentation texte d'une partie : { text, source }
+function bestText(part) {
+  if (!part || isAttachment(part)) return { text: "", source: null };
+
+  if (part.mimeType === "text/plain") {
+    return { text: partText(part), source: "plain" };
+  }
+  if (part.mimeType === "text/html") {
+    return { text: htmlToText(partText(part)), source: "html" };
+  }
+
+  const children = part.parts || [];
+  if (part.mimeType === "multipart/alternative") {
+    // une seule des alternatives : text/plain si non vide, sinon la meilleure autre
+    const candidates = children.map(bestText).filter((c) => c.text.trim());
+    return candidates.find((c) => c.source === "plain") || candidates[candidates.length - 1] || { text: "", source: null };
+  }
+
+  // multipart/mixed, related, message/rfc822... : concaténation des parties texte
+  const texts = children.map(bestText).filter((c) => c.text.trim());
+  return {
+    text: texts.map((c) => c.text.trim()).join("\n\n"),
+    source: texts.some((c) => c.source === "plain") ? "plain" : texts[0]?.source || null,
+  };
+}
+
+export function listAttachments(part, out = []) {
+  if (!part) return out;
+  if (isAttachment(part) && !part.parts?.length) {
+    out.push({
+      filename: part.filename || null,
+      mimeType: part.mimeType || "application/octet-stream",
+      size: part.body?.size || part.body?.buffer?.length || 0,
+      attachmentId: part.body?.attachmentId || null,
+    });
+  }
+  for (const child of part.parts || []) listAttachments(child, out);
+  return out;
+}
+
+// Point d'entrée : payload Gmail ou arbre issu de parseRawMessage()
+export function normalizeMessage(payload, { snippet = "", stripQuotes = true } = {}) {
+  const { text, source } = bestText(payload);
+  const cleaned = stripQuotes ? stripQuotesAndSignature(text) : text.trim();
+  return {
+    text: cleaned || snippet || "",
+    source: cleaned ? source : "snippet",
+    attachments: listAttachments(payload),
+  };
+}
@@ -0,0 +1,42 @@
+// lib/plans.js
+// Abonnements mensuels : crédits alloués à chaque facture payée.
+// rollover "cap"    : les crédits d'allocation non utilisés sont reportés jusqu'à rolloverCap
+// rollover "expire" : les crédits d'allocation non utilisés expirent au renouvellement
+// Les crédits achetés en pack (CREDIT_PACKS) n'expirent jamais.
+const PLAN_DEFINITIONS = {
+  starter: {
+    name: "Starter",
+    priceEnv: "STRIPE_PRICE_STARTER",
+    monthlyCredits: 300,
+    rollover: "cap",
+    rolloverCap: 300,
+  },
+  pro: {
+    name: "Pro",
+    priceEnv: "STRIPE_PRICE_PRO",
+    monthlyCredits: 1500,
+    rollover: "cap",
+    rolloverCap: 3000,
+  },
+  team: {
+    name: "Team",
+    priceEnv: "STRIPE_PRICE_TEAM",
+    monthlyCredits: 6000,
+    rollover: "expire",
+    rolloverCap: 0,
+  },
+};
+
+export function getPlan(key) {
+  const def = PLAN_DEFINITIONS[key];
+  if (!def) return null;
+  return { key, ...def, priceId: process.env[def.priceEnv] || null };
+}
+
+export function listPlans() {
+  return Object.keys(PLAN_DEFINITIONS).map(getPlan);
+}
+
+export function getPlanByPriceId(priceId) {
+  return listPlans().find((p) => p.priceId && p.priceId === priceId) || null;
+}
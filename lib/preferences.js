@@ -0,0 +1,55 @@
+// lib/preferences.js
+// Préférences utilisateur stockées dans profiles (langue des rapports, envoi
+// automatique des rapports par email, niveau de masquage des données personnelles).
+import { supabase } from "../supabaseClient.js";
+import { resolveLanguage } from "./i18n.js";
+import { DEFAULT_REDACTION_LEVEL, resolveRedactionLevel } from "./redaction.js";
+
+// Langue enregistrée, ou null si aucune préférence / profil absent
+export async function getUserLanguage(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("language")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return resolveLanguage(data?.language);
+}
+
+// Niveau de masquage appliqué aux analyses de l'utilisateur (cf. lib/redaction.js)
+export async function getRedactionLevel(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("redaction_level")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return resolveRedactionLevel(data?.redaction_level) || DEFAULT_REDACTION_LEVEL;
+}
+
+// { language, deliver_reports, redaction_level }, ou null si le profil n'existe pas
+export async function getPreferences(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("language, deliver_reports, redaction_level")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    language: resolveLanguage(data.language),
+    deliver_reports: !!data.deliver_reports,
+    redaction_level: resolveRedactionLevel(data.redaction_level) || DEFAULT_REDACTION_LEVEL,
+  };
+}
+
+// patch : champs déjà validés ; false si le profil n'existe pas
+export async function updatePreferences(userId, patch) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .update(patch)
+    .eq("id", userId)
+    .select("id");
+  if (error) throw error;
+  return !!data?.length;
+}
@@ -0,0 +1,248 @@
+// lib/rateLimit.js
+// Limitation de débit des routes coûteuses (analyses, lecture Gmail, paiement,
+// comparaison de rapports) : quotas par fenêtre fixe, par IP et par utilisateur
+// selon son plan, et nombre maximal d'analyses simultanées par utilisateur.
+// Réponse 429 avec Retry-After.
+//
+// Stockage : en mémoire (par défaut, une seule instance) ou Redis / compatible
+// (RATE_LIMIT_STORE=redis + REDIS_URL) pour partager les compteurs entre instances.
+// Surcharges par variables d'environnement, ex. :
+//   RATE_LIMIT_ANALYZE_PRO=200, RATE_LIMIT_ANALYZE_IP=100, RATE_LIMIT_ANALYZE_WINDOW_MS=3600000,
+//   MAX_CONCURRENT_ANALYSES_STARTER=3
+import crypto from "crypto";
+import { getProfile, isActive } from "./subscriptions.js";
+import { countActiveJobs } from "./jobs.js";
+
+// plans : clés de lib/plans.js, "free" sans abonnement actif
+export const RATE_LIMITS = {
+  analyze: { windowMs: 60 * 60 * 1000, ip: 60, plans: { free: 10, starter: 30, pro: 100, team: 300 } },
+  emails: { windowMs: 60 * 1000, ip: 30, plans: { free: 5, starter: 10, pro: 20, team: 40 } },
+  checkout: { windowMs: 15 * 60 * 1000, ip: 30, plans: { free: 10, starter: 10, pro: 10, team: 10 } },
+  // comparaison de rapports : récit rédigé par le modèle (hors cache)
+  compare: { windowMs: 60 * 60 * 1000, ip: 120, plans: { free: 30, starter: 60, pro: 120, team: 240 } },
+};
+
+export const MAX_CONCURRENT_ANALYSES = { free: 1, starter: 2, pro: 3, team: 5 };
+
+// une analyse synchrone abandonnée (crash) libère sa place après ce délai
+const SLOT_TTL_MS = 15 * 60 * 1000;
+// Retry-After proposé quand la limite d'analyses simultanées est atteinte
+const CONCURRENCY_RETRY_AFTER_S = 30;
+const PLAN_CACHE_MS = 60 * 1000;
+
+// ---------- Stockage ----------
+
+// Interface commune :
+//   hit(key, windowMs)            -> { count, resetAt }   (fenêtre fixe)
+//   acquire(key, limit, ttlMs)    -> token | null         (place parmi `limit`)
+//   release(key, token)
+export function createMemoryStore() {
+  const counters = new Map();
+  const slots = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, c] of counters) if (c.resetAt <= now) counters.delete(key);
+    for (const [key, tokens] of slots) {
+      for (const [token, expiresAt] of tokens) if (expiresAt <= now) tokens.delete(token);
+      if (!tokens.size) slots.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    async acquire(key, limit, ttlMs) {
+      const now = Date.now();
+      const tokens = slots.get(key) || new Map();
+      for (const [token, expiresAt] of tokens) if (expiresAt <= now) tokens.delete(token);
+      if (tokens.size >= limit) return null;
+      const token = crypto.randomUUID();
+      tokens.set(token, now + ttlMs);
+      slots.set(key, tokens);
+      return token;
+    },
+    async release(key, token) {
+      slots.get(key)?.delete(token);
+    },
+  };
+}
+
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }`;
+
+// places : sorted set token -> date d'expiration
+const ACQUIRE_SCRIPT = `
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", ARGV[1])
+if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[2]) then return 0 end
+redis.call("ZADD", KEYS[1], ARGV[3], ARGV[4])
+redis.call("PEXPIRE", KEYS[1], ARGV[5])
+return 1`;
+
+// client : ioredis (ou tout client exposant eval / zrem avec la même signature)
+export function createRedisStore(client, { prefix = "resumail:rl:" } = {}) {
+  return {
+    async hit(key, windowMs) {
+      const [count, ttl] = await client.eval(HIT_SCRIPT, 1, prefix + key, windowMs);
+      return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+    },
+    async acquire(key, limit, ttlMs) {
+      const now = Date.now();
+      const token = crypto.randomUUID();
+      const ok = await client.eval(ACQUIRE_SCRIPT, 1, prefix + key, now, limit, now + ttlMs, token, ttlMs);
+      return Number(ok) === 1 ? token : null;
+    },
+    async release(key, token) {
+      await client.zrem(prefix + key, token);
+    },
+  };
+}
+
+let store = null;
+
+export async function getRateLimitStore() {
+  if (store) return store;
+  if (process.env.RATE_LIMIT_STORE === "redis") {
+    if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL in .env (RATE_LIMIT_STORE=redis)");
+    const { default: Redis } = await import("ioredis");
+    const client = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+    client.on("error", (err) => console.error("⚠️ Redis rate limit store:", err.message));
+    store = createRedisStore(client);
+    console.log("🚦 Rate limiting : stockage Redis");
+  } else {
+    store = createMemoryStore();
+  }
+  return store;
+}
+
+// Remplace le stockage (tests, autre backend)
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+// ---------- Configuration ----------
+
+const planCache = new Map();
+
+// Plan utilisé pour les quotas : plan de l'abonnement actif, sinon "free"
+export async function getRatePlan(userId) {
+  const cached = planCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.plan;
+  const profile = await getProfile(userId).catch(() => null);
+  const plan = profile && isActive(profile) && profile.plan ? profile.plan : "free";
+  planCache.set(userId, { plan, expiresAt: Date.now() + PLAN_CACHE_MS });
+  return plan;
+}
+
+function envNumber(name) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : null;
+}
+
+// { windowMs, max } de la route pour un plan, ou pour l'IP (plan = "ip")
+export function getRouteLimit(route, plan) {
+  const config = RATE_LIMITS[route];
+  if (!config) throw new Error(`Unknown rate limit route: ${route}`);
+  const prefix = `RATE_LIMIT_${route.toUpperCase()}`;
+  const fallback = plan === "ip" ? config.ip : config.plans[plan] ?? config.plans.free;
+  return {
+    windowMs: envNumber(`${prefix}_WINDOW_MS`) ?? config.windowMs,
+    max: envNumber(`${prefix}_${plan.toUpperCase()}`) ?? fallback,
+  };
+}
+
+export function getMaxConcurrentAnalyses(plan) {
+  return envNumber(`MAX_CONCURRENT_ANALYSES_${plan.toUpperCase()}`) ?? MAX_CONCURRENT_ANALYSES[plan] ?? MAX_CONCURRENT_ANALYSES.free;
+}
+
+// ---------- Middlewares ----------
+
+function tooManyRequests(res, retryAfter, body) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ ...body, retry_after: retryAfter });
+}
+
+// Compte la requête dans la fenêtre ; false si la réponse 429 a été envoyée
+async function consume(req, res, key, { windowMs, max }) {
+  const { count, resetAt } = await (await getRateLimitStore()).hit(key, windowMs);
+  const resetIn = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set({
+    "RateLimit-Limit": String(max),
+    "RateLimit-Remaining": String(Math.max(0, max - count)),
+    "RateLimit-Reset": String(resetIn),
+  });
+  if (count <= max) return true;
+  console.warn(`🚦 429 ${req.method} ${req.path} (${key})`);
+  tooManyRequests(res, resetIn, { error: "Too many requests", code: "rate_limited" });
+  return false;
+}
+
+// En cas d'indisponibilité du stockage, la requête passe (on ne bloque pas le service)
+function guard(name, handler) {
+  return async (req, res, next) => {
+    try {
+      if (await handler(req, res)) next();
+    } catch (err) {
+      console.error(`⚠️ Rate limit (${name}) error:`, err.message || err);
+      next();
+    }
+  };
+}
+
+// Quota par IP (avant l'authentification)
+export function limitByIp(route) {
+  return guard(`${route}/ip`, (req, res) => consume(req, res, `${route}:ip:${req.ip}`, getRouteLimit(route, "ip")));
+}
+
+// Quota par utilisateur selon son plan (après requireAuth)
+export function limitByUser(route) {
+  return guard(`${route}/user`, async (req, res) => {
+    const plan = await getRatePlan(req.user.id);
+    return consume(req, res, `${route}:user:${req.user.id}`, getRouteLimit(route, plan));
+  });
+}
+
+// Analyses simultanées : jobs en file / en cours + analyses synchrones en cours.
+// La place est gardée jusqu'à ce que la route appelle releaseAnalysisSlot, une
+// fois l'analyse terminée : la fermeture de la réponse (client qui abandonne)
+// ne la libère pas, l'analyse continuant côté serveur. Un job créé compte
+// ensuite par lui-même tant qu'il n'est pas terminé.
+export const limitConcurrentAnalyses = guard("analyses", async (req, res) => {
+  const userId = req.user.id;
+  const max = getMaxConcurrentAnalyses(await getRatePlan(userId));
+  const activeJobs = await countActiveJobs(userId);
+  const key = `analyses:${userId}`;
+  const limiter = await getRateLimitStore();
+  const token = activeJobs < max ? await limiter.acquire(key, max - activeJobs, SLOT_TTL_MS) : null;
+  if (!token) {
+    console.warn(`🚦 429 ${req.method} ${req.path} : ${max} analyse(s) simultanée(s) max pour ${userId}`);
+    tooManyRequests(res, CONCURRENCY_RETRY_AFTER_S, {
+      error: "Too many concurrent analyses",
+      code: "too_many_concurrent_analyses",
+      limit: max,
+    });
+    return false;
+  }
+  req.analysisSlot = { limiter, key, token };
+  return true;
+});
+
+// Libère la place prise par limitConcurrentAnalyses (à appeler dans un finally
+// de la route ; sans effet si aucune place n'a été prise ou déjà libérée)
+export function releaseAnalysisSlot(req) {
+  const slot = req.analysisSlot;
+  if (!slot) return;
+  req.analysisSlot = null;
+  slot.limiter.release(slot.key, slot.token).catch((err) => console.error("⚠️ Rate limit release error:", err.message));
+}
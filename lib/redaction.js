@@ -0,0 +1,253 @@
+// lib/redaction.js
+// Masquage des données personnelles avant envoi des emails au modèle : chaque
+// valeur détectée est remplacée par un jeton [CATÉGORIE_xxxxxxxx]. Le jeton est
+// dérivé (HMAC) de l'utilisateur et de la valeur : une même valeur donne le même
+// jeton dans tous les batchs et rapports de l'utilisateur (regroupement des
+// highlights, comparaison de rapports).
+// La correspondance jeton -> valeur est conservée chiffrée (lib/crypto.js) sur
+// le rapport, pour réafficher les rapports en clair à leur propriétaire.
+//
+// Niveaux (profiles.redaction_level) :
+//   none     : aucun masquage
+//   standard : emails, téléphones, IBAN, numéros de carte
+//   strict   : standard + adresses postales et noms de personnes (heuristiques)
+import crypto from "crypto";
+import { encryptJson, decryptJson } from "./crypto.js";
+import { parseAddress } from "./gmail.js";
+
+export const REDACTION_LEVELS = ["none", "standard", "strict"];
+export const DEFAULT_REDACTION_LEVEL = "standard";
+// à incrémenter quand les détecteurs changent (enregistré sur chaque rapport)
+export const REDACTION_POLICY_VERSION = 1;
+
+const LEVEL_CATEGORIES = {
+  none: [],
+  standard: ["email", "iban", "card", "phone"],
+  strict: ["email", "iban", "card", "phone", "address", "name"],
+};
+
+const TOKEN_PATTERN = /\[(?:EMAIL|IBAN|CARD|PHONE|ADDRESS|NAME)_[0-9a-f]{8}\]/g;
+
+// ---------- Détecteurs ----------
+
+const digitsOf = (value) => value.replace(/\D/g, "");
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+  const iban = value.replace(/\s/g, "");
+  if (iban.length < 15 || iban.length > 34) return false;
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let rest = 0;
+  for (const digit of numeric) rest = (rest * 10 + Number(digit)) % 97;
+  return rest === 1;
+}
+
+const NAME_WORD = "\\p{Lu}[\\p{Ll}'’-]+";
+const FULL_NAME = `${NAME_WORD}(?:[ ]${NAME_WORD}){0,2}`;
+// mots capitalisés qui suivent souvent une formule de politesse sans être des noms
+const NOT_NAMES = new Set([
+  "Madame", "Monsieur", "Mesdames", "Messieurs", "Client", "Cliente", "Tous", "Toutes", "Équipe", "Equipe",
+  "Sir", "Madam", "Customer", "Team", "All", "There", "Everyone", "Friend", "Friends", "Support",
+]);
+
+// Ordre = priorité : un passage déjà masqué n'est plus examiné par les suivants.
+// Les détecteurs à groupe nommé "value" ne masquent que ce groupe.
+const DETECTORS = [
+  { category: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { category: "iban", pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g, valid: ibanValid },
+  {
+    category: "card",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: (v) => luhnValid(digitsOf(v)),
+  },
+  {
+    category: "phone",
+    pattern: /(?:\+|\b00)\d{1,3}[ .-]?(?:\(0\)[ .-]?)?\d(?:[ .-]?\d){6,12}\b|\b0[1-9](?:[ .-]?\d{2}){4}\b|\(\d{3}\) ?\d{3}[ .-]\d{4}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b/g,
+    valid: (v) => digitsOf(v).length >= 8 && digitsOf(v).length <= 15,
+  },
+  {
+    category: "address",
+    pattern:
+      /\b\d{1,4}(?: ?(?:bis|ter))?,? (?:rue|avenue|av\.|boulevard|bd|chemin|allée|allee|impasse|place|quai|route|cours|square) [^\n,;]{2,60}?(?:,? \d{5} \p{Lu}[\p{Ll}'-]+(?:[ -]\p{Lu}[\p{Ll}'-]+)*)?(?=[\n,;.]|$)/giu,
+  },
+  {
+    category: "address",
+    pattern: /\b\d{1,5} (?:[A-Z][a-z]+ ){1,4}(?:(?:Street|Avenue|Road|Boulevard|Lane|Drive|Court|Way|Place)\b|(?:St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl)\b\.?)/g,
+  },
+  {
+    category: "name",
+    pattern: new RegExp(`(?:\\b(?:M\\.|Mme|Mlle|Mr\\.?|Mrs\\.?|Ms\\.?|Dr\\.?|Me) )(?<value>${FULL_NAME})`, "gdu"),
+  },
+  {
+    category: "name",
+    pattern: new RegExp(`\\b(?:Bonjour|Bonsoir|Salut|Cher|Chère|Hello|Hi|Hey|Dear) (?<value>${FULL_NAME})`, "gdu"),
+    valid: (v) => !NOT_NAMES.has(v.split(" ")[0]),
+  },
+  {
+    category: "name",
+    pattern: new RegExp(
+      `(?:Cordialement|Bien à vous|Bien cordialement|Merci|Regards|Best regards|Kind regards|Best|Thanks|Sincerely|Cheers),?[ \\t]*\\r?\\n[ \\t]*(?<value>${FULL_NAME})`,
+      "gdu"
+    ),
+    valid: (v) => !NOT_NAMES.has(v.split(" ")[0]),
+  },
+];
+
+// Noms d'expéditeurs du batch (2 à 4 mots capitalisés) : le nom complet et
+// chacun de ses mots sont masqués partout dans le batch
+function knownNamesDetector(batch) {
+  const names = new Set();
+  for (const e of batch) {
+    const { name } = parseAddress(e.from);
+    if (!name || !new RegExp(`^${NAME_WORD}(?: ${NAME_WORD}){1,3}$`, "u").test(name)) continue;
+    names.add(name);
+    for (const part of name.split(" ")) if (part.length >= 3 && !NOT_NAMES.has(part)) names.add(part);
+  }
+  if (!names.size) return null;
+  const alternatives = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  return { category: "name", pattern: new RegExp(`(?<![\\p{L}])(?:${alternatives})(?![\\p{L}])`, "gu") };
+}
+
+function findMatches(text, detectors) {
+  const spans = [];
+  const overlaps = (start, end) => spans.some((s) => start < s.end && end > s.start);
+
+  for (const { category, pattern, valid } of detectors) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const [start, end] = match.indices?.groups?.value || [match.index, match.index + match[0].length];
+      const value = text.slice(start, end).trim();
+      if (!value || (valid && !valid(value)) || overlaps(start, end)) continue;
+      spans.push({ start, end, category, value });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+// ---------- Masquage ----------
+
+function tokenKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) throw new Error("Missing TOKEN_ENCRYPTION_KEY in .env");
+  return crypto.createHash("sha256").update(`redaction:${secret}`).digest();
+}
+
+function tokenFor(userId, category, value) {
+  const normalized = category === "email" ? value.toLowerCase() : value.replace(/\s+/g, " ");
+  const digest = crypto.createHmac("sha256", tokenKey()).update(`${userId}:${category}:${normalized}`).digest("hex");
+  return `[${category.toUpperCase()}_${digest.slice(0, 8)}]`;
+}
+
+export function resolveRedactionLevel(value) {
+  return REDACTION_LEVELS.includes(value) ? value : null;
+}
+
+// Politique enregistrée sur le rapport (colonne reports.redaction)
+export function redactionPolicy(level, counts = {}) {
+  return { level, version: REDACTION_POLICY_VERSION, categories: LEVEL_CATEGORIES[level] || [], counts };
+}
+
+// Copie du batch dont from / subject / body sont masqués.
+// Renvoie { batch, mapping: { jeton: valeur }, redaction: politique appliquée }
+export function redactBatch(batch, { userId, level = DEFAULT_REDACTION_LEVEL }) {
+  const categories = LEVEL_CATEGORIES[level] || [];
+  const mapping = {};
+  const counts = {};
+  if (!categories.length) return { batch, mapping, redaction: redactionPolicy(level, counts) };
+
+  const known = categories.includes("name") ? knownNamesDetector(batch) : null;
+  const detectors = [...DETECTORS.filter((d) => categories.includes(d.category)), ...(known ? [known] : [])];
+
+  const redact = (text) => {
+    if (!text) return text;
+    const value = String(text);
+    let out = "";
+    let cursor = 0;
+    for (const span of findMatches(value, detectors)) {
+      const token = tokenFor(userId, span.category, span.value);
+      mapping[token] = span.value;
+      counts[span.category] = (counts[span.category] || 0) + 1;
+      out += value.slice(cursor, span.start) + token;
+      cursor = span.end;
+    }
+    return out + value.slice(cursor);
+  };
+
+  return {
+    batch: batch.map((e) => ({ ...e, from: redact(e.from), subject: redact(e.subject), body: redact(e.body) })),
+    mapping,
+    redaction: redactionPolicy(level, counts),
+  };
+}
+
+// ---------- Correspondance chiffrée ----------
+
+export function sealRedactionMap(mapping) {
+  return mapping && Object.keys(mapping).length ? encryptJson(mapping) : null;
+}
+
+export function openRedactionMap(sealed) {
+  if (!sealed) return {};
+  try {
+    return decryptJson(sealed);
+  } catch (err) {
+    console.error("⚠️ Redaction map unreadable:", err.message);
+    return {};
+  }
+}
+
+// Politique et correspondance du rapport final à partir des mini-rapports
+export function mergeRedactions(partials) {
+  const policies = partials.map((p) => p.redaction).filter(Boolean);
+  if (!policies.length) return { redaction: null, redaction_map: null };
+  const counts = {};
+  for (const policy of policies) {
+    for (const [category, n] of Object.entries(policy.counts || {})) counts[category] = (counts[category] || 0) + n;
+  }
+  const mapping = Object.assign({}, ...partials.map((p) => openRedactionMap(p.redaction_map)));
+  return { redaction: redactionPolicy(policies[0].level, counts), redaction_map: sealRedactionMap(mapping) };
+}
+
+// ---------- Démasquage (affichage au propriétaire) ----------
+
+export function unmaskText(text, mapping) {
+  return typeof text === "string" ? text.replace(TOKEN_PATTERN, (token) => mapping[token] ?? token) : text;
+}
+
+// Remplace les jetons dans toutes les chaînes d'une valeur JSON
+export function unmaskDeep(value, mapping) {
+  if (!mapping || !Object.keys(mapping).length) return value;
+  if (typeof value === "string") return unmaskText(value, mapping);
+  if (Array.isArray(value)) return value.map((v) => unmaskDeep(v, mapping));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unmaskDeep(v, mapping)]));
+  }
+  return value;
+}
+
+const MASKED_FIELDS = ["summary", "report_text", "highlights", "threads", "threads_attention"];
+
+// Ligne de reports en clair, sans la correspondance chiffrée
+export function revealReport(row) {
+  const { redaction_map, ...report } = row;
+  const mapping = openRedactionMap(redaction_map);
+  for (const field of MASKED_FIELDS) {
+    if (report[field] !== undefined) report[field] = unmaskDeep(report[field], mapping);
+  }
+  return report;
+}
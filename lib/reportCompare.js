@@ -0,0 +1,134 @@
+// lib/reportCompare.js
+// Comparaison de deux rapports finaux (cf. lib/reportModel.js) : écarts de
+// volume et de sentiments calculés ici, récit "ce qui a changé" rédigé par le
+// modèle à partir de ces chiffres (repli sur un texte généré sans modèle).
+import { LABELS } from "./emailResults.js";
+import { matchHighlights, percentage } from "./aggregate.js";
+import { completeStructured } from "./llm.js";
+import { SUMMARY_OUTPUT_SCHEMA } from "./jsonSchema.js";
+import { createTranslator } from "./i18n.js";
+
+// en dessous de cet écart (en points), une catégorie est considérée stable dans le récit
+const STABLE_POINTS = 1;
+const NARRATIVE_ITEMS = 5;
+// récits du modèle mis en cache par (a, b, langue) : les rapports finaux ne
+// changent plus, un nouvel affichage ou le PDF ne relance pas d'appel
+const NARRATIVE_CACHE_MS = 24 * 60 * 60 * 1000;
+const NARRATIVE_CACHE_SIZE = 500;
+const narrativeCache = new Map();
+
+const round = (n) => Math.round(n * 10) / 10;
+
+const reportRef = (model) => ({ id: model.id, created_at: model.created_at, total_emails: model.total_emails });
+
+// before / after : modèles de rapports (before = référence)
+export function compareReports(before, after) {
+  const { added, removed, persistent } = matchHighlights(before.highlights, after.highlights);
+  const volumeDelta = after.total_emails - before.total_emails;
+  return {
+    before: reportRef(before),
+    after: reportRef(after),
+    volume: {
+      before: before.total_emails,
+      after: after.total_emails,
+      delta: volumeDelta,
+      // null si le rapport de référence est vide
+      delta_pct: before.total_emails ? percentage(volumeDelta, before.total_emails) : null,
+    },
+    sentiment: Object.fromEntries(
+      LABELS.map((l) => [
+        l,
+        {
+          before: before.classification[l],
+          after: after.classification[l],
+          before_pct: before.percentages[l],
+          after_pct: after.percentages[l],
+          delta_points: round(after.percentages[l] - before.percentages[l]),
+        },
+      ])
+    ),
+    highlights: {
+      new: added.map(({ text, count, pct }) => ({ text, count, pct })),
+      gone: removed.map(({ text, count, pct }) => ({ text, count, pct })),
+      persistent: persistent.map(({ text, before: b, after: a }) => ({
+        text,
+        before_count: b.count,
+        after_count: a.count,
+        delta: a.count !== null && b.count !== null ? a.count - b.count : null,
+      })),
+    },
+  };
+}
+
+// Récit sans modèle, à partir des seuls chiffres
+export function describeChanges(comparison, tr = createTranslator()) {
+  const { t } = tr;
+  const { volume, sentiment, highlights } = comparison;
+  const sentences = [
+    t("narrative.volume", {
+      from: tr.formatNumber(volume.before),
+      to: tr.formatNumber(volume.after),
+      delta: tr.formatSigned(volume.delta),
+    }),
+  ];
+
+  const moved = LABELS.filter((l) => Math.abs(sentiment[l].delta_points) >= STABLE_POINTS).sort(
+    (a, b) => Math.abs(sentiment[b].delta_points) - Math.abs(sentiment[a].delta_points)
+  );
+  if (moved.length) {
+    for (const l of moved) {
+      sentences.push(
+        t("narrative.sentiment", {
+          label: tr.label(l),
+          from: tr.formatPercent(sentiment[l].before_pct),
+          to: tr.formatPercent(sentiment[l].after_pct),
+          delta: tr.formatSigned(sentiment[l].delta_points),
+        })
+      );
+    }
+  } else {
+    sentences.push(t("narrative.stable"));
+  }
+
+  const items = (list) => list.slice(0, NARRATIVE_ITEMS).map((h) => h.text).join(", ");
+  if (highlights.new.length) sentences.push(t("narrative.new", { items: items(highlights.new) }));
+  if (highlights.gone.length) sentences.push(t("narrative.gone", { items: items(highlights.gone) }));
+  return sentences.join(" ");
+}
+
+// Récit rédigé par le modèle (tâche "merge"), dans la langue du translator ;
+// -> { narrative, narrative_source: "llm" | "fallback" }
+export async function writeComparisonNarrative(comparison, before, after, tr = createTranslator()) {
+  const key = `${before.id}:${after.id}:${tr.lang}`;
+  const cached = narrativeCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return { narrative: cached.narrative, narrative_source: "llm" };
+
+  const language = tr.lang === "en" ? "English" : "French";
+  try {
+    const output = await completeStructured(
+      "merge",
+      [
+        {
+          role: "system",
+          content: `You are an assistant that MUST output JSON only. Format: {"summary": "max 6 sentences"}
+Explain in ${language} what changed between two email analysis reports. The figures are exact: quote them as given, never recompute or invent numbers.`,
+        },
+        {
+          role: "user",
+          content: `CHANGES:\n${JSON.stringify({ volume: comparison.volume, sentiment: comparison.sentiment, highlights: comparison.highlights })}\n\nPREVIOUS SUMMARY:\n${before.summary}\n\nCURRENT SUMMARY:\n${after.summary}`,
+        },
+      ],
+      SUMMARY_OUTPUT_SCHEMA
+    );
+    if (output.valid) {
+      narrativeCache.delete(key);
+      if (narrativeCache.size >= NARRATIVE_CACHE_SIZE) narrativeCache.delete(narrativeCache.keys().next().value);
+      narrativeCache.set(key, { narrative: output.json.summary, expiresAt: Date.now() + NARRATIVE_CACHE_MS });
+      return { narrative: output.json.summary, narrative_source: "llm" };
+    }
+    console.warn("⚠️ Comparison narrative invalid:", output.errors.slice(0, 3).join("; "));
+  } catch (err) {
+    console.error("Comparison narrative failed:", err.message);
+  }
+  return { narrative: describeChanges(comparison, tr), narrative_source: "fallback" };
+}
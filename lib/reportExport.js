@@ -0,0 +1,238 @@
+// lib/reportExport.js
+// Exports d'un rapport (cf. lib/reportModel.js) : CSV, bundle JSON, Markdown et
+// page HTML autonome avec graphique SVG en ligne. Les libellés viennent de
+// lib/i18n.js (tr = createTranslator(lang)).
+import { LABELS } from "./emailResults.js";
+import { createTranslator } from "./i18n.js";
+
+export const CHART_COLORS = {
+  positive: "#10B981",
+  neutral: "#F59E0B",
+  negative: "#EF4444",
+  other: "#9CA3AF",
+};
+
+// ---------- CSV ----------
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Une ligne par mini-rapport puis une ligne de total, colonnes par catégorie
+export function toCsv(model) {
+  const header = [
+    "scope",
+    "report_id",
+    "emails",
+    ...LABELS,
+    ...LABELS.map((l) => `${l}_pct`),
+    "degraded",
+  ];
+  const row = (scope, r) => [
+    scope,
+    r.id,
+    r.total_emails,
+    ...LABELS.map((l) => r.classification[l]),
+    ...LABELS.map((l) => r.percentages[l]),
+    r.degraded,
+  ];
+  const rows = [
+    header,
+    ...model.mini_reports.map((m) => row(`batch ${m.index}`, m)),
+    row("total", model),
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---------- JSON ----------
+
+export function toJsonBundle(model) {
+  return JSON.stringify({ format_version: 1, exported_at: new Date().toISOString(), report: model }, null, 2);
+}
+
+// ---------- Markdown ----------
+
+const mdEscape = (text) => String(text ?? "").replace(/([|\\*_`[\]])/g, "\\$1").replace(/\n+/g, " ");
+
+// "15 emails · 4 conversations"
+function subtitle(model, tr) {
+  const parts = [tr.formatDate(model.created_at), tr.t("count.emails", { count: model.total_emails })];
+  if (model.group_by_thread) parts.push(tr.t("count.threads", { count: model.total_threads || 0 }));
+  return parts.filter(Boolean).join(" · ");
+}
+
+function highlightDetail(h, tr) {
+  return h.count !== null ? `${tr.t("count.emails", { count: h.count })}, ${tr.formatPercent(h.pct)}` : "";
+}
+
+export function toMarkdown(model, tr = createTranslator()) {
+  const { t } = tr;
+  const lines = [`# ${t("report.title")}`, "", `_${subtitle(model, tr)}_`, ""];
+  if (model.degraded) {
+    lines.push(`> ⚠️ ${t("report.partial", { reasons: model.degraded_reasons.join(", ") })}`, "");
+  }
+
+  lines.push(`## ${t("section.summary")}`, "", model.summary || t("summary.empty"), "");
+
+  lines.push(
+    `## ${t("section.sentiment")}`,
+    "",
+    `| ${t("table.category")} | ${t("table.count")} | ${t("table.percent")} |`,
+    "| --- | ---: | ---: |"
+  );
+  for (const l of LABELS) {
+    lines.push(`| ${tr.label(l)} | ${tr.formatNumber(model.classification[l])} | ${tr.formatPercent(model.percentages[l])} |`);
+  }
+  lines.push("");
+
+  lines.push(`## ${t("section.highlights")}`, "");
+  if (model.highlights.length) {
+    for (const h of model.highlights) {
+      const detail = highlightDetail(h, tr);
+      lines.push(`- ${mdEscape(h.text)}${detail ? ` (${detail})` : ""}`);
+    }
+  } else {
+    lines.push(t("highlights.empty"));
+  }
+  lines.push("");
+
+  if (model.threads_attention.length) {
+    lines.push(
+      `## ${t("section.threads")}`,
+      "",
+      `| ${t("table.subject")} | ${t("table.lastSpeaker")} | ${t("table.end")} | ${t("table.reason")} |`,
+      "| --- | --- | --- | --- |"
+    );
+    for (const th of model.threads_attention) {
+      lines.push(
+        `| ${mdEscape(th.subject)} | ${mdEscape(th.last_speaker?.address)} | ${th.sentiment_end ? tr.label(th.sentiment_end) : ""} | ${mdEscape(th.reason)} |`
+      );
+    }
+    lines.push("");
+  }
+
+  const { fully_analyzed, truncated, skipped } = model.coverage;
+  lines.push(
+    `## ${t("section.coverage")}`,
+    "",
+    `- ${tr.pair(t("coverage.fullyAnalyzed"), tr.formatNumber(fully_analyzed.length))}`,
+    `- ${tr.pair(t("coverage.truncated"), tr.formatNumber(truncated.length))}`,
+    `- ${tr.pair(t("coverage.skipped"), tr.formatNumber(skipped.length))}`,
+    ""
+  );
+
+  if (model.mini_reports.length) {
+    lines.push(`## ${t("section.miniReports")}`, "");
+    for (const m of model.mini_reports) {
+      lines.push(`### ${t("miniReport.title", { index: m.index, count: m.total_emails })}`, "", m.summary || t("summary.empty"), "");
+    }
+  }
+  return lines.join("\n");
+}
+
+// ---------- HTML ----------
+
+export const htmlEscape = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Donut SVG des catégories (aucune ressource externe)
+export function sentimentSvg(classification, tr = createTranslator(), size = 180) {
+  const total = LABELS.reduce((sum, l) => sum + classification[l], 0);
+  const r = size / 2 - 10;
+  const c = size / 2;
+  if (!total) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"><circle cx="${c}" cy="${c}" r="${r}" fill="none" stroke="#E5E7EB" stroke-width="28"/></svg>`;
+  }
+
+  const circumference = 2 * Math.PI * r;
+  let offset = 0;
+  const arcs = LABELS.filter((l) => classification[l] > 0).map((l) => {
+    const length = (classification[l] / total) * circumference;
+    const arc = `<circle cx="${c}" cy="${c}" r="${r}" fill="none" stroke="${CHART_COLORS[l]}" stroke-width="28" stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 ${c} ${c})"><title>${htmlEscape(tr.pair(tr.label(l), tr.formatNumber(classification[l])))}</title></circle>`;
+    offset += length;
+    return arc;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${htmlEscape(tr.t("chart.label"))}">${arcs.join("")}</svg>`;
+}
+
+export function toHtml(model, tr = createTranslator()) {
+  const { t } = tr;
+  const legend = LABELS.map(
+    (l) =>
+      `<li><span class="dot" style="background:${CHART_COLORS[l]}"></span>${htmlEscape(tr.pair(tr.label(l), `${tr.formatNumber(model.classification[l])} (${tr.formatPercent(model.percentages[l])})`))}</li>`
+  ).join("");
+  const highlights = model.highlights.length
+    ? `<ul>${model.highlights
+        .map((h) => {
+          const detail = highlightDetail(h, tr);
+          return `<li>${htmlEscape(h.text)}${detail ? ` <small>(${htmlEscape(detail)})</small>` : ""}</li>`;
+        })
+        .join("")}</ul>`
+    : `<p class="muted">${htmlEscape(t("highlights.empty"))}</p>`;
+  const threads = model.threads_attention.length
+    ? `<h2>${htmlEscape(t("section.threads"))}</h2><table><tr><th>${htmlEscape(t("table.subject"))}</th><th>${htmlEscape(t("table.lastSpeaker"))}</th><th>${htmlEscape(t("table.end"))}</th><th>${htmlEscape(t("table.reason"))}</th></tr>${model.threads_attention
+        .map(
+          (th) =>
+            `<tr><td>${htmlEscape(th.subject)}</td><td>${htmlEscape(th.last_speaker?.address)}</td><td>${th.sentiment_end ? htmlEscape(tr.label(th.sentiment_end)) : ""}</td><td>${htmlEscape(th.reason)}</td></tr>`
+        )
+        .join("")}</table>`
+    : "";
+  const minis = model.mini_reports
+    .map(
+      (m) =>
+        `<h3>${htmlEscape(t("miniReport.title", { index: m.index, count: m.total_emails }))}</h3><p>${htmlEscape(m.summary || t("summary.empty"))}</p>`
+    )
+    .join("");
+  const { fully_analyzed, truncated, skipped } = model.coverage;
+
+  return `<!DOCTYPE html>
+<html lang="${tr.lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${htmlEscape(t("report.docTitle"))} – ${htmlEscape(tr.formatDate(model.created_at))}</title>
+<style>
+  body { font-family: "DejaVu Sans", Arial, sans-serif; color: #1F2937; max-width: 820px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { color: #1E3A8A; }
+  h2 { background: #1E3A8A; color: #fff; padding: 4px 10px; font-size: 16px; margin-top: 32px; }
+  .muted, small { color: #6B7280; }
+  .chart { display: flex; align-items: center; gap: 32px; }
+  .chart ul { list-style: none; padding: 0; }
+  .dot { display: inline-block; width: 10px; height: 10px; margin-right: 8px; border-radius: 2px; }
+  .warning { background: #FEF3C7; padding: 8px 12px; border-radius: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { border-bottom: 1px solid #F3F4F6; padding: 6px; text-align: left; vertical-align: top; }
+</style>
+</head>
+<body>
+<h1>${htmlEscape(t("report.title"))}</h1>
+<p class="muted">${htmlEscape(subtitle(model, tr))}</p>
+${model.degraded ? `<p class="warning">⚠️ ${htmlEscape(t("report.partial", { reasons: model.degraded_reasons.join(", ") }))}</p>` : ""}
+<h2>${htmlEscape(t("section.summary"))}</h2>
+<p>${htmlEscape(model.summary || t("summary.empty"))}</p>
+<h2>${htmlEscape(t("section.sentiment"))}</h2>
+<div class="chart">${sentimentSvg(model.classification, tr)}<ul>${legend}</ul></div>
+<h2>${htmlEscape(t("section.highlights"))}</h2>
+${highlights}
+${threads}
+<h2>${htmlEscape(t("section.coverage"))}</h2>
+<p>${htmlEscape(
+    [
+      tr.pair(t("coverage.fullyAnalyzed"), tr.formatNumber(fully_analyzed.length)),
+      tr.pair(t("coverage.truncated"), tr.formatNumber(truncated.length)),
+      tr.pair(t("coverage.skipped"), tr.formatNumber(skipped.length)),
+    ].join(" · ")
+  )}</p>
+${minis ? `<h2>${htmlEscape(t("section.miniReports"))}</h2>${minis}` : ""}
+</body>
+</html>
+`;
+}
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", render: toCsv },
+  json: { contentType: "application/json; charset=utf-8", extension: "json", render: toJsonBundle },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md", render: toMarkdown },
+  html: { contentType: "text/html; charset=utf-8", extension: "html", render: toHtml },
+};
@@ -0,0 +1,143 @@
+// lib/reportModel.js
+// Modèle normalisé d'un rapport final et de ses mini-rapports, partagé par le
+// PDF et les exports (CSV, JSON, Markdown, HTML) : un seul endroit pour les
+// valeurs par défaut et les anciens formats de colonnes.
+import { supabase } from "../supabaseClient.js";
+import { LABELS } from "./emailResults.js";
+import { normalizeHighlights } from "./analysis.js";
+import { percentage } from "./aggregate.js";
+import { openRedactionMap, revealReport } from "./redaction.js";
+
+function parseIds(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value || "[]");
+    } catch {}
+  }
+  return [];
+}
+
+function normalizeCounts(row) {
+  const source = row.classification || row.sentiment_overall || {};
+  const classification = Object.fromEntries(LABELS.map((l) => [l, Number(source[l] || 0)]));
+  const classified = Object.values(classification).reduce((a, b) => a + b, 0);
+  return {
+    classification,
+    percentages: Object.fromEntries(LABELS.map((l) => [l, percentage(classification[l], classified)])),
+  };
+}
+
+function normalizeRow(row) {
+  const totalEmails = row.total_emails || 0;
+  return {
+    id: row.id,
+    created_at: row.created_at,
+    is_final: !!row.is_final,
+    total_emails: totalEmails,
+    total_threads: row.total_threads ?? null,
+    group_by_thread: !!row.group_by_thread,
+    summary: row.summary || row.report_text || "",
+    ...normalizeCounts(row),
+    highlights: normalizeHighlights(row.highlights, totalEmails),
+    degraded: !!row.degraded,
+    degraded_reasons: Array.isArray(row.degraded_reasons) ? row.degraded_reasons : [],
+  };
+}
+
+// Forme renvoyée par GET /reports (et dans les webhooks report.completed).
+// Les jetons de masquage restent tels quels : cf. revealReport (lib/redaction.js)
+export function serializeReport(r) {
+  return {
+    id: r.id,
+    report_text: r.report_text || "",
+    sentiment_overall: r.sentiment_overall || r.classification || {},
+    total_emails: r.total_emails || 0,
+    created_at: r.created_at,
+    is_final: r.is_final || false,
+    highlights: normalizeHighlights(r.highlights, r.total_emails),
+    summary: r.summary || "",
+    degraded: r.degraded || false,
+    degraded_reasons: Array.isArray(r.degraded_reasons) ? r.degraded_reasons : [],
+    coverage: r.coverage || null,
+    mini_report_ids: Array.isArray(r.mini_report_ids) ? r.mini_report_ids : [],
+    group_by_thread: r.group_by_thread || false,
+    total_threads: r.total_threads ?? null,
+    threads: Array.isArray(r.threads) ? r.threads : [],
+    threads_attention: Array.isArray(r.threads_attention) ? r.threads_attention : [],
+    schedule_id: r.schedule_id || null,
+    redaction: r.redaction || null,
+  };
+}
+
+export function buildReportModel(report, miniRows = []) {
+  const order = parseIds(report.mini_report_ids);
+  const minis = [...miniRows].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+  const coverage = report.coverage || {};
+  return {
+    ...normalizeRow(report),
+    user_id: report.user_id,
+    coverage: {
+      fully_analyzed: coverage.fully_analyzed || [],
+      truncated: coverage.truncated || [],
+      skipped: coverage.skipped || [],
+    },
+    threads_attention: Array.isArray(report.threads_attention) ? report.threads_attention : [],
+    redaction: report.redaction || null,
+    mini_reports: minis.map((m, i) => ({ index: i + 1, ...normalizeRow(m) })),
+  };
+}
+
+// Rapport de l'utilisateur avec ses mini-rapports, ou null (inexistant ou à un autre utilisateur).
+// reveal : données personnelles en clair (affichage au propriétaire uniquement ;
+// le modèle masqué est celui qui peut être envoyé au LLM ou à des tiers)
+export async function loadReportModel(reportId, userId, { reveal = false } = {}) {
+  const { data: report, error } = await supabase
+    .from("reports")
+    .select("*")
+    .eq("id", reportId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!report || report.user_id !== userId) return null;
+
+  const miniIds = parseIds(report.mini_report_ids);
+  let minis = [];
+  if (miniIds.length) {
+    const { data, error: miniErr } = await supabase
+      .from("reports")
+      .select("*")
+      .in("id", miniIds)
+      .eq("user_id", userId);
+    if (miniErr) throw miniErr;
+    minis = data || [];
+  }
+  return reveal ? buildReportModel(revealReport(report), minis.map(revealReport)) : buildReportModel(report, minis);
+}
+
+// Rapport final précédent du même utilisateur (sans mini-rapports), ou null
+export async function loadPreviousReportModel(model, { reveal = false } = {}) {
+  if (!model.created_at) return null;
+  const { data, error } = await supabase
+    .from("reports")
+    .select("*")
+    .eq("user_id", model.user_id)
+    .eq("is_final", true)
+    .lt("created_at", model.created_at)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return buildReportModel(reveal ? revealReport(data) : data);
+}
+
+// Correspondances de masquage réunies de plusieurs rapports de l'utilisateur
+export async function loadRedactionMap(reportIds, userId) {
+  const { data, error } = await supabase
+    .from("reports")
+    .select("redaction_map")
+    .in("id", reportIds)
+    .eq("user_id", userId);
+  if (error) throw error;
+  return Object.assign({}, ...(data || []).map((r) => openRedactionMap(r.redaction_map)));
+}
@@ -0,0 +1,428 @@
+// lib/reportPdf.js
+// Rendu PDF d'un rapport (cf. lib/reportModel.js). Mise en page déterministe :
+// un même rapport produit toujours le même document, et chaque bloc vérifie la
+// place restante avant d'être dessiné pour passer proprement à la page suivante.
+import fs from "fs";
+import path from "path";
+import PDFDocument from "pdfkit";
+import { LABELS } from "./emailResults.js";
+import { CHART_COLORS } from "./reportExport.js";
+import { createTranslator } from "./i18n.js";
+
+const COLORS = {
+  primary: "#1E3A8A",
+  text: "#1F2937",
+  gray: "#6B7280",
+  light: "#F3F4F6",
+  up: "#047857",
+  down: "#B91C1C",
+};
+
+const MARGIN = 60;
+// ordre d'affichage des catégories (du plus favorable au moins favorable)
+const CHART_ORDER = ["positive", "neutral", "negative", "other"].filter((l) => LABELS.includes(l));
+
+// Polices DejaVu (accents, symboles) si présentes, sinon Helvetica
+function registerFonts(doc) {
+  const candidates = [path.join(process.cwd(), "public", "fonts"), path.join(process.cwd(), "DejaVu", "ttf")];
+  const find = (file) => candidates.map((dir) => path.join(dir, file)).find((p) => fs.existsSync(p));
+
+  const regular = find("DejaVuSans.ttf");
+  const bold = find("DejaVuSans-Bold.ttf");
+  if (regular) doc.registerFont("DejaVu", regular);
+  else console.warn("⚠️ Police DejaVuSans non trouvée, utilisation de Helvetica.");
+  if (bold) doc.registerFont("DejaVu-Bold", bold);
+  else console.warn("⚠️ Police DejaVuSans-Bold non trouvée, utilisation de Helvetica.");
+
+  return { regular: regular ? "DejaVu" : "Helvetica", bold: bold ? "DejaVu-Bold" : "Helvetica-Bold" };
+}
+
+// Document A4 paginé ; la date de création est fixée par l'appelant pour que
+// deux rendus du même contenu soient identiques
+function createDocument({ title, subject, date }) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: title, Author: "Resumail", Subject: subject, CreationDate: new Date(date || 0) },
+  });
+  return { doc, fonts: registerFonts(doc) };
+}
+
+// Blocs de mise en page : chacun vérifie la place restante avant d'être dessiné
+function createLayout(doc, fonts) {
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - MARGIN - 20; // réserve pour le pied de page
+
+  // nouvelle page si le bloc ne tient pas dans la place restante
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(70);
+    const y = doc.y;
+    doc.save();
+    doc.rect(MARGIN, y, width, 25).fill(COLORS.primary);
+    doc.fillColor("#fff").font(fonts.regular).fontSize(14).text(title, MARGIN + 10, y + 6, { width: width - 20 });
+    doc.restore();
+    doc.x = MARGIN;
+    doc.y = y + 35;
+  };
+
+  const paragraph = (text, { size = 11, color = COLORS.text, font = fonts.regular } = {}) => {
+    doc.font(font).fontSize(size);
+    const height = doc.heightOfString(text, { width, lineGap: 3 });
+    // un paragraphe plus long qu'une page est laissé à pdfkit (coupure automatique)
+    ensureSpace(Math.min(height, 120));
+    doc.fillColor(color).text(text, MARGIN, doc.y, { width, align: "justify", lineGap: 3 });
+    doc.moveDown(0.8);
+  };
+
+  // Tableau simple : columns = [{ header, width, align }], rows = [[cellules]] où une
+  // cellule est une valeur ou { text, color } ; l'en-tête est répété à chaque nouvelle page
+  const table = (columns, rows) => {
+    const drawRow = (cells, { header = false } = {}) => {
+      const values = cells.map((c) => (typeof c === "object" && c !== null ? c : { text: c }));
+      doc.font(header ? fonts.bold : fonts.regular).fontSize(10);
+      const height =
+        Math.max(...values.map((c, i) => doc.heightOfString(String(c.text ?? ""), { width: columns[i].width - 8 }))) + 8;
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        if (!header) drawRow(columns.map((c) => c.header), { header: true });
+        doc.font(fonts.regular).fontSize(10);
+      }
+      const y = doc.y;
+      if (header) doc.save().rect(MARGIN, y, width, height).fill(COLORS.light).restore();
+      let x = MARGIN;
+      values.forEach((cell, i) => {
+        doc
+          .fillColor(cell.color || (header ? COLORS.primary : COLORS.text))
+          .text(String(cell.text ?? ""), x + 4, y + 4, { width: columns[i].width - 8, align: columns[i].align || "left" });
+        x += columns[i].width;
+      });
+      doc.save().moveTo(MARGIN, y + height).lineTo(MARGIN + width, y + height).lineWidth(0.5).strokeColor(COLORS.light).stroke().restore();
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map((c) => c.header), { header: true });
+    rows.forEach((r) => drawRow(r));
+    doc.moveDown(1);
+  };
+
+  return { width, ensureSpace, sectionTitle, paragraph, table };
+}
+
+// Pied de page "Resumail • date • Page x/n" sur toutes les pages, puis écriture des pages
+function addFooters(doc, fonts, tr, date) {
+  const range = doc.bufferedPageRange();
+  const width = doc.page.width - MARGIN * 2;
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // le pied de page est sous la marge basse : sans ça pdfkit ouvre une page blanche
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.regular).fontSize(9).fillColor(COLORS.gray)
+      .text(tr.t("report.footer", { date: tr.formatDate(date), page: i + 1, pages: range.count }), MARGIN, doc.page.height - 45, {
+        width,
+        align: "center",
+        lineBreak: false,
+      });
+  }
+  doc.flushPages();
+}
+
+// Écart en points coloré (vert = favorable) ; `higherIsWorse` pour le négatif
+function deltaCell(points, tr, { higherIsWorse = false } = {}) {
+  if (!points) return { text: "=", color: COLORS.gray };
+  const better = higherIsWorse ? points < 0 : points > 0;
+  return { text: `${tr.formatSigned(points)} ${tr.t("comparison.points")}`, color: better ? COLORS.up : COLORS.down };
+}
+
+// Crée le document PDF du rapport ; l'appelant le pipe puis appelle doc.end().
+// previous : modèle du rapport final précédent de l'utilisateur (ou null)
+export function createReportPdf(model, { tr = createTranslator(), previous = null } = {}) {
+  const { t } = tr;
+  const { doc, fonts } = createDocument({ title: t("report.docTitle"), subject: t("report.docSubject"), date: model.created_at });
+  const { width, ensureSpace, sectionTitle, paragraph, table } = createLayout(doc, fonts);
+
+  // ---------- Page de garde ----------
+  doc.font(fonts.bold).fontSize(26).fillColor(COLORS.primary).text(t("report.title"), { align: "center" });
+  doc.moveDown(1);
+  doc.font(fonts.regular).fontSize(14).fillColor(COLORS.gray).text(model.user_id ?? t("report.unknownUser"), { align: "center" });
+  doc.text(tr.formatDate(model.created_at), { align: "center" });
+  const counts = [t("count.emails", { count: model.total_emails })];
+  if (model.group_by_thread) counts.push(t("count.threads", { count: model.total_threads || 0 }));
+  doc.text(counts.join(" · "), { align: "center" });
+
+  doc.addPage();
+
+  // ---------- Résumé ----------
+  sectionTitle(t("section.summary"));
+  if (model.degraded) {
+    paragraph(`⚠️ ${t("report.partial", { reasons: model.degraded_reasons.join(", ") })}`, { color: COLORS.down, size: 10 });
+  }
+  paragraph(model.summary || t("summary.empty"), { size: 12 });
+  doc.moveDown(1);
+
+  // ---------- Sentiments : camembert + légende avec pourcentages ----------
+  sectionTitle(t("section.sentiment"));
+  const radius = 70;
+  ensureSpace(radius * 2 + 20);
+  const chartTop = doc.y;
+  const centerX = MARGIN + radius + 10;
+  const centerY = chartTop + radius;
+  const total = CHART_ORDER.reduce((sum, l) => sum + model.classification[l], 0);
+
+  if (total) {
+    let startAngle = -Math.PI / 2;
+    for (const l of CHART_ORDER) {
+      const angle = (model.classification[l] / total) * Math.PI * 2;
+      if (!angle) continue;
+      doc.save();
+      doc.moveTo(centerX, centerY);
+      doc.fillColor(CHART_COLORS[l]);
+      doc.arc(centerX, centerY, radius, startAngle, startAngle + angle);
+      doc.lineTo(centerX, centerY).fill();
+      doc.restore();
+      startAngle += angle;
+    }
+  } else {
+    doc.save().circle(centerX, centerY, radius).fill(COLORS.light).restore();
+  }
+
+  const legendX = centerX + radius + 40;
+  let legendY = chartTop + radius - (CHART_ORDER.length * 20) / 2;
+  doc.font(fonts.regular).fontSize(11);
+  for (const l of CHART_ORDER) {
+    doc.save().rect(legendX, legendY + 1, 10, 10).fill(CHART_COLORS[l]).restore();
+    doc
+      .fillColor(COLORS.text)
+      .text(
+        tr.pair(tr.label(l), `${tr.formatNumber(model.classification[l])} (${tr.formatPercent(model.percentages[l])})`),
+        legendX + 18,
+        legendY,
+        { width: MARGIN + width - legendX - 18 }
+      );
+    legendY += 20;
+  }
+  doc.x = MARGIN;
+  doc.y = chartTop + radius * 2 + 20;
+
+  // ---------- Comparaison avec le rapport précédent ----------
+  sectionTitle(t("section.comparison"));
+  if (previous) {
+    paragraph(t("comparison.previous", { date: tr.formatDate(previous.created_at) }), { color: COLORS.gray, size: 10 });
+    table(
+      [
+        { header: t("table.category"), width: width * 0.34 },
+        { header: t("table.previous"), width: width * 0.22, align: "right" },
+        { header: t("table.current"), width: width * 0.22, align: "right" },
+        { header: t("table.change"), width: width * 0.22, align: "right" },
+      ],
+      [
+        [
+          t("table.emails"),
+          tr.formatNumber(previous.total_emails),
+          tr.formatNumber(model.total_emails),
+          tr.formatSigned(model.total_emails - previous.total_emails),
+        ],
+        ...CHART_ORDER.map((l) => [
+          tr.label(l),
+          tr.formatPercent(previous.percentages[l]),
+          tr.formatPercent(model.percentages[l]),
+          deltaCell(Math.round((model.percentages[l] - previous.percentages[l]) * 10) / 10, tr, {
+            higherIsWorse: l === "negative",
+          }),
+        ]),
+      ]
+    );
+  } else {
+    paragraph(t("comparison.none"), { color: COLORS.gray });
+  }
+
+  // ---------- Highlights classés ----------
+  sectionTitle(t("section.highlights"));
+  const ranked = [...model.highlights].sort(
+    (a, b) => (b.count ?? -1) - (a.count ?? -1) || a.text.localeCompare(b.text)
+  );
+  if (ranked.length) {
+    table(
+      [
+        { header: "#", width: width * 0.08, align: "right" },
+        { header: t("table.highlight"), width: width * 0.62 },
+        { header: t("table.count"), width: width * 0.15, align: "right" },
+        { header: t("table.percent"), width: width * 0.15, align: "right" },
+      ],
+      ranked.map((h, i) => [
+        i + 1,
+        h.text,
+        h.count !== null ? tr.formatNumber(h.count) : "–",
+        h.pct !== null ? tr.formatPercent(h.pct) : "–",
+      ])
+    );
+  } else {
+    paragraph(t("highlights.empty"), { color: COLORS.gray });
+  }
+
+  // ---------- Conversations à traiter ----------
+  if (model.threads_attention.length) {
+    sectionTitle(t("section.threads"));
+    table(
+      [
+        { header: t("table.subject"), width: width * 0.3 },
+        { header: t("table.lastSpeaker"), width: width * 0.25 },
+        { header: t("table.end"), width: width * 0.13 },
+        { header: t("table.reason"), width: width * 0.32 },
+      ],
+      model.threads_attention.map((th) => [
+        th.subject || "",
+        th.last_speaker?.address || "",
+        th.sentiment_end ? tr.label(th.sentiment_end) : "",
+        th.reason || "",
+      ])
+    );
+  }
+
+  // ---------- Sentiments par sous-rapport (barres empilées) ----------
+  if (model.mini_reports.length) {
+    sectionTitle(t("section.batches"));
+    const labelWidth = 130;
+    const barWidth = width - labelWidth;
+    const barHeight = 14;
+    doc.font(fonts.regular).fontSize(9);
+    for (const m of model.mini_reports) {
+      ensureSpace(barHeight + 8);
+      const y = doc.y;
+      doc.fillColor(COLORS.text).text(t("miniReport.short", { index: m.index, count: m.total_emails }), MARGIN, y + 2, {
+        width: labelWidth - 8,
+      });
+      const classified = CHART_ORDER.reduce((sum, l) => sum + m.classification[l], 0);
+      let x = MARGIN + labelWidth;
+      if (classified) {
+        for (const l of CHART_ORDER) {
+          const w = (m.classification[l] / classified) * barWidth;
+          if (w > 0) doc.save().rect(x, y, w, barHeight).fill(CHART_COLORS[l]).restore();
+          x += w;
+        }
+      } else {
+        doc.save().rect(x, y, barWidth, barHeight).fill(COLORS.light).restore();
+      }
+      doc.x = MARGIN;
+      doc.y = y + barHeight + 6;
+    }
+    // légende commune
+    ensureSpace(20);
+    let lx = MARGIN + labelWidth;
+    const ly = doc.y + 4;
+    for (const l of CHART_ORDER) {
+      doc.save().rect(lx, ly, 8, 8).fill(CHART_COLORS[l]).restore();
+      doc.fillColor(COLORS.gray).text(tr.label(l), lx + 12, ly - 1, { lineBreak: false });
+      lx += 90;
+    }
+    doc.x = MARGIN;
+    doc.y = ly + 24;
+  }
+
+  // ---------- Couverture ----------
+  sectionTitle(t("section.coverage"));
+  const { fully_analyzed, truncated, skipped } = model.coverage;
+  paragraph(
+    [
+      tr.pair(t("coverage.fullyAnalyzed"), tr.formatNumber(fully_analyzed.length)),
+      tr.pair(t("coverage.truncated"), tr.formatNumber(truncated.length)),
+      tr.pair(t("coverage.skipped"), tr.formatNumber(skipped.length)),
+    ].join(" · ")
+  );
+
+  // ---------- Mini-rapports détaillés ----------
+  if (model.mini_reports.length) {
+    doc.addPage();
+    sectionTitle(t("section.miniReports"));
+    for (const m of model.mini_reports) {
+      ensureSpace(60);
+      doc.font(fonts.bold).fillColor(COLORS.primary).fontSize(13)
+        .text(t("miniReport.title", { index: m.index, count: m.total_emails }), MARGIN, doc.y, { width });
+      doc.font(fonts.regular).fillColor(COLORS.gray).fontSize(9)
+        .text(CHART_ORDER.map((l) => tr.pair(tr.label(l), tr.formatPercent(m.percentages[l]))).join(" · "), { width });
+      doc.moveDown(0.3);
+      paragraph(m.summary || t("summary.empty"));
+      doc.moveDown(0.5);
+    }
+  }
+
+  addFooters(doc, fonts, tr, model.created_at);
+  return doc;
+}
+
+// PDF "ce qui a changé" d'une comparaison (cf. lib/reportCompare.js)
+export function createComparisonPdf(comparison, { tr = createTranslator(), narrative = "" } = {}) {
+  const { t } = tr;
+  const { before, after, volume, sentiment, highlights } = comparison;
+  const { doc, fonts } = createDocument({ title: t("compare.docTitle"), subject: t("report.docSubject"), date: after.created_at });
+  const { width, sectionTitle, paragraph, table } = createLayout(doc, fonts);
+
+  doc.font(fonts.bold).fontSize(22).fillColor(COLORS.primary).text(t("compare.title"), { align: "center" });
+  doc.moveDown(0.5);
+  doc.font(fonts.regular).fontSize(12).fillColor(COLORS.gray)
+    .text(t("compare.period", { from: tr.formatDate(before.created_at), to: tr.formatDate(after.created_at) }), { align: "center" });
+  doc.moveDown(1.5);
+
+  sectionTitle(t("section.narrative"));
+  paragraph(narrative || t("summary.empty"), { size: 12 });
+
+  sectionTitle(t("section.volume"));
+  table(
+    [
+      { header: t("table.category"), width: width * 0.34 },
+      { header: t("table.previous"), width: width * 0.22, align: "right" },
+      { header: t("table.current"), width: width * 0.22, align: "right" },
+      { header: t("table.change"), width: width * 0.22, align: "right" },
+    ],
+    [
+      [
+        t("table.emails"),
+        tr.formatNumber(volume.before),
+        tr.formatNumber(volume.after),
+        volume.delta_pct !== null ? `${tr.formatSigned(volume.delta)} (${tr.formatSignedPercent(volume.delta_pct)})` : tr.formatSigned(volume.delta),
+      ],
+      ...CHART_ORDER.map((l) => [
+        tr.label(l),
+        tr.formatPercent(sentiment[l].before_pct),
+        tr.formatPercent(sentiment[l].after_pct),
+        deltaCell(sentiment[l].delta_points, tr, { higherIsWorse: l === "negative" }),
+      ]),
+    ]
+  );
+
+  sectionTitle(t("section.highlightChanges"));
+  const list = (title, items, detail) => {
+    paragraph(title, { font: fonts.bold, color: COLORS.primary });
+    if (!items.length) return paragraph(t("highlights.none"), { color: COLORS.gray, size: 10 });
+    table(
+      [
+        { header: t("table.highlight"), width: width * 0.75 },
+        { header: t("table.count"), width: width * 0.25, align: "right" },
+      ],
+      items.map((h) => [h.text, detail(h)])
+    );
+  };
+  const count = (n) => (n !== null && n !== undefined ? tr.formatNumber(n) : "–");
+  list(t("highlights.new"), highlights.new, (h) => count(h.count));
+  list(t("highlights.gone"), highlights.gone, (h) => count(h.count));
+  list(t("highlights.persistent"), highlights.persistent, (h) => `${count(h.before_count)} → ${count(h.after_count)}`);
+
+  addFooters(doc, fonts, tr, after.created_at);
+  return doc;
+}
+
+// Termine le document et renvoie son contenu (pièce jointe email)
+export function pdfToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
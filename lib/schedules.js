@@ -0,0 +1,383 @@
+// lib/schedules.js
+// Digests planifiés : à chaque échéance, un job d'analyse Gmail (cf. lib/jobs.js)
+// est créé pour les emails reçus depuis la dernière exécution, dans la limite
+// de max_emails et du plafond de crédits ; le rapport final porte schedule_id.
+// Sans crédits suffisants, l'exécution est sautée et la fenêtre reste ouverte.
+// Si la fenêtre contient plus d'emails que la limite, les plus anciens sont
+// analysés, l'exécution est marquée truncated et la fenêtre n'est close qu'à la
+// date du dernier email récupéré : la suite est reprise à l'exécution suivante.
+import { supabase } from "../supabaseClient.js";
+import { createJob, jobEvents } from "./jobs.js";
+import { getCreditsPerEmail } from "./analysis.js";
+import { getCreditBalance } from "./ledger.js";
+import { findTokenRecord } from "./tokenStore.js";
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || "60000");
+const MAX_SCHEDULE_EMAILS = Number(process.env.MAX_QUERY_EMAILS || "1000");
+// échéances traitées par passage
+const DUE_LIMIT = 10;
+
+const SCHEDULE_COLUMNS =
+  "id, user_id, name, frequency, gmail_address, query, max_emails, credit_cap, group_by_thread, enabled, next_run_at, last_run_at, last_window_end, created_at, updated_at";
+const RUN_COLUMNS =
+  "id, schedule_id, status, reason, job_id, final_report_id, window_start, window_end, max_emails, truncated, created_at, finished_at";
+
+export class ScheduleError extends Error {
+  constructor(message, status = 400, code = "invalid_schedule") {
+    super(message);
+    this.name = "ScheduleError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function advance(date, frequency, steps = 1) {
+  const d = new Date(date);
+  if (frequency === "daily") d.setUTCDate(d.getUTCDate() + steps);
+  if (frequency === "weekly") d.setUTCDate(d.getUTCDate() + 7 * steps);
+  if (frequency === "monthly") {
+    // 31 janvier + 1 mois = 28/29 février (pas 3 mars)
+    const day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + steps);
+    d.setUTCDate(Math.min(day, new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate()));
+  }
+  return d;
+}
+
+// Prochaine échéance strictement après `now`, en gardant le rythme de la précédente
+export function nextRunAfter(previous, frequency, now = new Date()) {
+  let next = advance(previous, frequency);
+  while (next <= now) next = advance(next, frequency);
+  return next;
+}
+
+// Vue publique d'un digest
+export function serializeSchedule(row) {
+  const { user_id, ...schedule } = row;
+  return schedule;
+}
+
+// Champs modifiables ; partial = PATCH (seuls les champs présents sont validés)
+export function validateScheduleInput(body = {}, { partial = false } = {}) {
+  const patch = {};
+  const has = (key) => body[key] !== undefined;
+  const required = (key) => {
+    if (!partial && !has(key)) throw new ScheduleError(`Missing ${key}`);
+    return has(key);
+  };
+
+  if (required("name")) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) throw new ScheduleError("Invalid name (1-100 characters)");
+    patch.name = name;
+  }
+  if (required("frequency")) {
+    if (!FREQUENCIES.includes(body.frequency)) {
+      throw new ScheduleError(`Invalid frequency (expected ${FREQUENCIES.join(", ")})`);
+    }
+    patch.frequency = body.frequency;
+  }
+  if (required("gmail_address")) {
+    const address = String(body.gmail_address || "").trim();
+    if (!address.includes("@")) throw new ScheduleError("Invalid gmail_address");
+    patch.gmail_address = address;
+  }
+  if (required("credit_cap")) {
+    if (!Number.isInteger(body.credit_cap) || body.credit_cap < 1) throw new ScheduleError("Invalid credit_cap (positive integer)");
+    patch.credit_cap = body.credit_cap;
+  }
+  if (has("max_emails")) {
+    if (!Number.isInteger(body.max_emails) || body.max_emails < 1 || body.max_emails > MAX_SCHEDULE_EMAILS) {
+      throw new ScheduleError(`Invalid max_emails (1-${MAX_SCHEDULE_EMAILS})`);
+    }
+    patch.max_emails = body.max_emails;
+  }
+  if (has("query")) {
+    if (body.query !== null && (typeof body.query !== "string" || body.query.length > 500)) {
+      throw new ScheduleError("Invalid query (string, max 500 characters)");
+    }
+    patch.query = body.query?.trim() || null;
+  }
+  for (const key of ["group_by_thread", "enabled"]) {
+    if (!has(key)) continue;
+    if (typeof body[key] !== "boolean") throw new ScheduleError(`Invalid ${key} (boolean)`);
+    patch[key] = body[key];
+  }
+  // première exécution (par défaut : tout de suite)
+  if (has("next_run_at")) {
+    const date = new Date(body.next_run_at);
+    if (Number.isNaN(date.getTime())) throw new ScheduleError("Invalid next_run_at");
+    patch.next_run_at = date.toISOString();
+  }
+  return patch;
+}
+
+async function assertGmailConnected(userId, email) {
+  const record = await findTokenRecord({ userId, email });
+  if (!record) throw new ScheduleError(`Gmail account ${email} is not connected`, 400, "gmail_not_connected");
+}
+
+export async function listSchedules(userId) {
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .select(SCHEDULE_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+// Digest de l'utilisateur, ou null (inexistant ou à un autre utilisateur)
+export async function getSchedule(id, userId) {
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .select(SCHEDULE_COLUMNS)
+    .eq("id", id)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function createSchedule(userId, body) {
+  const input = validateScheduleInput(body);
+  await assertGmailConnected(userId, input.gmail_address);
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .insert([{ ...input, user_id: userId }])
+    .select(SCHEDULE_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateSchedule(id, userId, body) {
+  const patch = validateScheduleInput(body, { partial: true });
+  if (patch.gmail_address) await assertGmailConnected(userId, patch.gmail_address);
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("user_id", userId)
+    .select(SCHEDULE_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteSchedule(id, userId) {
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .delete()
+    .eq("id", id)
+    .eq("user_id", userId)
+    .select("id");
+  if (error) throw error;
+  return !!data?.length;
+}
+
+export async function listRuns(scheduleId, { limit = 20, offset = 0 } = {}) {
+  const from = Math.max(0, Number(offset) || 0);
+  const { data, error, count } = await supabase
+    .from("digest_runs")
+    .select(RUN_COLUMNS, { count: "exact" })
+    .eq("schedule_id", scheduleId)
+    .order("created_at", { ascending: false })
+    .range(from, from + Math.min(Math.max(1, Number(limit) || 20), 100) - 1);
+  if (error) throw error;
+  return { runs: data || [], total: count ?? 0 };
+}
+
+async function insertRun(row) {
+  const { data, error } = await supabase.from("digest_runs").insert([row]).select(RUN_COLUMNS).single();
+  if (error) throw error;
+  return data;
+}
+
+async function updateRun(id, patch) {
+  const { data, error } = await supabase
+    .from("digest_runs")
+    .update(patch)
+    .eq("id", id)
+    .select("id, schedule_id, window_end")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// La fenêtre n'avance qu'une fois ses emails traités : un échec ou un saut la
+// fait reprendre à l'exécution suivante
+async function closeWindow(scheduleId, windowEnd) {
+  const { error } = await supabase
+    .from("digest_schedules")
+    .update({ last_window_end: windowEnd, updated_at: new Date().toISOString() })
+    .eq("id", scheduleId);
+  if (error) throw error;
+}
+
+// "after:<epoch>" / "before:<epoch>" : bornes à la seconde (les dates Gmail sont au jour près)
+function windowQuery(query, start, end) {
+  return [query, `after:${Math.floor(start.getTime() / 1000)}`, `before:${Math.floor(end.getTime() / 1000)}`]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Exécute un digest (déjà réservé) : saut si les crédits ne permettent pas un email, sinon job Gmail
+export async function runSchedule(schedule, now = new Date()) {
+  // première exécution : une période en arrière
+  const windowStart = schedule.last_window_end ? new Date(schedule.last_window_end) : advance(now, schedule.frequency, -1);
+  const base = {
+    schedule_id: schedule.id,
+    user_id: schedule.user_id,
+    window_start: windowStart.toISOString(),
+    window_end: now.toISOString(),
+  };
+
+  const creditsPerEmail = getCreditsPerEmail();
+  const balance = await getCreditBalance(schedule.user_id);
+  const maxEmails = Math.min(schedule.max_emails, Math.floor(Math.min(schedule.credit_cap, balance) / creditsPerEmail));
+
+  if (maxEmails < 1) {
+    const reason = balance < creditsPerEmail ? "insufficient_credits" : "credit_cap_too_low";
+    console.log(`⏭️ Digest ${schedule.id} sauté (${reason})`);
+    return insertRun({ ...base, status: "skipped", reason, max_emails: 0, finished_at: now.toISOString() });
+  }
+
+  const run = await insertRun({ ...base, status: "queued", max_emails: maxEmails });
+  const job = await createJob({
+    userId: schedule.user_id,
+    source: {
+      type: "gmail",
+      user: schedule.gmail_address,
+      q: windowQuery(schedule.query, windowStart, now),
+      maxEmails,
+      // les plus anciens d'abord : une fenêtre coupée reprend après le dernier email analysé
+      oldestFirst: true,
+      scheduleId: schedule.id,
+      runId: run.id,
+    },
+    options: { groupByThread: schedule.group_by_thread },
+  });
+  await updateRun(run.id, { job_id: job.id });
+  console.log(`🗓️ Digest ${schedule.id} : job ${job.id} (${maxEmails} emails max)`);
+  return { ...run, job_id: job.id };
+}
+
+// Réserve l'échéance (update conditionnel) en avançant next_run_at
+async function claimSchedule(schedule, now) {
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .update({
+      next_run_at: nextRunAfter(schedule.next_run_at, schedule.frequency, now).toISOString(),
+      last_run_at: now.toISOString(),
+    })
+    .eq("id", schedule.id)
+    .eq("enabled", true)
+    .eq("next_run_at", schedule.next_run_at)
+    .select(SCHEDULE_COLUMNS);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// runSchedule avec journalisation de l'échec dans l'historique des exécutions
+async function executeSchedule(schedule, now) {
+  try {
+    return await runSchedule(schedule, now);
+  } catch (err) {
+    console.error(`❌ Digest ${schedule.id} failed:`, err);
+    await insertRun({
+      schedule_id: schedule.id,
+      user_id: schedule.user_id,
+      status: "failed",
+      reason: err.message,
+      window_end: now.toISOString(),
+      finished_at: new Date().toISOString(),
+    }).catch(() => {});
+    return null;
+  }
+}
+
+let ticking = false;
+
+export async function runDueSchedules(now = new Date()) {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const { data: due, error } = await supabase
+      .from("digest_schedules")
+      .select(SCHEDULE_COLUMNS)
+      .eq("enabled", true)
+      .lte("next_run_at", now.toISOString())
+      .order("next_run_at", { ascending: true })
+      .limit(DUE_LIMIT);
+    if (error) throw error;
+
+    for (const candidate of due || []) {
+      const schedule = await claimSchedule(candidate, now);
+      if (!schedule) continue; // pris par une autre instance
+      await executeSchedule(schedule, now);
+    }
+  } catch (err) {
+    console.error("⚠️ Scheduler error:", err.message || err);
+  } finally {
+    ticking = false;
+  }
+}
+
+// Exécution immédiate d'un digest, en plus de son rythme habituel : next_run_at
+// n'est pas modifié, seule la fenêtre (last_window_end) avance à la fin du job
+export async function triggerSchedule(id, userId) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from("digest_schedules")
+    .update({ last_run_at: now.toISOString() })
+    .eq("id", id)
+    .eq("user_id", userId)
+    .eq("enabled", true)
+    .select(SCHEDULE_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (data) await executeSchedule(data, now);
+  return data;
+}
+
+// Fin d'un job de digest : statut de l'exécution et, si les emails ont été traités, fenêtre close
+jobEvents.on("finished", async ({ job, status, finalReportId, error }) => {
+  const runId = job.source?.runId;
+  if (!runId) return;
+  const finished_at = new Date().toISOString();
+  try {
+    let run;
+    if (status === "completed") {
+      // fenêtre coupée par max_emails / credit_cap : close à la date du dernier email
+      // récupéré (after: est à la seconde, seuls des emails de cette seconde peuvent revenir)
+      const truncated = !!job.source?.truncated && !!job.source?.fetchedUntil;
+      run = await updateRun(runId, {
+        status: "completed",
+        final_report_id: finalReportId,
+        finished_at,
+        truncated,
+        ...(truncated && { window_end: job.source.fetchedUntil }),
+      });
+    } else if (status === "empty") {
+      run = await updateRun(runId, { status: "skipped", reason: "no_new_emails", finished_at });
+    } else if (error?.status === 402) {
+      await updateRun(runId, { status: "skipped", reason: "insufficient_credits", finished_at });
+      return;
+    } else {
+      await updateRun(runId, { status: "failed", reason: error?.message || "job_failed", finished_at });
+      return;
+    }
+    if (run) await closeWindow(run.schedule_id, run.window_end);
+  } catch (err) {
+    console.error(`❌ Failed to update digest run ${runId}:`, err);
+  }
+});
+
+export function startScheduler() {
+  runDueSchedules();
+  return setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS);
+}
@@ -0,0 +1,241 @@
+// lib/senders.js
+// Statistiques par expéditeur et par domaine : l'en-tête From de chaque email
+// analysé est décomposé (nom, adresse, domaine) et les compteurs de volume et de
+// sentiments sont cumulés dans sender_stats à chaque mini-rapport.
+import { supabase } from "../supabaseClient.js";
+import { LABELS } from "./emailResults.js";
+import { parseAddress } from "./gmail.js";
+import { groupIntoThreads } from "./threads.js";
+import { percentage } from "./aggregate.js";
+
+export const SENDER_GROUPINGS = ["sender", "domain"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// en dessous, un correspondant n'est pas classé parmi les plus négatifs
+const DEFAULT_MIN_EMAILS = 3;
+const NEGATIVE_CANDIDATES = 500;
+
+export class SenderQueryError extends Error {
+  constructor(message, status = 400, code = "invalid_query") {
+    super(message);
+    this.name = "SenderQueryError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// { name, address, domain } : déjà calculé pour les emails Gmail (cf. messageToEmail), sinon depuis From
+export function senderOf(email) {
+  return email.sender?.address ? email.sender : parseAddress(email.from);
+}
+
+// id d'email -> label, depuis les résultats par email ou (mode conversation)
+// le label de la conversation pour chacun de ses messages
+export function batchLabels(batch, parsed) {
+  if (Array.isArray(parsed.threads)) {
+    const byThread = new Map(parsed.threads.map((t) => [t.thread_id, t.label]));
+    const labels = new Map();
+    for (const thread of groupIntoThreads(batch)) {
+      const label = byThread.get(thread.threadId);
+      if (label) thread.emails.forEach((e) => labels.set(String(e.id), label));
+    }
+    return labels;
+  }
+  return new Map((parsed.emailResults || []).map((r) => [String(r.message_id), r.label]));
+}
+
+// Clé de déduplication d'un message : son id (Gmail), ou une clé propre au
+// mini-rapport pour un email reçu sans id (id généré par planBatches)
+function activityKey(email, miniReportId) {
+  return email.generatedId ? `report:${miniReportId}:${email.id}` : String(email.id);
+}
+
+// Activité par message d'un batch ; les emails sans adresse lisible sont ignorés
+export function senderMessages(batch, labels, miniReportId, now = new Date()) {
+  const messages = [];
+  for (const email of batch) {
+    const { name, address, domain } = senderOf(email);
+    if (!address) continue;
+    const date = new Date(email.date || now);
+    messages.push({
+      message_id: activityKey(email, miniReportId),
+      address,
+      name: name || null,
+      domain: domain || null,
+      label: labels.get(String(email.id)) || null,
+      seen_at: (Number.isNaN(date.getTime()) ? now : date).toISOString(),
+    });
+  }
+  return messages;
+}
+
+// Compteurs par adresse à partir de l'activité par message
+export function senderActivity(messages) {
+  const rows = new Map();
+  for (const { address, name, domain, label, seen_at: seen } of messages) {
+    if (!rows.has(address)) {
+      rows.set(address, {
+        address,
+        name,
+        domain,
+        email_count: 0,
+        ...Object.fromEntries(LABELS.map((l) => [l, 0])),
+        first_seen: seen,
+        last_seen: seen,
+      });
+    }
+    const row = rows.get(address);
+    row.email_count += 1;
+    if (name) row.name = name;
+    if (label) row[label] += 1;
+    if (seen < row.first_seen) row.first_seen = seen;
+    if (seen > row.last_seen) row.last_seen = seen;
+  }
+  return [...rows.values()];
+}
+
+// Ajoute l'activité d'un mini-rapport aux compteurs. Idempotent par message
+// (user_id, message_id) via la RPC : un message déjà compté par une autre
+// analyse n'est pas recompté. false si rien n'a été ajouté.
+export async function recordSenderActivity(userId, miniReportId, batch, parsed) {
+  const messages = senderMessages(batch, batchLabels(batch, parsed), miniReportId);
+  if (!messages.length) return false;
+
+  const { data, error } = await supabase.rpc("record_sender_activity", {
+    p_user_id: userId,
+    p_mini_report_id: miniReportId,
+    p_messages: messages,
+  });
+  if (!error) return !!data;
+  // RPC absente (PGRST202) : fallback manuel, non atomique
+  if (error.code !== "PGRST202") throw error;
+  console.warn("⚠️ record_sender_activity RPC missing, using manual fallback");
+  return recordSenderActivityManually(userId, miniReportId, messages);
+}
+
+async function recordSenderActivityManually(userId, miniReportId, messages) {
+  const { data: counted, error: countedErr } = await supabase
+    .from("sender_activity_messages")
+    .select("message_id")
+    .eq("user_id", userId)
+    .in("message_id", messages.map((m) => m.message_id));
+  if (countedErr) throw countedErr;
+
+  const known = new Set((counted || []).map((m) => m.message_id));
+  const fresh = [];
+  for (const message of messages) {
+    if (known.has(message.message_id)) continue;
+    known.add(message.message_id);
+    fresh.push(message);
+  }
+  if (!fresh.length) return false;
+
+  // messages marqués avant les compteurs : une interruption sous-compte plutôt que de gonfler
+  const { error: markErr } = await supabase
+    .from("sender_activity_messages")
+    .insert(fresh.map((m) => ({ user_id: userId, message_id: m.message_id, mini_report_id: miniReportId })));
+  if (markErr) throw markErr;
+
+  const rows = senderActivity(fresh);
+  const { data: existing, error: selErr } = await supabase
+    .from("sender_stats")
+    .select("*")
+    .eq("user_id", userId)
+    .in("address", rows.map((r) => r.address));
+  if (selErr) throw selErr;
+
+  const current = new Map((existing || []).map((r) => [r.address, r]));
+  const merged = rows.map((r) => {
+    const before = current.get(r.address);
+    if (!before) return { ...r, user_id: userId };
+    return {
+      user_id: userId,
+      address: r.address,
+      name: r.name || before.name,
+      domain: r.domain || before.domain,
+      email_count: before.email_count + r.email_count,
+      ...Object.fromEntries(LABELS.map((l) => [l, before[l] + r[l]])),
+      first_seen: new Date(before.first_seen) < new Date(r.first_seen) ? before.first_seen : r.first_seen,
+      last_seen: new Date(before.last_seen) > new Date(r.last_seen) ? before.last_seen : r.last_seen,
+      updated_at: new Date().toISOString(),
+    };
+  });
+  const { error } = await supabase.from("sender_stats").upsert(merged, { onConflict: "user_id,address" });
+  if (error) throw error;
+  return true;
+}
+
+function serializeRow(row) {
+  const classification = Object.fromEntries(LABELS.map((l) => [l, row[l] || 0]));
+  const classified = LABELS.reduce((sum, l) => sum + classification[l], 0);
+  return {
+    ...(row.address !== undefined ? { address: row.address, name: row.name } : { sender_count: row.sender_count }),
+    domain: row.domain,
+    email_count: row.email_count,
+    classification,
+    percentages: Object.fromEntries(LABELS.map((l) => [l, percentage(classification[l], classified)])),
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+  };
+}
+
+// Paramètres communs des endpoints (by, limit, min_emails)
+export function parseSenderQuery(query = {}) {
+  const by = String(query.by || "sender").toLowerCase();
+  if (!SENDER_GROUPINGS.includes(by)) {
+    throw new SenderQueryError(`Invalid by (expected ${SENDER_GROUPINGS.join(", ")})`);
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new SenderQueryError(`Invalid limit (expected 1-${MAX_LIMIT})`);
+  }
+  const minEmails = query.min_emails === undefined ? DEFAULT_MIN_EMAILS : Number(query.min_emails);
+  if (!Number.isInteger(minEmails) || minEmails < 1) throw new SenderQueryError("Invalid min_emails");
+  return { by, limit, minEmails };
+}
+
+const tableFor = (by) => (by === "domain" ? "sender_domain_stats" : "sender_stats");
+
+// Expéditeurs (ou domaines) les plus fréquents
+export async function listTopSenders(userId, { by = "sender", limit = DEFAULT_LIMIT } = {}) {
+  const { data, error } = await supabase
+    .from(tableFor(by))
+    .select("*")
+    .eq("user_id", userId)
+    .order("email_count", { ascending: false })
+    .order("last_seen", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(serializeRow);
+}
+
+// Correspondants les plus négatifs : part d'emails négatifs (puis nombre), à partir de minEmails emails
+export async function listNegativeSenders(userId, { by = "sender", limit = DEFAULT_LIMIT, minEmails = DEFAULT_MIN_EMAILS } = {}) {
+  const { data, error } = await supabase
+    .from(tableFor(by))
+    .select("*")
+    .eq("user_id", userId)
+    .gte("email_count", minEmails)
+    .gt("negative", 0)
+    .order("negative", { ascending: false })
+    .limit(NEGATIVE_CANDIDATES);
+  if (error) throw error;
+  return (data || [])
+    .map(serializeRow)
+    .sort((a, b) => b.percentages.negative - a.percentages.negative || b.classification.negative - a.classification.negative)
+    .slice(0, limit);
+}
+
+// Expéditeurs vus pour la première fois dans la période [from, to[
+export async function listNewSenders(userId, { from, to, limit = DEFAULT_LIMIT }) {
+  const { data, error } = await supabase
+    .from("sender_stats")
+    .select("*")
+    .eq("user_id", userId)
+    .gte("first_seen", from.toISOString())
+    .lt("first_seen", to.toISOString())
+    .order("first_seen", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(serializeRow);
+}
@@ -0,0 +1,197 @@
+// lib/stats.js
+// Statistiques d'un utilisateur sur une période, découpées en buckets (jour,
+// semaine ISO, mois ; en UTC) : emails analysés, sentiments et crédits dépensés.
+// Les moyennes de sentiments sont des moyennes de pourcentages par rapport, pour
+// que des rapports de tailles différentes pèsent autant.
+import { supabase } from "../supabaseClient.js";
+import { LABELS } from "./emailResults.js";
+import { percentage } from "./aggregate.js";
+import { loadRedactionMap } from "./reportModel.js";
+import { unmaskText } from "./redaction.js";
+
+export const GRANULARITIES = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_BUCKETS = 400;
+// fenêtre de la moyenne glissante (en buckets) par granularité
+const DEFAULT_WINDOWS = { day: 7, week: 4, month: 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class StatsError extends Error {
+  constructor(message, status = 400, code = "invalid_query") {
+    super(message);
+    this.name = "StatsError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new StatsError(`Invalid ${name} date`);
+  return date;
+}
+
+// Début du bucket contenant `date` (UTC) ; les semaines commencent le lundi
+export function bucketStart(date, granularity) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (granularity === "month") d.setUTCDate(1);
+  return d;
+}
+
+function nextBucket(start, granularity) {
+  const d = new Date(start);
+  if (granularity === "day") d.setUTCDate(d.getUTCDate() + 1);
+  if (granularity === "week") d.setUTCDate(d.getUTCDate() + 7);
+  if (granularity === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+// { from, to, granularity, window } depuis la query ; période [from, to[ ,
+// une date seule en `to` inclut toute la journée. Par défaut : 90 derniers jours par semaine.
+export function parseStatsQuery(query = {}, now = new Date()) {
+  const granularity = String(query.granularity || "week").toLowerCase();
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new StatsError(`Invalid granularity (expected ${GRANULARITIES.join(", ")})`);
+  }
+
+  let to = query.to ? parseDate(query.to, "to") : now;
+  if (query.to && DATE_ONLY.test(query.to)) to = new Date(to.getTime() + DAY_MS);
+  const from = query.from ? parseDate(query.from, "from") : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) throw new StatsError("`from` must be before `to`");
+
+  const window = query.window === undefined ? DEFAULT_WINDOWS[granularity] : Number(query.window);
+  if (!Number.isInteger(window) || window < 1) throw new StatsError("Invalid window (expected a positive integer)");
+
+  if (listBuckets(from, to, granularity, MAX_BUCKETS + 1).length > MAX_BUCKETS) {
+    throw new StatsError(`Too many buckets (max ${MAX_BUCKETS}): use a larger granularity or a shorter range`);
+  }
+  return { from, to, granularity, window };
+}
+
+function listBuckets(from, to, granularity, limit = Infinity) {
+  const buckets = [];
+  for (let start = bucketStart(from, granularity); start < to && buckets.length < limit; start = nextBucket(start, granularity)) {
+    buckets.push(start);
+  }
+  return buckets;
+}
+
+function reportPercentages(report) {
+  const counts = report.classification || report.sentiment_overall || {};
+  const classified = LABELS.reduce((sum, l) => sum + Number(counts[l] || 0), 0);
+  return classified ? Object.fromEntries(LABELS.map((l) => [l, percentage(Number(counts[l] || 0), classified)])) : null;
+}
+
+// moyenne des pourcentages (un rapport = une voix), null sans rapport classé
+function averagePercentages(list) {
+  if (!list.length) return null;
+  return Object.fromEntries(
+    LABELS.map((l) => [l, Math.round((list.reduce((sum, p) => sum + p[l], 0) / list.length) * 10) / 10])
+  );
+}
+
+const average = (values) => (values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : 0);
+
+// Séries par bucket à partir des rapports finaux et des transactions de crédits de la période
+export function buildStatsSeries(reports, transactions, { from, to, granularity, window }) {
+  const buckets = listBuckets(from, to, granularity).map((start) => ({
+    start,
+    emails: 0,
+    reports: 0,
+    classification: Object.fromEntries(LABELS.map((l) => [l, 0])),
+    pcts: [],
+    credits_spent: 0,
+  }));
+  const indexOf = (value) => {
+    const key = bucketStart(new Date(value), granularity).getTime();
+    return buckets.findIndex((b) => b.start.getTime() === key);
+  };
+
+  for (const r of reports) {
+    const bucket = buckets[indexOf(r.created_at)];
+    if (!bucket) continue;
+    const counts = r.classification || r.sentiment_overall || {};
+    bucket.reports += 1;
+    bucket.emails += r.total_emails || 0;
+    for (const l of LABELS) bucket.classification[l] += Number(counts[l] || 0);
+    const pct = reportPercentages(r);
+    if (pct) bucket.pcts.push(pct);
+  }
+  // consommations (négatives) nettes des remboursements
+  for (const tx of transactions) {
+    const bucket = buckets[indexOf(tx.created_at)];
+    if (bucket) bucket.credits_spent -= tx.amount;
+  }
+
+  const series = buckets.map((b, i) => {
+    const span = buckets.slice(Math.max(0, i - window + 1), i + 1);
+    return {
+      start: b.start.toISOString(),
+      end: nextBucket(b.start, granularity).toISOString(),
+      reports: b.reports,
+      emails: b.emails,
+      credits_spent: b.credits_spent,
+      classification: b.classification,
+      sentiment_pct: averagePercentages(b.pcts),
+      rolling: {
+        emails: average(span.map((s) => s.emails)),
+        credits_spent: average(span.map((s) => s.credits_spent)),
+        sentiment_pct: averagePercentages(span.flatMap((s) => s.pcts)),
+      },
+    };
+  });
+
+  const allPcts = buckets.flatMap((b) => b.pcts);
+  return {
+    series,
+    totals: {
+      reports: reports.length,
+      emails: buckets.reduce((sum, b) => sum + b.emails, 0),
+      credits_spent: buckets.reduce((sum, b) => sum + b.credits_spent, 0),
+      sentiment_pct: averagePercentages(allPcts),
+    },
+  };
+}
+
+export async function getUserStats(userId, { from, to, granularity, window }) {
+  const [{ data: reports, error: rptErr }, { data: transactions, error: txErr }] = await Promise.all([
+    supabase
+      .from("reports")
+      .select("id, summary, report_text, sentiment_overall, classification, total_emails, created_at")
+      .eq("user_id", userId)
+      .eq("is_final", true)
+      .gte("created_at", from.toISOString())
+      .lt("created_at", to.toISOString())
+      .order("created_at", { ascending: false }),
+    supabase
+      .from("credit_transactions")
+      .select("amount, created_at")
+      .eq("user_id", userId)
+      .in("entry_type", ["consumption", "refund"])
+      .gte("created_at", from.toISOString())
+      .lt("created_at", to.toISOString()),
+  ]);
+  if (rptErr) throw rptErr;
+  if (txErr) throw txErr;
+
+  const { series, totals } = buildStatsSeries(reports || [], transactions || [], { from, to, granularity, window });
+  const last = reports?.[0];
+  // dernier résumé affiché en clair au propriétaire (cf. lib/redaction.js)
+  const lastSummary = (last?.summary ?? last?.report_text) || "";
+  const mapping = lastSummary ? await loadRedactionMap([last.id], userId) : {};
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    granularity,
+    window,
+    totals,
+    series,
+    // champs historiques de /stats/:userId (moyennes désormais en pourcentages)
+    total_emails: totals.emails,
+    avg: totals.sentiment_pct || Object.fromEntries(LABELS.map((l) => [l, 0])),
+    last_summary: unmaskText(lastSummary, mapping),
+  };
+}
@@ -0,0 +1,6 @@
+// lib/stripe.js
+import Stripe from "stripe";
+import dotenv from "dotenv";
+dotenv.config();
+
+export const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
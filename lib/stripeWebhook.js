@@ -0,0 +1,320 @@
+// lib/stripeWebhook.js
+// Traitement des événements Stripe : dédoublonnage par event.id (table stripe_events),
+// crédits passés dans le grand livre (idempotent par référence Stripe).
+import { EventEmitter } from "events";
+import { supabase } from "../supabaseClient.js";
+import { announceTransaction, postCreditTransaction } from "./ledger.js";
+import { grantMonthlyAllowance, syncSubscription } from "./subscriptions.js";
+
+// "succeeded" : { userId, payment } pour chaque paiement crédité (pack ou facture
+// d'abonnement), une seule fois par paiement ; utilisé par les webhooks (lib/webhooks.js)
+export const paymentEvents = new EventEmitter();
+
+// un traitement "processing" sans nouvelles depuis ce délai est considéré comme abandonné
+const EVENT_LEASE_MS = 5 * 60 * 1000;
+
+// Reprend un événement existant par un update conditionnel sur son statut :
+// une seule livraison concurrente obtient la ligne
+async function reclaimEvent(event, status, claimedBefore = null) {
+  let query = supabase
+    .from("stripe_events")
+    .update({ status: "processing", error: null, claimed_at: new Date().toISOString() })
+    .eq("id", event.id)
+    .eq("status", status);
+  if (claimedBefore) query = query.lt("claimed_at", claimedBefore);
+  const { data, error } = await query.select("id");
+  if (error) throw error;
+  return !!data?.length;
+}
+
+// Réserve l'événement. Renvoie "claimed", "processed" (déjà traité avec succès)
+// ou "in_flight" (traité en ce moment par une autre livraison). Un événement
+// "failed", ou "processing" dont le bail a expiré (instance tombée), est repris.
+async function claimEvent(event) {
+  const { error } = await supabase
+    .from("stripe_events")
+    .insert([{ id: event.id, type: event.type, status: "processing", claimed_at: new Date().toISOString() }]);
+  if (!error) return "claimed";
+  if (error.code !== "23505") throw error;
+
+  if (await reclaimEvent(event, "failed")) return "claimed";
+  if (await reclaimEvent(event, "processing", new Date(Date.now() - EVENT_LEASE_MS).toISOString())) return "claimed";
+
+  const { data: existing, error: selErr } = await supabase
+    .from("stripe_events")
+    .select("status")
+    .eq("id", event.id)
+    .single();
+  if (selErr) throw selErr;
+  return existing.status === "processed" ? "processed" : "in_flight";
+}
+
+async function markEvent(event, status, errorMessage = null) {
+  const { error } = await supabase
+    .from("stripe_events")
+    .update({ status, error: errorMessage, processed_at: new Date().toISOString() })
+    .eq("id", event.id);
+  if (error) console.error("⚠️ stripe_events update error:", error);
+}
+
+async function upsertPayment(row) {
+  const { data, error } = await supabase
+    .from("payments")
+    .upsert([{ ...row, updated_at: new Date().toISOString() }], { onConflict: "stripe_session_id" })
+    .select("*")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function findPaymentByIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const { data, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("stripe_payment_intent_id", paymentIntentId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function updatePayment(id, patch) {
+  const { error } = await supabase
+    .from("payments")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+// Reprend des crédits (remboursement / litige) : le solde peut devenir négatif.
+// target : total à avoir repris sur le paiement après l'opération. Le calcul,
+// l'écriture et le compteur credits_clawed_back sont faits en base, sous verrou
+// du paiement (RPC claw_back_payment_credits).
+async function clawBackCredits(payment, target, { referenceType, referenceId, description }) {
+  const { data, error } = await supabase.rpc("claw_back_payment_credits", {
+    p_payment_id: payment.id,
+    p_target: target,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_description: description,
+  });
+  if (error) {
+    // RPC absente (PGRST202) : fallback manuel, non atomique
+    if (error.code !== "PGRST202") throw error;
+    console.warn("⚠️ claw_back_payment_credits RPC missing, using manual fallback");
+    return clawBackCreditsManually(payment, target, { referenceType, referenceId, description });
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row?.clawed_back) return;
+  announceTransaction(
+    { transactionId: row.transaction_id, balance: row.balance, duplicate: false },
+    { userId: payment.user_id, type: "adjustment", amount: -row.clawed_back }
+  );
+  console.log(`↪️ User ${payment.user_id} : -${row.clawed_back} crédits (${description}, total ${row.balance})`);
+}
+
+async function clawBackCreditsManually(payment, target, { referenceType, referenceId, description }) {
+  const credits = Math.min(target, payment.credits_added) - (payment.credits_clawed_back || 0);
+  if (credits <= 0) return;
+  const { duplicate, balance } = await postCreditTransaction({
+    userId: payment.user_id,
+    type: "adjustment",
+    amount: -credits,
+    referenceType,
+    referenceId,
+    description,
+    metadata: { payment_id: payment.id },
+    allowNegative: true,
+  });
+  if (!duplicate) {
+    await updatePayment(payment.id, {
+      credits_clawed_back: (payment.credits_clawed_back || 0) + credits,
+    });
+    console.log(`↪️ User ${payment.user_id} : -${credits} crédits (${description}, total ${balance})`);
+  }
+}
+
+async function handleCheckoutCompleted(session) {
+  // les sessions d'abonnement sont gérées via les factures
+  if (session.mode && session.mode !== "payment") return;
+
+  // 🔑 Metadata envoyée depuis le frontend
+  const userId = session.metadata?.userId;
+  const creditsPurchased = parseInt(session.metadata?.credits || "0", 10);
+  if (!userId || !creditsPurchased) {
+    throw new Error("userId ou credits manquants dans metadata Stripe");
+  }
+
+  const paid = session.payment_status === "paid" || session.payment_status === "no_payment_required";
+
+  // 1️⃣ Enregistrer le paiement (unique par session). Une tentative échouée du même
+  // PaymentIntent a pu être tracée sans session : on complète cette ligne.
+  const row = {
+    user_id: userId,
+    stripe_session_id: session.id,
+    stripe_payment_intent_id: session.payment_intent || null,
+    amount: (session.amount_total || 0) / 100, // montant en euros
+    credits_added: creditsPurchased,
+    status: paid ? "succeeded" : "pending",
+  };
+  const earlier = await findPaymentByIntent(session.payment_intent);
+  if (earlier && !earlier.stripe_session_id) await updatePayment(earlier.id, row);
+  else await upsertPayment(row);
+  if (!paid) return;
+
+  // 2️⃣ Créditer via le grand livre (atomique, idempotent par session)
+  const { balance, duplicate } = await postCreditTransaction({
+    userId,
+    type: "purchase",
+    amount: creditsPurchased,
+    referenceType: "stripe_session",
+    referenceId: session.id,
+    description: `Achat de ${creditsPurchased} crédits`,
+  });
+  if (duplicate) return;
+  console.log(`✅ User ${userId} : +${creditsPurchased} crédits (total ${balance})`);
+  paymentEvents.emit("succeeded", {
+    userId,
+    payment: {
+      kind: "credit_pack",
+      amount: row.amount,
+      currency: session.currency || "eur",
+      credits: creditsPurchased,
+      stripe_session_id: session.id,
+      stripe_payment_intent_id: row.stripe_payment_intent_id,
+    },
+  });
+}
+
+async function handleInvoicePaid(invoice) {
+  const granted = await grantMonthlyAllowance(invoice);
+  if (!granted) return;
+  paymentEvents.emit("succeeded", {
+    userId: granted.userId,
+    payment: {
+      kind: "subscription",
+      amount: (invoice.amount_paid || 0) / 100,
+      currency: invoice.currency || "eur",
+      credits: granted.credits,
+      plan: granted.plan,
+      stripe_invoice_id: invoice.id,
+    },
+  });
+}
+
+async function handleCheckoutExpired(session) {
+  if (session.mode && session.mode !== "payment") return;
+  const userId = session.metadata?.userId;
+  if (!userId) return;
+
+  const { data: existing } = await supabase
+    .from("payments")
+    .select("status")
+    .eq("stripe_session_id", session.id)
+    .maybeSingle();
+  if (existing && existing.status !== "pending") return;
+
+  await upsertPayment({
+    user_id: userId,
+    stripe_session_id: session.id,
+    amount: (session.amount_total || 0) / 100,
+    credits_added: 0,
+    status: "expired",
+  });
+}
+
+async function handlePaymentFailed(paymentIntent) {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+  const reason = paymentIntent.last_payment_error?.message || null;
+
+  if (payment) {
+    if (payment.status === "succeeded") return;
+    await updatePayment(payment.id, { status: "failed", failure_reason: reason });
+    return;
+  }
+
+  // échec avant la fin du checkout : pas encore de ligne, on trace via les metadata du PaymentIntent
+  const userId = paymentIntent.metadata?.userId;
+  if (!userId) return;
+  const { error } = await supabase.from("payments").insert([
+    {
+      user_id: userId,
+      stripe_payment_intent_id: paymentIntent.id,
+      amount: (paymentIntent.amount || 0) / 100,
+      credits_added: 0,
+      status: "failed",
+      failure_reason: reason,
+    },
+  ]);
+  if (error && error.code !== "23505") throw error;
+}
+
+async function handleChargeRefunded(charge) {
+  const payment = await findPaymentByIntent(charge.payment_intent);
+  if (!payment) {
+    console.warn(`⚠️ charge.refunded sans paiement connu (${charge.payment_intent})`);
+    return;
+  }
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const ratio = charge.amount ? Math.min(charge.amount_refunded / charge.amount, 1) : 1;
+
+  await clawBackCredits(payment, Math.round(payment.credits_added * ratio), {
+    referenceType: "stripe_refund",
+    // un remboursement partiel puis total produit deux références distinctes
+    referenceId: `${charge.id}:${charge.amount_refunded}`,
+    description: fullyRefunded ? "Paiement remboursé" : "Paiement partiellement remboursé",
+  });
+  await updatePayment(payment.id, { status: fullyRefunded ? "refunded" : "partially_refunded" });
+}
+
+async function handleDisputeCreated(dispute) {
+  const payment = await findPaymentByIntent(dispute.payment_intent);
+  if (!payment) {
+    console.warn(`⚠️ charge.dispute.created sans paiement connu (${dispute.payment_intent})`);
+    return;
+  }
+
+  await clawBackCredits(payment, payment.credits_added, {
+    referenceType: "stripe_dispute",
+    referenceId: dispute.id,
+    description: "Paiement contesté",
+  });
+  await updatePayment(payment.id, { status: "disputed" });
+}
+
+export const EVENT_HANDLERS = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "checkout.session.async_payment_succeeded": handleCheckoutCompleted,
+  "checkout.session.expired": handleCheckoutExpired,
+  "payment_intent.payment_failed": handlePaymentFailed,
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleDisputeCreated,
+  "invoice.paid": handleInvoicePaid,
+  "customer.subscription.created": syncSubscription,
+  "customer.subscription.updated": syncSubscription,
+  "customer.subscription.deleted": syncSubscription,
+};
+
+// Traite un événement déjà vérifié. Renvoie { handled, duplicate }.
+export async function handleStripeEvent(event) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) return { handled: false, duplicate: false };
+
+  const claim = await claimEvent(event);
+  if (claim !== "claimed") {
+    // en cours ailleurs : 200, la livraison qui le traite répondra 500 en cas d'échec
+    console.log(claim === "processed" ? `↩️ Stripe event ${event.id} déjà traité` : `⏳ Stripe event ${event.id} déjà en cours`);
+    return { handled: true, duplicate: true };
+  }
+
+  try {
+    await handler(event.data.object, event);
+    await markEvent(event, "processed");
+    return { handled: true, duplicate: false };
+  } catch (err) {
+    await markEvent(event, "failed", err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,240 @@
+// lib/subscriptions.js
+// Abonnements Stripe Billing : état stocké sur profiles, allocation mensuelle de crédits.
+import { supabase } from "../supabaseClient.js";
+import { stripe } from "./stripe.js";
+import { getPlan, getPlanByPriceId } from "./plans.js";
+import { getNetConsumptionSince, postCreditTransaction } from "./ledger.js";
+
+const SUBSCRIPTION_COLUMNS =
+  "id, credits, stripe_customer_id, stripe_subscription_id, subscription_status, plan, current_period_end, cancel_at_period_end, allowance_balance, allowance_period_start";
+
+export class SubscriptionError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "SubscriptionError";
+    this.status = status;
+  }
+}
+
+export async function getProfile(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select(SUBSCRIPTION_COLUMNS)
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new SubscriptionError("User not found", 404);
+  return data;
+}
+
+async function findProfileByCustomer(customerId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select(SUBSCRIPTION_COLUMNS)
+    .eq("stripe_customer_id", customerId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function updateProfile(userId, patch) {
+  const { error } = await supabase.from("profiles").update(patch).eq("id", userId);
+  if (error) throw error;
+}
+
+export function serializeSubscription(profile) {
+  return {
+    plan: profile.plan || null,
+    status: profile.subscription_status || null,
+    current_period_end: profile.current_period_end || null,
+    cancel_at_period_end: !!profile.cancel_at_period_end,
+    allowance_balance: profile.allowance_balance || 0,
+  };
+}
+
+export const isActive = (profile) => ["active", "trialing", "past_due"].includes(profile.subscription_status);
+
+// Client Stripe unique par utilisateur
+export async function ensureCustomer(userId, email) {
+  const profile = await getProfile(userId);
+  if (profile.stripe_customer_id) return profile.stripe_customer_id;
+
+  const customer = await stripe.customers.create({ email, metadata: { userId } });
+  await updateProfile(userId, { stripe_customer_id: customer.id });
+  return customer.id;
+}
+
+export async function createSubscriptionCheckout({ userId, email, planKey, successUrl, cancelUrl }) {
+  const plan = getPlan(planKey);
+  if (!plan?.priceId) throw new SubscriptionError("Plan invalide", 400);
+
+  const profile = await getProfile(userId);
+  if (isActive(profile)) throw new SubscriptionError("Abonnement déjà actif, utilisez /billing/change-plan", 409);
+
+  const customer = await ensureCustomer(userId, email);
+  return stripe.checkout.sessions.create({
+    mode: "subscription",
+    customer,
+    client_reference_id: userId,
+    line_items: [{ price: plan.priceId, quantity: 1 }],
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata: { userId, plan: plan.key },
+    subscription_data: { metadata: { userId, plan: plan.key } },
+  });
+}
+
+// Upgrade : facturé immédiatement au prorata, différence de crédits allouée tout de suite.
+// Downgrade : sans prorata, la nouvelle allocation s'applique au prochain renouvellement.
+export async function changePlan({ userId, planKey }) {
+  const plan = getPlan(planKey);
+  if (!plan?.priceId) throw new SubscriptionError("Plan invalide", 400);
+
+  const profile = await getProfile(userId);
+  if (!profile.stripe_subscription_id || !isActive(profile)) {
+    throw new SubscriptionError("Aucun abonnement actif", 404);
+  }
+  if (profile.plan === plan.key) throw new SubscriptionError("Déjà sur ce plan", 400);
+
+  const current = getPlan(profile.plan);
+  const isUpgrade = !current || plan.monthlyCredits > current.monthlyCredits;
+
+  const subscription = await stripe.subscriptions.retrieve(profile.stripe_subscription_id);
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    items: [{ id: subscription.items.data[0].id, price: plan.priceId }],
+    proration_behavior: isUpgrade ? "always_invoice" : "none",
+    // l'upgrade échoue si la facture de prorata ne peut pas être payée
+    payment_behavior: isUpgrade ? "error_if_incomplete" : "allow_incomplete",
+    metadata: { ...subscription.metadata, userId, plan: plan.key },
+  });
+
+  if (isUpgrade && current) {
+    const diff = plan.monthlyCredits - current.monthlyCredits;
+    const periodStart = subscriptionPeriod(updated).start;
+    await postCreditTransaction({
+      userId,
+      type: "grant",
+      amount: diff,
+      referenceType: "subscription_upgrade",
+      referenceId: `${updated.id}:${periodStart}:${plan.key}`,
+      description: `Upgrade ${current.name} → ${plan.name}`,
+    });
+    await updateProfile(userId, { allowance_balance: (profile.allowance_balance || 0) + diff });
+  }
+
+  await syncSubscription(updated);
+  return updated;
+}
+
+export async function createPortalSession({ userId, returnUrl }) {
+  const profile = await getProfile(userId);
+  if (!profile.stripe_customer_id) throw new SubscriptionError("Aucun client Stripe pour cet utilisateur", 404);
+  return stripe.billingPortal.sessions.create({
+    customer: profile.stripe_customer_id,
+    return_url: returnUrl,
+  });
+}
+
+// depuis l'API "basil", les périodes sont portées par les items
+function subscriptionPeriod(sub) {
+  const item = sub.items?.data?.[0];
+  return {
+    start: item?.current_period_start ?? sub.current_period_start,
+    end: item?.current_period_end ?? sub.current_period_end,
+  };
+}
+
+async function resolveUserId(sub) {
+  if (sub.metadata?.userId) return sub.metadata.userId;
+  const customerId = typeof sub.customer === "string" ? sub.customer : sub.customer?.id;
+  const profile = customerId ? await findProfileByCustomer(customerId) : null;
+  return profile?.id || null;
+}
+
+// Recopie l'état de l'abonnement Stripe sur profiles
+export async function syncSubscription(sub) {
+  const userId = await resolveUserId(sub);
+  if (!userId) {
+    console.warn(`⚠️ Abonnement ${sub.id} sans utilisateur associé`);
+    return null;
+  }
+
+  const price = sub.items?.data?.[0]?.price;
+  const plan = getPlanByPriceId(typeof price === "string" ? price : price?.id);
+  const { end } = subscriptionPeriod(sub);
+  const ended = ["canceled", "incomplete_expired"].includes(sub.status);
+
+  await updateProfile(userId, {
+    stripe_customer_id: typeof sub.customer === "string" ? sub.customer : sub.customer?.id,
+    stripe_subscription_id: ended ? null : sub.id,
+    subscription_status: sub.status,
+    plan: ended ? null : plan?.key || null,
+    current_period_end: end ? new Date(end * 1000).toISOString() : null,
+    cancel_at_period_end: !!sub.cancel_at_period_end,
+  });
+  console.log(`🔄 Abonnement ${sub.id} (${userId}) : ${sub.status} ${plan?.key || ""}`);
+  return userId;
+}
+
+function invoiceSubscriptionId(invoice) {
+  const sub = invoice.parent?.subscription_details?.subscription ?? invoice.subscription;
+  return typeof sub === "string" ? sub : sub?.id;
+}
+
+// Facture d'abonnement payée : expiration / report de l'allocation précédente
+// puis nouvelle allocation mensuelle. Idempotent par facture.
+// Renvoie { userId, plan, credits } si l'allocation a été créditée.
+export async function grantMonthlyAllowance(invoice) {
+  if (!["subscription_create", "subscription_cycle"].includes(invoice.billing_reason)) return;
+
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return;
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const userId = await syncSubscription(subscription);
+  if (!userId) return;
+
+  const price = subscription.items.data[0]?.price;
+  const plan = getPlanByPriceId(price?.id);
+  if (!plan) throw new Error(`Plan inconnu pour le prix ${price?.id}`);
+
+  const profile = await getProfile(userId);
+
+  // allocation restante = allocation de la période - consommation nette depuis son début
+  let unused = 0;
+  if (profile.allowance_balance && profile.allowance_period_start) {
+    const consumed = await getNetConsumptionSince(userId, profile.allowance_period_start);
+    unused = Math.max(0, Math.min(profile.allowance_balance - consumed, profile.credits));
+  }
+  const carried = plan.rollover === "cap" ? Math.min(unused, plan.rolloverCap) : 0;
+  const expired = unused - carried;
+
+  if (expired > 0) {
+    await postCreditTransaction({
+      userId,
+      type: "adjustment",
+      amount: -expired,
+      referenceType: "subscription_expiry",
+      referenceId: invoice.id,
+      description: `Expiration de ${expired} crédits d'abonnement non utilisés`,
+    });
+  }
+
+  const { balance, duplicate } = await postCreditTransaction({
+    userId,
+    type: "grant",
+    amount: plan.monthlyCredits,
+    referenceType: "subscription_invoice",
+    referenceId: invoice.id,
+    description: `Allocation mensuelle ${plan.name}`,
+    metadata: { plan: plan.key, carried, expired },
+  });
+  if (duplicate) return;
+
+  await updateProfile(userId, {
+    allowance_balance: carried + plan.monthlyCredits,
+    allowance_period_start: new Date().toISOString(),
+  });
+  console.log(`✅ User ${userId} : +${plan.monthlyCredits} crédits ${plan.name} (reportés ${carried}, expirés ${expired}, total ${balance})`);
+  return { userId, plan: plan.key, credits: plan.monthlyCredits };
+}
@@ -0,0 +1,147 @@
+// lib/threads.js
+// Analyse par conversation : les emails sont regroupés par threadId et chaque
+// thread est analysé comme une unité (un seul sentiment par conversation).
+import { parseAddress } from "./gmail.js";
+import { LABELS } from "./emailResults.js";
+
+const MAX_ATTENTION_THREADS = 20;
+
+function emailTime(e) {
+  const t = new Date(e.date || 0).getTime();
+  return Number.isNaN(t) ? 0 : t;
+}
+
+// -> [{ threadId, emails (ordre chronologique) }], threads les plus récents d'abord
+export function groupIntoThreads(emails) {
+  const byThread = new Map();
+  emails.forEach((e, i) => {
+    const key = String(e.threadId || e.id || `email-${i + 1}`);
+    if (!byThread.has(key)) byThread.set(key, []);
+    byThread.get(key).push(e);
+  });
+
+  return [...byThread.entries()]
+    .map(([threadId, list]) => ({
+      threadId,
+      emails: [...list].sort((a, b) => emailTime(a) - emailTime(b)),
+    }))
+    .sort((a, b) => emailTime(b.emails[b.emails.length - 1]) - emailTime(a.emails[a.emails.length - 1]));
+}
+
+// Adresse masquée (cf. lib/redaction.js) : le jeton est gardé tel quel (parseAddress
+// le passerait en minuscules et il ne serait plus démasqué)
+const MASKED_ADDRESS = /\[EMAIL_[0-9a-f]{8}\]/;
+
+function sender(from) {
+  const { name, address } = parseAddress(from);
+  return { name, address: String(from || "").match(MASKED_ADDRESS)?.[0] || address };
+}
+
+// Participants et dernier intervenant calculés à partir des en-têtes From
+// (du batch masqué : cf. analyzeBatch dans lib/analysis.js)
+function threadFacts(thread) {
+  const participants = new Map();
+  for (const e of thread.emails) {
+    const { name, address } = sender(e.from);
+    const key = address || e.from;
+    if (key && !participants.has(key)) participants.set(key, { name, address });
+  }
+  const last = thread.emails[thread.emails.length - 1];
+  const lastSender = sender(last?.from);
+  return {
+    subject: thread.emails[0]?.subject || null,
+    message_count: thread.emails.length,
+    participants: [...participants.values()],
+    last_speaker: { name: lastSender.name, address: lastSender.address || last?.from || null },
+    last_date: last?.date || null,
+  };
+}
+
+export function buildThreadPromptText(batch) {
+  return groupIntoThreads(batch)
+    .map((thread) => {
+      const messages = thread.emails
+        .map((e, i) => `  Message ${i + 1} (from: ${e.from}, date: ${e.date || "?"}): ${e.body || ""}`)
+        .join("\n");
+      return `Thread [id=${thread.threadId}] (subject: ${thread.emails[0]?.subject}):\n${messages}`;
+    })
+    .join("\n\n");
+}
+
+export const THREAD_OUTPUT_FORMAT = `"threads": [{"id": "the thread id given in brackets", "label": "${LABELS.join("|")}", "sentiment_start": "${LABELS.join("|")}", "sentiment_end": "${LABELS.join("|")}", "resolved": boolean, "needs_attention": boolean, "reason": "one short sentence"}, ...]`;
+
+const asLabel = (value) => (LABELS.includes(String(value).toLowerCase()) ? String(value).toLowerCase() : "other");
+
+// Un résultat par thread du batch ; les threads oubliés par le modèle sont absents
+export function normalizeThreadResults(rawResults, batch) {
+  const threads = new Map(groupIntoThreads(batch).map((t) => [t.threadId, t]));
+  const out = new Map();
+
+  for (const r of Array.isArray(rawResults) ? rawResults : []) {
+    const key = r && String(r.id ?? "");
+    const thread = threads.get(key);
+    if (!thread || out.has(key)) continue;
+
+    const start = asLabel(r.sentiment_start);
+    const end = asLabel(r.sentiment_end);
+    out.set(key, {
+      thread_id: key,
+      ...threadFacts(thread),
+      label: asLabel(r.label),
+      sentiment_start: start,
+      sentiment_end: end,
+      sentiment_change: start === end ? "stable" : `${start}->${end}`,
+      resolved: r.resolved === true,
+      needs_attention: r.needs_attention === true,
+      reason: String(r.reason || "").slice(0, 300),
+    });
+  }
+  return [...out.values()];
+}
+
+// Un thread de plus de maxEmails messages est analysé en plusieurs parties, parfois
+// dans des mini-rapports différents (cf. lib/batchPlanner.js) : les parties sont
+// réunies en un seul résultat par thread_id. Début, sujet : première partie ;
+// fin, sentiment global, résolution : dernière partie.
+export function mergeThreadParts(threadResults) {
+  const byThread = new Map();
+  for (const t of threadResults) {
+    if (!byThread.has(t.thread_id)) byThread.set(t.thread_id, []);
+    byThread.get(t.thread_id).push(t);
+  }
+
+  return [...byThread.values()].map((parts) => {
+    if (parts.length === 1) return parts[0];
+    const ordered = [...parts].sort((a, b) => new Date(a.last_date || 0) - new Date(b.last_date || 0));
+    const first = ordered[0];
+    const last = ordered[ordered.length - 1];
+    const participants = new Map();
+    for (const part of ordered) {
+      for (const p of part.participants || []) {
+        const key = p.address || p.name;
+        if (!participants.has(key)) participants.set(key, p);
+      }
+    }
+    return {
+      ...last,
+      subject: first.subject,
+      message_count: ordered.reduce((sum, part) => sum + (part.message_count || 0), 0),
+      participants: [...participants.values()],
+      sentiment_start: first.sentiment_start,
+      sentiment_change: first.sentiment_start === last.sentiment_end ? "stable" : `${first.sentiment_start}->${last.sentiment_end}`,
+      needs_attention: last.needs_attention,
+    };
+  });
+}
+
+// Section "threads à traiter" du rapport final : non résolus ou se terminant mal,
+// fin négative d'abord puis plus récents
+export function selectThreadsNeedingAttention(threadResults) {
+  return threadResults
+    .filter((t) => t.needs_attention || (!t.resolved && t.sentiment_end === "negative"))
+    .sort((a, b) => {
+      const neg = (t) => (t.sentiment_end === "negative" ? 0 : 1);
+      return neg(a) - neg(b) || new Date(b.last_date || 0) - new Date(a.last_date || 0);
+    })
+    .slice(0, MAX_ATTENTION_THREADS);
+}
@@ -0,0 +1,145 @@
+// lib/tokenStore.js
+// Stockage chiffré des tokens OAuth Gmail dans Supabase (table gmail_tokens),
+// indexé par utilisateur Supabase + adresse Gmail.
+import { google } from "googleapis";
+import { supabase } from "../supabaseClient.js";
+import { encryptJson, decryptJson } from "./crypto.js";
+
+export class TokenStoreError extends Error {
+  constructor(message, status = 500, code = "token_store_error") {
+    super(message);
+    this.name = "TokenStoreError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET
+  );
+}
+
+export function isInvalidGrant(err) {
+  if (!err) return false;
+  const data = err.response?.data;
+  return (
+    data?.error === "invalid_grant" ||
+    err.code === "invalid_grant" ||
+    String(err.message || "").includes("invalid_grant")
+  );
+}
+
+export async function findTokenRecord({ userId, email }) {
+  const { data, error } = await supabase
+    .from("gmail_tokens")
+    .select("user_id, gmail_address, encrypted_tokens, needs_reconsent, updated_at")
+    .eq("user_id", userId)
+    .eq("gmail_address", email)
+    .maybeSingle();
+
+  if (error) throw new TokenStoreError(`Failed to load tokens: ${error.message}`);
+  if (!data) return null;
+
+  return {
+    userId: data.user_id,
+    email: data.gmail_address,
+    needsReconsent: !!data.needs_reconsent,
+    updatedAt: data.updated_at,
+    tokens: decryptJson(data.encrypted_tokens),
+  };
+}
+
+// Google ne renvoie le refresh_token qu'au premier consentement (et pas lors
+// des rafraîchissements) : on fusionne toujours avec ce qui est déjà stocké.
+export async function saveTokens({ userId, email, tokens }) {
+  if (!userId || !email) throw new TokenStoreError("userId and email are required", 400);
+
+  const existing = await findTokenRecord({ userId, email }).catch(() => null);
+  const merged = { ...(existing?.tokens || {}), ...tokens };
+  if (!tokens.refresh_token && existing?.tokens?.refresh_token) {
+    merged.refresh_token = existing.tokens.refresh_token;
+  }
+
+  const { error } = await supabase.from("gmail_tokens").upsert(
+    {
+      user_id: userId,
+      gmail_address: email,
+      encrypted_tokens: encryptJson(merged),
+      needs_reconsent: false,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "user_id,gmail_address" }
+  );
+
+  if (error) throw new TokenStoreError(`Failed to save tokens: ${error.message}`);
+  return merged;
+}
+
+export async function markNeedsReconsent({ userId, email }) {
+  const { error } = await supabase
+    .from("gmail_tokens")
+    .update({ needs_reconsent: true, updated_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("gmail_address", email);
+
+  if (error) console.error("⚠️ markNeedsReconsent error:", error);
+}
+
+export async function deleteTokens({ userId, email }) {
+  const { error } = await supabase
+    .from("gmail_tokens")
+    .delete()
+    .eq("user_id", userId)
+    .eq("gmail_address", email);
+
+  if (error) throw new TokenStoreError(`Failed to delete tokens: ${error.message}`);
+}
+
+// Client OAuth prêt pour l'API Gmail : les tokens rafraîchis par googleapis
+// sont re-persistés via l'événement "tokens".
+export async function getAuthorizedClient({ userId, email }) {
+  const record = await findTokenRecord({ userId, email });
+  if (!record) {
+    throw new TokenStoreError("No tokens for this user. Authenticate via /auth/google/url", 404, "not_found");
+  }
+  if (record.needsReconsent) {
+    throw new TokenStoreError("Gmail access expired or was revoked. Re-authenticate via /auth/google/url", 401, "needs_reconsent");
+  }
+
+  const client = createOAuthClient();
+  client.setCredentials(record.tokens);
+  client.on("tokens", (tokens) => {
+    saveTokens({ userId, email, tokens }).catch((err) =>
+      console.error("⚠️ Failed to persist refreshed Gmail tokens:", err.message)
+    );
+  });
+  return client;
+}
+
+// Si l'erreur vient d'un grant révoqué/expiré, on marque la boîte comme
+// nécessitant un nouveau consentement. Renvoie true dans ce cas.
+export async function handleGoogleAuthError(err, { userId, email }) {
+  if (!isInvalidGrant(err)) return false;
+  console.warn(`🔒 invalid_grant for ${email} (user ${userId}), re-consent required`);
+  await markNeedsReconsent({ userId, email });
+  return true;
+}
+
+export async function revokeTokens({ userId, email }) {
+  const record = await findTokenRecord({ userId, email });
+  if (!record) throw new TokenStoreError("No tokens for this user", 404, "not_found");
+
+  const token = record.tokens.refresh_token || record.tokens.access_token;
+  if (token) {
+    try {
+      await createOAuthClient().revokeToken(token);
+    } catch (err) {
+      // token déjà invalide côté Google : on supprime quand même localement
+      console.warn("⚠️ Google revoke failed (continuing):", err.response?.data || err.message);
+    }
+  }
+
+  await deleteTokens({ userId, email });
+}
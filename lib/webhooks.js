@@ -0,0 +1,544 @@
+// lib/webhooks.js
+// Webhooks sortants : l'utilisateur enregistre des endpoints HTTPS abonnés à des
+// événements (report.completed, credits.low, payment.succeeded). Chaque requête
+// est signée en HMAC-SHA256 avec le secret de l'endpoint, journalisée dans
+// webhook_deliveries et retentée avec un délai croissant tant qu'elle échoue.
+//
+// Signature (en-tête Resumail-Signature) : "t=<timestamp unix>,v1=<hex>" où
+// v1 = HMAC-SHA256(secret, "<timestamp>.<corps brut>").
+//
+// Les URL qui résolvent vers une adresse privée, locale ou de métadonnées sont
+// refusées à l'enregistrement et à chaque envoi (SSRF). En développement,
+// WEBHOOK_ALLOW_PRIVATE=true lève cette restriction (jamais en production).
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { supabase } from "../supabaseClient.js";
+import { encryptJson, decryptJson } from "./crypto.js";
+import { reportEvents } from "./analysis.js";
+import { ledgerEvents } from "./ledger.js";
+import { paymentEvents } from "./stripeWebhook.js";
+import { serializeReport } from "./reportModel.js";
+
+export const WEBHOOK_EVENTS = ["report.completed", "credits.low", "payment.succeeded"];
+// envoyé uniquement via POST /webhooks/:id/test
+export const TEST_EVENT = "webhook.test";
+
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const RESPONSE_EXCERPT = 1000;
+const ENDPOINT_COLUMNS = "id, user_id, url, description, events, credits_low_threshold, enabled, created_at, updated_at";
+const DELIVERY_COLUMNS =
+  "id, endpoint_id, user_id, event_id, event_type, payload, status, attempts, next_attempt_at, response_status, response_body, duration_ms, last_error, delivered_at, created_at, updated_at";
+
+export class WebhookError extends Error {
+  constructor(message, status = 400, code = "invalid_webhook") {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function getWebhookConfig() {
+  return {
+    maxAttempts: Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || "8")),
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || "10000"),
+    pollIntervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS || "15000"),
+  };
+}
+
+// délai avant la tentative suivante : 30 s, 2 min, 8 min... plafonné à 6 h
+export function retryDelayMs(attempts) {
+  return Math.min(30000 * 4 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// ---------- Endpoints ----------
+
+export function serializeEndpoint(row) {
+  const { user_id, secret_encrypted, ...endpoint } = row;
+  return endpoint;
+}
+
+// Plages non routables sur Internet (les IPv4 mappées ::ffff:a.b.c.d sont
+// vérifiées contre les plages IPv4 par BlockList, les autres formes IPv6 qui
+// contiennent une IPv4 le sont par embeddedIPv4)
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === "true" && process.env.NODE_ENV !== "production";
+
+// 16 octets d'une adresse IPv6 valide (formes abrégées "::" et IPv4 finale comprises)
+function ipv6Bytes(address) {
+  let text = address.replace(/%.*$/, "");
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const groups = (part) => (part ? part.split(":") : []);
+  const all =
+    tail === undefined
+      ? groups(head)
+      : [...groups(head), ...Array(8 - groups(head).length - groups(tail).length).fill("0"), ...groups(tail)];
+  return all.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+// IPv4 contenue dans une adresse IPv6 : IPv4-compatible (::a.b.c.d, ::/96)
+// ou 6to4 (2002:aabb:ccdd::/48 -> a.b.c.d) ; null sinon
+function embeddedIPv4(address) {
+  const bytes = ipv6Bytes(address);
+  if (bytes.slice(0, 12).every((b) => b === 0)) return bytes.slice(12).join(".");
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) return bytes.slice(2, 6).join(".");
+  return null;
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 4) return BLOCKED_RANGES.check(address, "ipv4");
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4 && BLOCKED_RANGES.check(ipv4, "ipv4")) return true;
+  return BLOCKED_RANGES.check(address.replace(/%.*$/, ""), "ipv6");
+}
+
+function privateUrlError() {
+  return new WebhookError("Invalid url (private or local address)", 400, "private_webhook_url");
+}
+
+// lookup DNS des connexions sortantes : refuse les adresses privées au moment
+// de la connexion (une résolution différente de celle vérifiée avant l'envoi
+// ne passe pas)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivate() && addresses.some((a) => isPrivateAddress(a.address))) return callback(privateUrlError());
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Vérifie que l'hôte de l'URL ne résout que vers des adresses publiques
+export async function assertPublicUrl(value) {
+  if (allowPrivate()) return;
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new WebhookError("Invalid url (host does not resolve)", 400, "unresolvable_webhook_url");
+  }
+  if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) throw privateUrlError();
+}
+
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch {
+    throw new WebhookError("Invalid url");
+  }
+  // http seulement si les adresses privées sont autorisées (développement)
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && allowPrivate())) {
+    throw new WebhookError("Invalid url (https required)");
+  }
+  if (url.username || url.password) throw new WebhookError("Invalid url (credentials not allowed)");
+  if (url.href.length > 2000) throw new WebhookError("Invalid url (max 2000 characters)");
+  return url.href;
+}
+
+// Champs modifiables ; partial = PATCH (seuls les champs présents sont validés)
+export function validateEndpointInput(body = {}, { partial = false } = {}) {
+  const patch = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has("url")) patch.url = validateUrl(body.url);
+  if (has("events")) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (!events.length || events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+      throw new WebhookError(`Invalid events (non-empty subset of ${WEBHOOK_EVENTS.join(", ")})`);
+    }
+    patch.events = events;
+  } else if (!partial) {
+    patch.events = WEBHOOK_EVENTS;
+  }
+  if (has("description")) {
+    if (body.description !== null && (typeof body.description !== "string" || body.description.length > 200)) {
+      throw new WebhookError("Invalid description (string, max 200 characters)");
+    }
+    patch.description = body.description?.trim() || null;
+  }
+  if (has("credits_low_threshold")) {
+    if (!Number.isInteger(body.credits_low_threshold) || body.credits_low_threshold < 0) {
+      throw new WebhookError("Invalid credits_low_threshold (non-negative integer)");
+    }
+    patch.credits_low_threshold = body.credits_low_threshold;
+  }
+  if (has("enabled")) {
+    if (typeof body.enabled !== "boolean") throw new WebhookError("Invalid enabled (boolean)");
+    patch.enabled = body.enabled;
+  }
+  return patch;
+}
+
+export async function listEndpoints(userId) {
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .select(ENDPOINT_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+// Endpoint de l'utilisateur, ou null (inexistant ou à un autre utilisateur)
+export async function getEndpoint(id, userId) {
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .select(ENDPOINT_COLUMNS)
+    .eq("id", id)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Le secret n'est renvoyé qu'à la création
+export async function createEndpoint(userId, body) {
+  const input = validateEndpointInput(body);
+  await assertPublicUrl(input.url);
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .insert([{ ...input, user_id: userId, secret_encrypted: encryptJson(secret) }])
+    .select(ENDPOINT_COLUMNS)
+    .single();
+  if (error) throw error;
+  return { ...data, secret };
+}
+
+export async function updateEndpoint(id, userId, body) {
+  const patch = validateEndpointInput(body, { partial: true });
+  if (patch.url) await assertPublicUrl(patch.url);
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("user_id", userId)
+    .select(ENDPOINT_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteEndpoint(id, userId) {
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .delete()
+    .eq("id", id)
+    .eq("user_id", userId)
+    .select("id");
+  if (error) throw error;
+  return !!data?.length;
+}
+
+export async function listDeliveries(endpointId, userId, { limit = 50 } = {}) {
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .select(DELIVERY_COLUMNS)
+    .eq("endpoint_id", endpointId)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Math.max(1, Number(limit) || 50), 200));
+  if (error) throw error;
+  return data || [];
+}
+
+// ---------- Événements ----------
+
+function buildEvent(type, data) {
+  return { id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data };
+}
+
+// Met en file l'événement pour chaque endpoint actif de l'utilisateur abonné à
+// `type` (et accepté par `filter`, si fourni). Renvoie les livraisons créées.
+export async function emitWebhookEvent(userId, type, data, { filter = null } = {}) {
+  const { data: endpoints, error } = await supabase
+    .from("webhook_endpoints")
+    .select(ENDPOINT_COLUMNS)
+    .eq("user_id", userId)
+    .eq("enabled", true)
+    .contains("events", [type]);
+  if (error) throw error;
+  const targets = (endpoints || []).filter((e) => !filter || filter(e));
+  if (!targets.length) return [];
+
+  const event = buildEvent(type, data);
+  const { data: deliveries, error: insErr } = await supabase
+    .from("webhook_deliveries")
+    .insert(
+      targets.map((e) => ({
+        endpoint_id: e.id,
+        user_id: userId,
+        event_id: event.id,
+        event_type: type,
+        payload: event,
+      }))
+    )
+    .select(DELIVERY_COLUMNS);
+  if (insErr) throw insErr;
+
+  setImmediate(pollWebhookDeliveries);
+  return deliveries || [];
+}
+
+// ---------- Envoi ----------
+
+async function loadSecretEndpoint(id) {
+  const { data, error } = await supabase
+    .from("webhook_endpoints")
+    .select(`${ENDPOINT_COLUMNS}, secret_encrypted`)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// POST sans suivi des redirections, connexion limitée aux adresses publiques
+function httpPost(url, { headers, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        agent: false, // pas de socket partagée : chaque connexion passe par publicLookup
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (response) => {
+        let text = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (text.length < RESPONSE_EXCERPT) text += chunk;
+        });
+        response.on("end", () => resolve({ status: response.statusCode, text }));
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// Une requête HTTP ; ne lève pas d'exception (le résultat est journalisé).
+// Le corps de réponse n'est conservé que pour un succès : celui d'une erreur
+// n'est jamais renvoyé à l'utilisateur.
+async function postEvent(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    await assertPublicUrl(endpoint.url);
+    const response = await httpPost(endpoint.url, {
+      timeoutMs: getWebhookConfig().timeoutMs,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Resumail-Webhooks/1.0",
+        "Resumail-Event": delivery.event_type,
+        "Resumail-Event-Id": delivery.event_id,
+        "Resumail-Delivery": delivery.id,
+        "Resumail-Signature": signPayload(decryptJson(endpoint.secret_encrypted), timestamp, body),
+      },
+      body,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      response_status: response.status,
+      response_body: ok ? response.text.slice(0, RESPONSE_EXCERPT) : null,
+      duration_ms: Date.now() - started,
+      last_error: ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      response_status: null,
+      response_body: null,
+      duration_ms: Date.now() - started,
+      last_error: String(err.name === "AbortError" ? "Timeout" : err.message || err).slice(0, 500),
+    };
+  }
+}
+
+// Enregistre le résultat d'une tentative ; retry = false pour un envoi unique (test)
+async function recordAttempt(delivery, { ok, ...result }, { retry = true } = {}) {
+  const now = new Date();
+  const exhausted = !retry || delivery.attempts >= getWebhookConfig().maxAttempts;
+  const patch = {
+    ...result,
+    status: ok ? "succeeded" : exhausted ? "failed" : "pending",
+    delivered_at: ok ? now.toISOString() : null,
+    next_attempt_at: new Date(now.getTime() + (ok || exhausted ? 0 : retryDelayMs(delivery.attempts))).toISOString(),
+    updated_at: now.toISOString(),
+  };
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .update(patch)
+    .eq("id", delivery.id)
+    .select(DELIVERY_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Réserve une livraison (update conditionnel sur le statut / updated_at)
+async function claimDelivery(delivery) {
+  let query = supabase
+    .from("webhook_deliveries")
+    .update({ status: "delivering", attempts: delivery.attempts + 1, updated_at: new Date().toISOString() })
+    .eq("id", delivery.id)
+    .eq("status", delivery.status);
+  if (delivery.status === "delivering") query = query.eq("updated_at", delivery.updated_at);
+  const { data, error } = await query.select(DELIVERY_COLUMNS);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+let polling = false;
+
+export async function pollWebhookDeliveries() {
+  if (polling) return;
+  polling = true;
+  try {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_AFTER_MS).toISOString();
+    const { data: candidates, error } = await supabase
+      .from("webhook_deliveries")
+      .select(DELIVERY_COLUMNS)
+      .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.delivering,updated_at.lt.${staleBefore})`)
+      .order("next_attempt_at", { ascending: true })
+      .limit(20);
+    if (error) throw error;
+
+    for (const candidate of candidates || []) {
+      const delivery = await claimDelivery(candidate);
+      if (!delivery) continue; // pris par une autre instance
+      try {
+        const endpoint = await loadSecretEndpoint(delivery.endpoint_id);
+        if (!endpoint?.enabled) {
+          await supabase
+            .from("webhook_deliveries")
+            .update({ status: "cancelled", last_error: "endpoint_disabled", updated_at: new Date().toISOString() })
+            .eq("id", delivery.id);
+          continue;
+        }
+        const updated = await recordAttempt(delivery, await postEvent(endpoint, delivery));
+        if (updated.status === "succeeded") {
+          console.log(`🪝 ${delivery.event_type} livré à ${endpoint.url} (${updated.response_status})`);
+        } else {
+          console.warn(`⚠️ Webhook ${delivery.id} : ${updated.last_error} (tentative ${delivery.attempts}, ${updated.status})`);
+        }
+      } catch (err) {
+        console.error(`❌ Webhook delivery ${delivery.id} error:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("⚠️ Webhook poller error:", err.message || err);
+  } finally {
+    polling = false;
+  }
+}
+
+// Envoie immédiatement un événement webhook.test (une seule tentative, journalisée)
+export async function sendTestEvent(endpointId, userId) {
+  const endpoint = await getEndpoint(endpointId, userId);
+  if (!endpoint) return null;
+  const secretEndpoint = await loadSecretEndpoint(endpoint.id);
+
+  const event = buildEvent(TEST_EVENT, { endpoint_id: endpoint.id, message: "Resumail webhook test" });
+  const { data: delivery, error } = await supabase
+    .from("webhook_deliveries")
+    .insert([
+      {
+        endpoint_id: endpoint.id,
+        user_id: userId,
+        event_id: event.id,
+        event_type: TEST_EVENT,
+        payload: event,
+        status: "delivering",
+        attempts: 1,
+      },
+    ])
+    .select(DELIVERY_COLUMNS)
+    .single();
+  if (error) throw error;
+  return recordAttempt(delivery, await postEvent(secretEndpoint, delivery), { retry: false });
+}
+
+// ---------- Sources d'événements ----------
+
+function forward(type, build) {
+  return async (payload) => {
+    try {
+      const built = build(payload);
+      if (!built) return;
+      const deliveries = await emitWebhookEvent(built.userId, type, built.data, built);
+      if (deliveries.length) console.log(`🪝 ${type} en file pour ${deliveries.length} endpoint(s)`);
+    } catch (err) {
+      console.error(`❌ Failed to queue ${type} webhook:`, err.message);
+    }
+  };
+}
+
+// rapport envoyé masqué (cf. lib/redaction.js) : l'endpoint est un service tiers
+reportEvents.on(
+  "completed",
+  forward("report.completed", ({ userId, report }) => ({ userId, data: { report: serializeReport(report) } }))
+);
+
+// credits.low : le solde vient de passer sous le seuil de l'endpoint
+ledgerEvents.on(
+  "transaction",
+  forward("credits.low", ({ userId, amount, balance }) => {
+    if (amount >= 0 || typeof balance !== "number") return null;
+    const before = balance - amount;
+    return {
+      userId,
+      data: { balance },
+      filter: (e) => balance < e.credits_low_threshold && before >= e.credits_low_threshold,
+    };
+  })
+);
+
+paymentEvents.on(
+  "succeeded",
+  forward("payment.succeeded", ({ userId, payment }) => ({ userId, data: { payment } }))
+);
+
+export function startWebhookWorker() {
+  pollWebhookDeliveries();
+  return setInterval(pollWebhookDeliveries, getWebhookConfig().pollIntervalMs);
+}
@@ -0,0 +1,89 @@
+// routes/billing.js
+// Abonnements : plans, souscription, changement de plan, portail client.
+import express from "express";
+import { listPlans } from "../lib/plans.js";
+import { requireAuth } from "../lib/auth.js";
+import { limitByIp, limitByUser } from "../lib/rateLimit.js";
+import {
+  SubscriptionError,
+  changePlan,
+  createPortalSession,
+  createSubscriptionCheckout,
+  getProfile,
+  serializeSubscription,
+} from "../lib/subscriptions.js";
+
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://resumail.vercel.app";
+
+function handleError(res, err, route) {
+  if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: "Erreur Stripe", detail: err.message });
+}
+
+// GET /billing/plans
+router.get("/plans", (req, res) => {
+  res.json(
+    listPlans().map(({ key, name, monthlyCredits, rollover, rolloverCap, priceId }) => ({
+      key,
+      name,
+      monthlyCredits,
+      rollover,
+      rolloverCap,
+      available: !!priceId,
+    }))
+  );
+});
+
+// GET /billing/subscription
+router.get("/subscription", requireAuth, async (req, res) => {
+  try {
+    res.json(serializeSubscription(await getProfile(req.user.id)));
+  } catch (err) {
+    handleError(res, err, "/billing/subscription");
+  }
+});
+
+// POST /billing/subscribe { plan } -> { url } (Checkout en mode subscription)
+router.post("/subscribe", limitByIp("checkout"), requireAuth, limitByUser("checkout"), async (req, res) => {
+  const { plan } = req.body;
+  if (!plan) return res.status(400).json({ error: "plan requis" });
+  try {
+    const session = await createSubscriptionCheckout({
+      userId: req.user.id,
+      email: req.user.email,
+      planKey: plan,
+      successUrl: `${FRONTEND_URL}/dashboard?subscribed=true`,
+      cancelUrl: `${FRONTEND_URL}/dashboard?canceled=true`,
+    });
+    res.json({ url: session.url });
+  } catch (err) {
+    handleError(res, err, "/billing/subscribe");
+  }
+});
+
+// POST /billing/change-plan { plan }
+router.post("/change-plan", requireAuth, async (req, res) => {
+  const { plan } = req.body;
+  if (!plan) return res.status(400).json({ error: "plan requis" });
+  try {
+    await changePlan({ userId: req.user.id, planKey: plan });
+    res.json(serializeSubscription(await getProfile(req.user.id)));
+  } catch (err) {
+    handleError(res, err, "/billing/change-plan");
+  }
+});
+
+// POST /billing/portal -> { url } (portail client Stripe)
+router.post("/portal", requireAuth, async (req, res) => {
+  try {
+    const session = await createPortalSession({ userId: req.user.id, returnUrl: `${FRONTEND_URL}/dashboard` });
+    res.json({ url: session.url });
+  } catch (err) {
+    handleError(res, err, "/billing/portal");
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+// routes/deliveries.js
+// Envoi des rapports par email : destinataires, confirmation, suivi des envois
+// et désabonnement (cf. lib/delivery.js).
+import express from "express";
+import { requireAuth } from "../lib/auth.js";
+import {
+  DeliveryError,
+  addRecipient,
+  confirmRecipient,
+  listDeliveries,
+  listRecipients,
+  queueReportDelivery,
+  removeRecipient,
+  unsubscribe,
+} from "../lib/delivery.js";
+import { createTranslator, languageFromHeader } from "../lib/i18n.js";
+import { htmlEscape } from "../lib/reportExport.js";
+
+const router = express.Router();
+
+function sendError(res, err, route) {
+  if (err instanceof DeliveryError) return res.status(err.status).json({ error: err.message, code: err.code });
+  console.error(`${route} error:`, err);
+  res.status(500).json({ error: "Delivery request failed", detail: err.message });
+}
+
+function sendPage(res, status, t, prefix, message) {
+  res
+    .status(status)
+    .type("html")
+    .send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${htmlEscape(t(`${prefix}.title`))}</title></head>` +
+        `<body style="font-family:Arial,sans-serif;padding:40px;"><h1>${htmlEscape(t(`${prefix}.title`))}</h1><p>${htmlEscape(message)}</p></body></html>`
+    );
+}
+
+// GET /deliveries/unsubscribe?token=... (lien des emails, sans authentification)
+router.get("/unsubscribe", async (req, res) => {
+  const { t } = createTranslator(languageFromHeader(req.headers["accept-language"]));
+  try {
+    const recipient = await unsubscribe(req.query.token);
+    const message = recipient ? t("unsubscribe.done", { email: recipient.email }) : t("unsubscribe.invalid");
+    sendPage(res, recipient ? 200 : 404, t, "unsubscribe", message);
+  } catch (err) {
+    console.error("GET /deliveries/unsubscribe error:", err);
+    res.status(500).type("text").send("Unsubscribe failed");
+  }
+});
+
+// GET /deliveries/confirm?token=... (lien de l'email de confirmation, sans authentification)
+router.get("/confirm", async (req, res) => {
+  const { t } = createTranslator(languageFromHeader(req.headers["accept-language"]));
+  try {
+    const recipient = await confirmRecipient(req.query.token);
+    const message = recipient ? t("confirm.done", { email: recipient.email }) : t("confirm.invalid");
+    sendPage(res, recipient ? 200 : 404, t, "confirm", message);
+  } catch (err) {
+    console.error("GET /deliveries/confirm error:", err);
+    res.status(500).type("text").send("Confirmation failed");
+  }
+});
+
+// GET /deliveries/recipients
+router.get("/recipients", requireAuth, async (req, res) => {
+  try {
+    res.json(await listRecipients(req.user.id));
+  } catch (err) {
+    sendError(res, err, "GET /deliveries/recipients");
+  }
+});
+
+// POST /deliveries/recipients  body: { email }
+// Une adresse autre que celle du compte reste en attente (confirmed_at null)
+// jusqu'à ce que son titulaire suive le lien de confirmation reçu
+router.post("/recipients", requireAuth, async (req, res) => {
+  try {
+    res.status(201).json(await addRecipient(req.user.id, req.body?.email));
+  } catch (err) {
+    sendError(res, err, "POST /deliveries/recipients");
+  }
+});
+
+// DELETE /deliveries/recipients/:id
+router.delete("/recipients/:id", requireAuth, async (req, res) => {
+  try {
+    if (!(await removeRecipient(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: "Recipient not found" });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, "DELETE /deliveries/recipients/:id");
+  }
+});
+
+// GET /deliveries?report_id=...
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    res.json(await listDeliveries(req.user.id, { reportId: req.query.report_id, limit: req.query.limit }));
+  } catch (err) {
+    sendError(res, err, "GET /deliveries");
+  }
+});
+
+// POST /deliveries  body: { report_id, recipients?: [email] }
+// Met l'envoi en file (tous les destinataires actifs par défaut)
+router.post("/", requireAuth, async (req, res) => {
+  const { report_id, recipients } = req.body || {};
+  if (!report_id) return res.status(400).json({ error: "report_id is required" });
+  if (recipients !== undefined && (!Array.isArray(recipients) || !recipients.length)) {
+    return res.status(400).json({ error: "recipients must be a non-empty array of emails" });
+  }
+  try {
+    const deliveries = await queueReportDelivery(req.user.id, report_id, { emails: recipients || null });
+    console.log(`📬 ${deliveries.length} envoi(s) en file pour le rapport ${report_id}`);
+    res.status(202).json(deliveries);
+  } catch (err) {
+    sendError(res, err, "POST /deliveries");
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+// routes/jobs.js
+import express from "express";
+import crypto from "crypto";
+import { AnalysisError, chargeCredits, getCreditsPerEmail, refundRemainingCredits } from "../lib/analysis.js";
+import { createJob, getJob, jobEvents, serializeJob } from "../lib/jobs.js";
+import { planBatches } from "../lib/batchPlanner.js";
+import { requireAuth, requireAuthOrQueryToken } from "../lib/auth.js";
+import { limitByIp, limitByUser, limitConcurrentAnalyses, releaseAnalysisSlot } from "../lib/rateLimit.js";
+
+const router = express.Router();
+
+const MAX_QUERY_EMAILS = Number(process.env.MAX_QUERY_EMAILS || "1000");
+const TERMINAL_STATUSES = ["completed", "empty", "failed"];
+
+// POST /jobs
+// body: { emails: [...] }                                     -> emails fournis par le frontend
+//    ou { user: "<gmail>", q, after, before, maxEmails }       -> récupération Gmail côté serveur
+// + groupByThread (optionnel) : analyse par conversation
+router.post("/", limitByIp("analyze"), requireAuth, limitByUser("analyze"), limitConcurrentAnalyses, async (req, res) => {
+  const userId = req.user.id;
+  const { emails, user, q, after, before } = req.body;
+  const options = { groupByThread: !!req.body.groupByThread };
+
+  try {
+    let job;
+    if (Array.isArray(emails) && emails.length) {
+      const id = crypto.randomUUID();
+      // seuls les emails retenus par le planificateur sont facturés
+      const { billableEmails } = planBatches(emails, options);
+      if (!billableEmails) return res.status(400).json({ error: "No email with content to analyze" });
+      const creditsCharged = billableEmails * getCreditsPerEmail();
+      await chargeCredits(userId, creditsCharged, id);
+      try {
+        job = await createJob({ id, userId, source: { type: "emails" }, options, emails, creditsCharged });
+      } catch (err) {
+        // débit passé avant la création (le worker ne refacture pas) : remboursé si le job n'existe pas
+        await refundRemainingCredits(userId, id, creditsCharged, { key: "job_not_created", reason: "job_not_created" })
+          .catch((e) => console.error(`❌ Refund failed for job ${id}:`, e));
+        throw err;
+      }
+    } else if (user) {
+      const maxEmails = Math.min(parseInt(req.body.maxEmails || "100", 10), MAX_QUERY_EMAILS);
+      if (!maxEmails || maxEmails < 1) return res.status(400).json({ error: "Invalid maxEmails" });
+      job = await createJob({
+        userId,
+        source: { type: "gmail", user, q, after, before, maxEmails },
+        options,
+      });
+    } else {
+      return res.status(400).json({ error: "Missing emails or user (email)" });
+    }
+
+    console.log(`📬 Job ${job.id} en file pour ${userId}`);
+    res.status(202).json({ jobId: job.id, job: serializeJob(job) });
+  } catch (err) {
+    if (err instanceof AnalysisError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /jobs error:", err);
+    res.status(500).json({ error: "Failed to create job", detail: err.message });
+  } finally {
+    // le job créé compte ensuite par lui-même (countActiveJobs)
+    releaseAnalysisSlot(req);
+  }
+});
+
+async function loadOwnedJob(req, res) {
+  const job = await getJob(req.params.id);
+  if (!job || job.user_id !== req.user.id) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  return job;
+}
+
+// GET /jobs/:id
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    res.json(serializeJob(job));
+  } catch (err) {
+    console.error("GET /jobs/:id error:", err);
+    res.status(500).json({ error: "Failed to load job", detail: err.message });
+  }
+});
+
+// GET /jobs/:id/events (Server-Sent Events ; EventSource ne pose pas de header,
+// le token peut être passé en ?access_token=)
+router.get("/:id/events", requireAuthOrQueryToken, async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    // une relecture en cours peut se terminer après cleanup() : plus d'écriture une fois fermé
+    let closed = false;
+    const send = (snapshot) => {
+      if (closed) return;
+      res.write(`event: ${snapshot.status}\n`);
+      res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+      if (TERMINAL_STATUSES.includes(snapshot.status)) cleanup();
+    };
+
+    const channel = `job:${job.id}`;
+    // le job peut tourner sur une autre instance : on relit aussi l'état en base
+    const poll = setInterval(async () => {
+      try {
+        const fresh = await getJob(job.id);
+        if (fresh) send(serializeJob(fresh));
+      } catch {}
+    }, 10000);
+
+    function cleanup() {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      jobEvents.off(channel, send);
+      res.end();
+    }
+
+    jobEvents.on(channel, send);
+    req.on("close", cleanup);
+    send(serializeJob(job));
+  } catch (err) {
+    console.error("GET /jobs/:id/events error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to load job", detail: err.message });
+  }
+});
+
+export default router;
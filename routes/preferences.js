@@ -0,0 +1,64 @@
+// routes/preferences.js
+// Préférences de l'utilisateur connecté (langue des rapports PDF et exports,
+// envoi automatique des rapports par email, masquage des données personnelles).
+import express from "express";
+import { requireAuth } from "../lib/auth.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resolveLanguage } from "../lib/i18n.js";
+import { getPreferences, updatePreferences } from "../lib/preferences.js";
+import { DEFAULT_REDACTION_LEVEL, REDACTION_LEVELS, resolveRedactionLevel } from "../lib/redaction.js";
+
+const router = express.Router();
+
+// GET /preferences
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    res.json({
+      language: preferences?.language || DEFAULT_LANGUAGE,
+      deliver_reports: !!preferences?.deliver_reports,
+      redaction_level: preferences?.redaction_level || DEFAULT_REDACTION_LEVEL,
+      supported_languages: SUPPORTED_LANGUAGES,
+      redaction_levels: REDACTION_LEVELS,
+    });
+  } catch (err) {
+    console.error("GET /preferences error:", err);
+    res.status(500).json({ error: "Failed to load preferences", detail: err.message });
+  }
+});
+
+// PATCH /preferences
+// body: { language?: "fr" | "en", deliver_reports?: boolean, redaction_level?: "none" | "standard" | "strict" }
+router.patch("/", requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const patch = {};
+  if (body.language !== undefined) {
+    const language = resolveLanguage(body.language);
+    if (!language) {
+      return res.status(400).json({ error: `Invalid language (expected ${SUPPORTED_LANGUAGES.join(", ")})` });
+    }
+    patch.language = language;
+  }
+  if (body.deliver_reports !== undefined) {
+    if (typeof body.deliver_reports !== "boolean") return res.status(400).json({ error: "Invalid deliver_reports (boolean)" });
+    patch.deliver_reports = body.deliver_reports;
+  }
+  if (body.redaction_level !== undefined) {
+    const level = resolveRedactionLevel(body.redaction_level);
+    if (!level) return res.status(400).json({ error: `Invalid redaction_level (expected ${REDACTION_LEVELS.join(", ")})` });
+    patch.redaction_level = level;
+  }
+  if (!Object.keys(patch).length) {
+    return res.status(400).json({ error: "Nothing to update (language, deliver_reports, redaction_level)" });
+  }
+
+  try {
+    const updated = await updatePreferences(req.user.id, patch);
+    if (!updated) return res.status(404).json({ error: "User not found" });
+    res.json(patch);
+  } catch (err) {
+    console.error("PATCH /preferences error:", err);
+    res.status(500).json({ error: "Failed to save preferences", detail: err.message });
+  }
+});
+
+export default router;
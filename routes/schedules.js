@@ -0,0 +1,103 @@
+// routes/schedules.js
+// Digests planifiés de l'utilisateur connecté (cf. lib/schedules.js).
+import express from "express";
+import { requireAuth } from "../lib/auth.js";
+import {
+  ScheduleError,
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listRuns,
+  listSchedules,
+  serializeSchedule,
+  triggerSchedule,
+  updateSchedule,
+} from "../lib/schedules.js";
+
+const router = express.Router();
+
+function sendError(res, err, route) {
+  if (err instanceof ScheduleError) return res.status(err.status).json({ error: err.message, code: err.code });
+  console.error(`${route} error:`, err);
+  res.status(500).json({ error: "Schedule request failed", detail: err.message });
+}
+
+// GET /schedules
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    res.json((await listSchedules(req.user.id)).map(serializeSchedule));
+  } catch (err) {
+    sendError(res, err, "GET /schedules");
+  }
+});
+
+// POST /schedules
+// body: { name, frequency: "daily"|"weekly"|"monthly", gmail_address, credit_cap,
+//         query?, max_emails?, group_by_thread?, enabled?, next_run_at? }
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.user.id, req.body || {});
+    console.log(`🗓️ Digest ${schedule.id} créé pour ${req.user.id}`);
+    res.status(201).json(serializeSchedule(schedule));
+  } catch (err) {
+    sendError(res, err, "POST /schedules");
+  }
+});
+
+// GET /schedules/:id
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.user.id);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json(serializeSchedule(schedule));
+  } catch (err) {
+    sendError(res, err, "GET /schedules/:id");
+  }
+});
+
+// PATCH /schedules/:id (mêmes champs que POST, tous optionnels)
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.params.id, req.user.id, req.body || {});
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json(serializeSchedule(schedule));
+  } catch (err) {
+    sendError(res, err, "PATCH /schedules/:id");
+  }
+});
+
+// DELETE /schedules/:id (l'historique est supprimé, les rapports sont conservés)
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id, req.user.id);
+    if (!deleted) return res.status(404).json({ error: "Schedule not found" });
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, "DELETE /schedules/:id");
+  }
+});
+
+// GET /schedules/:id/runs?limit=&offset=
+router.get("/:id/runs", requireAuth, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.user.id);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    const { limit, offset } = req.query;
+    res.json({ schedule_id: schedule.id, ...(await listRuns(schedule.id, { limit, offset })) });
+  } catch (err) {
+    sendError(res, err, "GET /schedules/:id/runs");
+  }
+});
+
+// POST /schedules/:id/run : exécution immédiate (digest actif uniquement)
+router.post("/:id/run", requireAuth, async (req, res) => {
+  try {
+    const schedule = await triggerSchedule(req.params.id, req.user.id);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found or disabled" });
+    res.status(202).json(serializeSchedule(schedule));
+  } catch (err) {
+    sendError(res, err, "POST /schedules/:id/run");
+  }
+});
+
+export default router;
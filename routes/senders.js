@@ -0,0 +1,53 @@
+// routes/senders.js
+// Statistiques par expéditeur / domaine de l'utilisateur connecté (cf. lib/senders.js).
+import express from "express";
+import { requireAuth } from "../lib/auth.js";
+import { SenderQueryError, listNegativeSenders, listNewSenders, listTopSenders, parseSenderQuery } from "../lib/senders.js";
+import { StatsError, parseStatsQuery } from "../lib/stats.js";
+
+const router = express.Router();
+
+function sendError(res, err, route) {
+  if (err instanceof SenderQueryError || err instanceof StatsError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  console.error(`${route} error`, err);
+  res.status(500).json({ error: "Failed to load sender stats", detail: err.message });
+}
+
+// GET /senders/top?by=sender|domain&limit=
+router.get("/top", requireAuth, async (req, res) => {
+  try {
+    const { by, limit } = parseSenderQuery(req.query);
+    res.json({ by, senders: await listTopSenders(req.user.id, { by, limit }) });
+  } catch (err) {
+    sendError(res, err, "/senders/top");
+  }
+});
+
+// GET /senders/negative?by=sender|domain&limit=&min_emails=
+router.get("/negative", requireAuth, async (req, res) => {
+  try {
+    const { by, limit, minEmails } = parseSenderQuery(req.query);
+    res.json({ by, min_emails: minEmails, senders: await listNegativeSenders(req.user.id, { by, limit, minEmails }) });
+  } catch (err) {
+    sendError(res, err, "/senders/negative");
+  }
+});
+
+// GET /senders/new?from=&to=&limit= (par défaut : 90 derniers jours)
+router.get("/new", requireAuth, async (req, res) => {
+  try {
+    const { limit } = parseSenderQuery(req.query);
+    const { from, to } = parseStatsQuery({ from: req.query.from, to: req.query.to });
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      senders: await listNewSenders(req.user.id, { from, to, limit }),
+    });
+  } catch (err) {
+    sendError(res, err, "/senders/new");
+  }
+});
+
+export default router;
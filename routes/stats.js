@@ -1,47 +1,29 @@
 // routes/stats.js
+// Statistiques de l'utilisateur connecté par période (cf. lib/stats.js).
 import express from "express";
-import { supabase } from "../../server/supabaseClient.js";
+import { requireAuth } from "../lib/auth.js";
+import { StatsError, getUserStats, parseStatsQuery } from "../lib/stats.js";
+
 const router = express.Router();
 
-router.get("/:userId", async (req, res) => {
+async function sendStats(req, res) {
   try {
-    const { userId } = req.params;
-
-    const { data: reports, error } = await supabase
-      .from("reports")
-      .select("id, report_text, sentiment_overall, classification, total_emails, created_at")
-      .eq("user_id", userId)
-      .eq("is_final", true)
-      .order("created_at", { ascending: false });
-
-    if (error) throw error;
-    if (!reports || !reports.length)
-      return res.json({ total_emails: 0, avg: {}, last_summary: "" });
-
-    const totalEmails = reports.reduce((a, r) => a + (r.total_emails || 0), 0);
-    const avgSentiments = { positive: 0, negative: 0, neutral: 0, other: 0 };
-
-    reports.forEach((r) => {
-      const snts = r.sentiment_overall || r.classification || {};
-      Object.entries(snts).forEach(([k, v]) => {
-        avgSentiments[k] += v || 0;
-      });
-    });
-
-    const count = reports.length;
-    Object.keys(avgSentiments).forEach((k) => {
-      avgSentiments[k] = Math.round(avgSentiments[k] / count);
-    });
-
-    res.json({
-      total_emails: totalEmails,
-      avg: avgSentiments,
-      last_summary: reports[0]?.reports_text || "",
-    });
+    const query = parseStatsQuery(req.query);
+    res.json(await getUserStats(req.user.id, query));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to load stats" });
+    if (err instanceof StatsError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("/stats error", err);
+    res.status(500).json({ error: "Failed to load stats", detail: err.message });
   }
+}
+
+// GET /stats?from=&to=&granularity=day|week|month&window=
+router.get("/", requireAuth, sendStats);
+
+// GET /stats/:userId (ancien chemin, mêmes paramètres) : uniquement ses propres stats
+router.get("/:userId", requireAuth, (req, res) => {
+  if (req.params.userId !== req.user.id) return res.status(403).json({ error: "Forbidden" });
+  return sendStats(req, res);
 });
 
-export default router;
\ No newline at end of file
+export default router;
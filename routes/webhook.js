@@ -0,0 +1,31 @@
+// routes/webhook.js
+// Webhook Stripe : monté avant express.json(), Stripe signe le corps brut.
+import express from "express";
+import { stripe } from "../lib/stripe.js";
+import { handleStripeEvent } from "../lib/stripeWebhook.js";
+
+const router = express.Router();
+
+router.post("/", express.raw({ type: "application/json" }), async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+  } catch (err) {
+    console.error("❌ Webhook signature verification failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const { duplicate } = await handleStripeEvent(event);
+    res.json({ received: true, duplicate });
+  } catch (err) {
+    // 500 : Stripe rejouera l'événement
+    console.error("⚠️ Erreur traitement webhook:", err);
+    res.status(500).send("Erreur serveur webhook");
+  }
+});
+
+export default router;
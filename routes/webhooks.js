@@ -0,0 +1,106 @@
+// routes/webhooks.js
+// Webhooks sortants de l'utilisateur connecté : endpoints, journal des
+// livraisons et événement de test (cf. lib/webhooks.js).
+// À ne pas confondre avec routes/webhook.js (webhook entrant Stripe).
+import express from "express";
+import { requireAuth } from "../lib/auth.js";
+import {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  createEndpoint,
+  deleteEndpoint,
+  getEndpoint,
+  listDeliveries,
+  listEndpoints,
+  sendTestEvent,
+  serializeEndpoint,
+  updateEndpoint,
+} from "../lib/webhooks.js";
+
+const router = express.Router();
+
+function sendError(res, err, route) {
+  if (err instanceof WebhookError) return res.status(err.status).json({ error: err.message, code: err.code });
+  console.error(`${route} error:`, err);
+  res.status(500).json({ error: "Webhook request failed", detail: err.message });
+}
+
+// GET /webhooks
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    res.json({ endpoints: (await listEndpoints(req.user.id)).map(serializeEndpoint), events: WEBHOOK_EVENTS });
+  } catch (err) {
+    sendError(res, err, "GET /webhooks");
+  }
+});
+
+// POST /webhooks
+// body: { url, events?: [...], description?, credits_low_threshold?, enabled? }
+// La réponse contient le secret de signature, qui n'est plus renvoyé ensuite.
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const endpoint = await createEndpoint(req.user.id, req.body || {});
+    console.log(`🪝 Endpoint ${endpoint.id} créé pour ${req.user.id}`);
+    res.status(201).json(serializeEndpoint(endpoint));
+  } catch (err) {
+    sendError(res, err, "POST /webhooks");
+  }
+});
+
+// GET /webhooks/:id
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.user.id);
+    if (!endpoint) return res.status(404).json({ error: "Webhook endpoint not found" });
+    res.json(serializeEndpoint(endpoint));
+  } catch (err) {
+    sendError(res, err, "GET /webhooks/:id");
+  }
+});
+
+// PATCH /webhooks/:id (mêmes champs que POST, tous optionnels)
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    const endpoint = await updateEndpoint(req.params.id, req.user.id, req.body || {});
+    if (!endpoint) return res.status(404).json({ error: "Webhook endpoint not found" });
+    res.json(serializeEndpoint(endpoint));
+  } catch (err) {
+    sendError(res, err, "PATCH /webhooks/:id");
+  }
+});
+
+// DELETE /webhooks/:id
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    if (!(await deleteEndpoint(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: "Webhook endpoint not found" });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, "DELETE /webhooks/:id");
+  }
+});
+
+// GET /webhooks/:id/deliveries?limit=
+router.get("/:id/deliveries", requireAuth, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.user.id);
+    if (!endpoint) return res.status(404).json({ error: "Webhook endpoint not found" });
+    res.json(await listDeliveries(endpoint.id, req.user.id, { limit: req.query.limit }));
+  } catch (err) {
+    sendError(res, err, "GET /webhooks/:id/deliveries");
+  }
+});
+
+// POST /webhooks/:id/test : envoie un événement webhook.test et renvoie la livraison
+router.post("/:id/test", requireAuth, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.id, req.user.id);
+    if (!delivery) return res.status(404).json({ error: "Webhook endpoint not found" });
+    res.json(delivery);
+  } catch (err) {
+    sendError(res, err, "POST /webhooks/:id/test");
+  }
+});
+
+export default router;
@@ -0,0 +1,14 @@
+-- Tokens OAuth Gmail chiffrés (AES-256-GCM, cf. lib/crypto.js)
+create table if not exists public.gmail_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  gmail_address text not null,
+  encrypted_tokens text not null,
+  needs_reconsent boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, gmail_address)
+);
+
+-- accès uniquement via la service role key du backend
+alter table public.gmail_tokens enable row level security;
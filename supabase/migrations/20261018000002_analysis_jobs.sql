@@ -0,0 +1,32 @@
+-- Jobs d'analyse asynchrones (cf. lib/jobs.js)
+create table if not exists public.analysis_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'empty', 'failed')),  -- empty : aucun email à analyser
+  source jsonb not null default '{"type": "emails"}',
+  emails jsonb,                 -- entrée du job, vidée une fois terminé
+  total_emails integer not null default 0,
+  total_batches integer not null default 0,
+  batches_done integer not null default 0,
+  mini_report_ids jsonb not null default '[]',
+  partial_reports jsonb,        -- JSON des mini-rapports, pour la fusion après reprise
+  final_report_id uuid references public.reports (id),
+  credits_charged integer not null default 0,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists analysis_jobs_status_idx on public.analysis_jobs (status, updated_at);
+create index if not exists analysis_jobs_user_idx on public.analysis_jobs (user_id, created_at desc);
+
+alter table public.analysis_jobs enable row level security;
+
+-- Mini-rapports d'un job : un seul par batch, même si le job reprend après un crash
+-- survenu entre l'enregistrement du mini-rapport et la mise à jour de la progression
+alter table public.reports
+  add column if not exists job_id uuid references public.analysis_jobs (id) on delete set null,
+  add column if not exists batch_index integer;
+
+create unique index if not exists reports_job_batch_idx on public.reports (job_id, batch_index);
@@ -0,0 +1,173 @@
+-- Grand livre des crédits en partie double (cf. lib/ledger.js)
+-- credit_transactions : une ligne par opération (montant signé vu de l'utilisateur)
+-- credit_ledger_entries : deux écritures par transaction, somme nulle
+create table if not exists public.credit_transactions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  entry_type text not null
+    check (entry_type in ('purchase', 'consumption', 'refund', 'grant', 'adjustment')),
+  amount integer not null check (amount <> 0),
+  balance_after integer not null,
+  reference_type text,
+  reference_id text,
+  description text,
+  metadata jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  -- idempotence : une même référence ne peut être passée deux fois pour un type donné
+  unique (entry_type, reference_type, reference_id)
+);
+
+create index if not exists credit_transactions_user_idx on public.credit_transactions (user_id, created_at desc);
+
+create table if not exists public.credit_ledger_entries (
+  id bigint generated always as identity primary key,
+  transaction_id uuid not null references public.credit_transactions (id) on delete cascade,
+  account text not null,        -- 'user:<uuid>', 'external:stripe', 'system:usage', ...
+  amount integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_entries_account_idx on public.credit_ledger_entries (account);
+
+alter table public.credit_transactions enable row level security;
+alter table public.credit_ledger_entries enable row level security;
+
+create or replace function public.credit_counter_account(p_type text)
+returns text language sql immutable as $$
+  select case p_type
+    when 'purchase' then 'external:stripe'
+    when 'consumption' then 'system:usage'
+    when 'refund' then 'system:usage'
+    when 'grant' then 'system:grants'
+    else 'system:adjustments'
+  end
+$$;
+
+-- Passe une transaction de façon atomique (verrou sur le profil) et met à jour
+-- le cache profiles.credits. Idempotent sur (type, reference_type, reference_id).
+create or replace function public.post_credit_transaction(
+  p_user_id uuid,
+  p_type text,
+  p_amount integer,
+  p_reference_type text default null,
+  p_reference_id text default null,
+  p_description text default null,
+  p_metadata jsonb default '{}',
+  p_allow_negative boolean default false
+) returns table (transaction_id uuid, balance integer, duplicate boolean)
+language plpgsql security definer as $$
+declare
+  v_balance integer;
+  v_tx uuid;
+begin
+  select p.credits into v_balance from public.profiles p where p.id = p_user_id for update;
+  if not found then
+    raise exception 'profile_not_found';
+  end if;
+
+  if p_reference_id is not null then
+    select t.id, t.balance_after into v_tx, v_balance
+      from public.credit_transactions t
+     where t.entry_type = p_type
+       and t.reference_type is not distinct from p_reference_type
+       and t.reference_id = p_reference_id;
+    if found then
+      return query select v_tx, v_balance, true;
+      return;
+    end if;
+  end if;
+
+  -- écriture d'ouverture pour les soldes antérieurs au grand livre
+  if v_balance <> 0 and not exists (
+    select 1 from public.credit_transactions t where t.user_id = p_user_id
+  ) then
+    insert into public.credit_transactions (user_id, entry_type, amount, balance_after, reference_type, reference_id, description)
+    values (p_user_id, 'adjustment', v_balance, v_balance, 'opening_balance', p_user_id::text, 'Solde d''ouverture')
+    returning id into v_tx;
+    insert into public.credit_ledger_entries (transaction_id, account, amount) values
+      (v_tx, 'user:' || p_user_id, v_balance),
+      (v_tx, 'system:adjustments', -v_balance);
+  end if;
+
+  if v_balance + p_amount < 0 and not p_allow_negative then
+    raise exception 'insufficient_credits';
+  end if;
+  v_balance := v_balance + p_amount;
+
+  insert into public.credit_transactions (user_id, entry_type, amount, balance_after, reference_type, reference_id, description, metadata)
+  values (p_user_id, p_type, p_amount, v_balance, p_reference_type, p_reference_id, p_description, coalesce(p_metadata, '{}'))
+  returning id into v_tx;
+
+  insert into public.credit_ledger_entries (transaction_id, account, amount) values
+    (v_tx, 'user:' || p_user_id, p_amount),
+    (v_tx, public.credit_counter_account(p_type), -p_amount);
+
+  update public.profiles set credits = v_balance where id = p_user_id;
+
+  return query select v_tx, v_balance, false;
+end;
+$$;
+
+-- security definer : réservé au serveur (clé service_role), sinon n'importe quel
+-- client muni de la clé anon pourrait se créditer via rpc()
+revoke execute on function public.post_credit_transaction(uuid, text, integer, text, text, text, jsonb, boolean)
+  from public, anon, authenticated;
+grant execute on function public.post_credit_transaction(uuid, text, integer, text, text, text, jsonb, boolean)
+  to service_role;
+
+-- Solde du compte utilisateur calculé en base (pas de limite de lignes PostgREST)
+create or replace function public.credit_ledger_balance(p_user_id uuid)
+returns table (balance integer, entries integer)
+language sql stable as $$
+  select coalesce(sum(e.amount), 0)::integer, count(*)::integer
+    from public.credit_ledger_entries e
+   where e.account = 'user:' || p_user_id
+$$;
+
+-- Rapproche profiles.credits du grand livre sous le même verrou que
+-- post_credit_transaction : sans historique, écriture d'ouverture du solde
+-- existant ; en cas d'écart, le grand livre fait foi.
+create or replace function public.reconcile_credit_balance(p_user_id uuid)
+returns table (balance integer, ledger_balance integer, corrected boolean)
+language plpgsql security definer as $$
+declare
+  v_credits integer;
+  v_ledger integer;
+  v_entries integer;
+  v_tx uuid;
+begin
+  select p.credits into v_credits from public.profiles p where p.id = p_user_id for update;
+  if not found then
+    raise exception 'profile_not_found';
+  end if;
+  v_credits := coalesce(v_credits, 0);
+
+  select l.balance, l.entries into v_ledger, v_entries from public.credit_ledger_balance(p_user_id) l;
+
+  if v_entries = 0 then
+    if v_credits <> 0 then
+      insert into public.credit_transactions (user_id, entry_type, amount, balance_after, reference_type, reference_id, description)
+      values (p_user_id, 'adjustment', v_credits, v_credits, 'opening_balance', p_user_id::text, 'Solde d''ouverture')
+      returning id into v_tx;
+      insert into public.credit_ledger_entries (transaction_id, account, amount) values
+        (v_tx, 'user:' || p_user_id, v_credits),
+        (v_tx, 'system:adjustments', -v_credits);
+    end if;
+    return query select v_credits, v_credits, false;
+    return;
+  end if;
+
+  if v_ledger <> v_credits then
+    update public.profiles set credits = v_ledger where id = p_user_id;
+    return query select v_ledger, v_ledger, true;
+    return;
+  end if;
+
+  return query select v_credits, v_ledger, false;
+end;
+$$;
+
+revoke execute on function public.credit_ledger_balance(uuid) from public, anon, authenticated;
+grant execute on function public.credit_ledger_balance(uuid) to service_role;
+revoke execute on function public.reconcile_credit_balance(uuid) from public, anon, authenticated;
+grant execute on function public.reconcile_credit_balance(uuid) to service_role;
@@ -0,0 +1,89 @@
+-- Dédoublonnage des événements Stripe et suivi du cycle de vie des paiements
+create table if not exists public.stripe_events (
+  id text primary key,          -- event.id Stripe
+  type text not null,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed')),
+  error text,
+  received_at timestamptz not null default now(),
+  claimed_at timestamptz not null default now(),  -- début du traitement en cours (bail, cf. lib/stripeWebhook.js)
+  processed_at timestamptz
+);
+
+alter table public.stripe_events enable row level security;
+
+alter table public.payments
+  add column if not exists stripe_payment_intent_id text,
+  add column if not exists credits_clawed_back integer not null default 0,
+  add column if not exists failure_reason text,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- statuts : pending, succeeded, expired, failed, refunded, partially_refunded, disputed
+create unique index if not exists payments_stripe_session_id_key
+  on public.payments (stripe_session_id);
+create unique index if not exists payments_stripe_payment_intent_id_key
+  on public.payments (stripe_payment_intent_id);
+
+-- Reprise de crédits sur un paiement (remboursement, litige), sous verrou du paiement :
+-- écriture au grand livre et compteur credits_clawed_back dans la même transaction.
+-- Le déjà-repris est recalculé depuis le grand livre (ajustements portant payment_id),
+-- ce qui répare aussi un compteur désynchronisé.
+-- p_target : total à avoir repris après l'opération (crédits achetés × part remboursée,
+-- ou tous les crédits pour un litige) ; seule la différence est reprise.
+create or replace function public.claw_back_payment_credits(
+  p_payment_id uuid,
+  p_target integer,
+  p_reference_type text,
+  p_reference_id text,
+  p_description text
+) returns table (transaction_id uuid, balance integer, clawed_back integer, total_clawed_back integer)
+language plpgsql security definer as $$
+declare
+  v_user_id uuid;
+  v_credits_added integer;
+  v_done integer;
+  v_amount integer;
+  v_tx_id uuid;
+  v_balance integer;
+  v_duplicate boolean;
+begin
+  select p.user_id, p.credits_added into v_user_id, v_credits_added
+    from public.payments p where p.id = p_payment_id for update;
+  if not found then
+    raise exception 'payment_not_found';
+  end if;
+
+  select coalesce(-sum(t.amount), 0)::integer into v_done
+    from public.credit_transactions t
+   where t.user_id = v_user_id
+     and t.entry_type = 'adjustment'
+     and t.metadata ->> 'payment_id' = p_payment_id::text;
+
+  v_amount := least(p_target, v_credits_added) - v_done;
+  if v_amount > 0 then
+    select r.transaction_id, r.balance, r.duplicate into v_tx_id, v_balance, v_duplicate
+      from public.post_credit_transaction(
+        v_user_id, 'adjustment', -v_amount, p_reference_type, p_reference_id, p_description,
+        jsonb_build_object('payment_id', p_payment_id), true
+      ) r;
+    -- référence déjà passée : l'écriture est déjà comptée dans v_done
+    if v_duplicate then
+      v_amount := 0;
+    end if;
+  else
+    v_amount := 0;
+  end if;
+
+  update public.payments p
+     set credits_clawed_back = v_done + v_amount, updated_at = now()
+   where p.id = p_payment_id;
+
+  return query select v_tx_id, v_balance, v_amount, v_done + v_amount;
+end;
+$$;
+
+-- security definer : réservé au serveur (clé service_role)
+revoke execute on function public.claw_back_payment_credits(uuid, integer, text, text, text)
+  from public, anon, authenticated;
+grant execute on function public.claw_back_payment_credits(uuid, integer, text, text, text)
+  to service_role;
@@ -0,0 +1,11 @@
+-- État des abonnements Stripe Billing (cf. lib/subscriptions.js)
+alter table public.profiles
+  add column if not exists stripe_customer_id text unique,
+  add column if not exists stripe_subscription_id text,
+  add column if not exists subscription_status text,
+  add column if not exists plan text,
+  add column if not exists current_period_end timestamptz,
+  add column if not exists cancel_at_period_end boolean not null default false,
+  -- crédits d'allocation de la période en cours (report + allocation), base du calcul d'expiration
+  add column if not exists allowance_balance integer not null default 0,
+  add column if not exists allowance_period_start timestamptz;
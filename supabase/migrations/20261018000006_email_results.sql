@@ -0,0 +1,21 @@
+-- Classification email par email (cf. lib/emailResults.js)
+create table if not exists public.email_results (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  mini_report_id uuid not null references public.reports (id) on delete cascade,
+  final_report_id uuid references public.reports (id) on delete set null,
+  message_id text not null,     -- id Gmail du message
+  thread_id text,
+  subject text,
+  sender text,
+  label text not null check (label in ('positive', 'negative', 'neutral', 'other')),
+  confidence numeric(4, 3) not null default 0,
+  reason text,
+  created_at timestamptz not null default now(),
+  unique (mini_report_id, message_id)
+);
+
+create index if not exists email_results_final_idx on public.email_results (final_report_id, label);
+create index if not exists email_results_user_idx on public.email_results (user_id, created_at desc);
+
+alter table public.email_results enable row level security;
@@ -0,0 +1,9 @@
+-- Analyse par conversation (cf. lib/threads.js)
+alter table public.reports
+  add column if not exists group_by_thread boolean not null default false,
+  add column if not exists total_threads integer,
+  add column if not exists threads jsonb,            -- mini-rapport : un résultat par thread
+  add column if not exists threads_attention jsonb;  -- rapport final : threads à traiter
+
+alter table public.analysis_jobs
+  add column if not exists options jsonb not null default '{}'::jsonb;
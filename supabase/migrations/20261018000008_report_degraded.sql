@@ -0,0 +1,5 @@
+-- Rapports dont la sortie du modèle était incomplète ou dont la fusion a échoué
+-- (cf. lib/analysis.js) : pas de compteurs inventés, un indicateur explicite
+alter table public.reports
+  add column if not exists degraded boolean not null default false,
+  add column if not exists degraded_reasons jsonb not null default '[]'::jsonb;
@@ -0,0 +1,4 @@
+-- Couverture d'une analyse (cf. lib/batchPlanner.js) :
+-- { fully_analyzed: [id], truncated: [id], skipped: [{ id, reason }] }
+alter table public.reports
+  add column if not exists coverage jsonb;
@@ -0,0 +1,3 @@
+-- Langue préférée des rapports (cf. lib/i18n.js) ; null = langue par défaut
+alter table public.profiles
+  add column if not exists language text check (language in ('fr', 'en'));
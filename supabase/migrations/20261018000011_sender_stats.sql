@@ -0,0 +1,118 @@
+-- Statistiques par expéditeur et par domaine (cf. lib/senders.js)
+-- sender_stats : compteurs cumulés par (utilisateur, adresse), mis à jour à chaque mini-rapport
+create table if not exists public.sender_stats (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  address text not null,        -- adresse en minuscules
+  name text,                    -- dernier nom affiché vu
+  domain text,
+  email_count integer not null default 0,
+  positive integer not null default 0,
+  negative integer not null default 0,
+  neutral integer not null default 0,
+  other integer not null default 0,
+  first_seen timestamptz not null default now(),
+  last_seen timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (user_id, address)
+);
+
+create index if not exists sender_stats_user_count_idx on public.sender_stats (user_id, email_count desc);
+create index if not exists sender_stats_user_first_seen_idx on public.sender_stats (user_id, first_seen);
+create index if not exists sender_stats_user_domain_idx on public.sender_stats (user_id, domain);
+
+-- messages déjà comptés : un message réanalysé (fenêtres de digests qui se
+-- chevauchent, analyse relancée, job repris après un crash) n'est pas compté deux fois
+create table if not exists public.sender_activity_messages (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  message_id text not null,     -- id Gmail, ou "report:<mini_report_id>:<id>" pour un email sans id
+  mini_report_id uuid references public.reports (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, message_id)
+);
+
+alter table public.sender_stats enable row level security;
+alter table public.sender_activity_messages enable row level security;
+
+-- Agrégat par domaine (security_invoker : la RLS de sender_stats s'applique à l'appelant)
+create or replace view public.sender_domain_stats with (security_invoker = true) as
+select
+  user_id,
+  domain,
+  count(*)::integer as sender_count,
+  sum(email_count)::integer as email_count,
+  sum(positive)::integer as positive,
+  sum(negative)::integer as negative,
+  sum(neutral)::integer as neutral,
+  sum(other)::integer as other,
+  min(first_seen) as first_seen,
+  max(last_seen) as last_seen
+from public.sender_stats
+where domain is not null
+group by user_id, domain;
+
+-- Ajoute l'activité d'un mini-rapport aux compteurs (atomique, idempotent par
+-- message : seuls les messages jamais comptés pour l'utilisateur sont ajoutés).
+-- p_messages : [{ message_id, address, name, domain, label, seen_at }]
+-- Renvoie false si tous les messages étaient déjà comptés.
+create or replace function public.record_sender_activity(
+  p_user_id uuid,
+  p_mini_report_id uuid,
+  p_messages jsonb
+) returns boolean
+language plpgsql security definer as $$
+declare
+  v_senders integer;
+begin
+  with incoming as (
+    select distinct on (m.message_id) m.*
+      from jsonb_to_recordset(p_messages) as m(
+        message_id text, address text, name text, domain text, label text, seen_at timestamptz
+      )
+     where m.message_id is not null and m.address is not null
+  ),
+  fresh as (
+    insert into public.sender_activity_messages (user_id, message_id, mini_report_id)
+    select p_user_id, message_id, p_mini_report_id from incoming
+    on conflict (user_id, message_id) do nothing
+    returning message_id
+  ),
+  activity as (
+    select i.address,
+           (array_agg(i.name order by i.seen_at desc) filter (where i.name is not null))[1] as name,
+           max(i.domain) as domain,
+           count(*)::integer as email_count,
+           (count(*) filter (where i.label = 'positive'))::integer as positive,
+           (count(*) filter (where i.label = 'negative'))::integer as negative,
+           (count(*) filter (where i.label = 'neutral'))::integer as neutral,
+           (count(*) filter (where i.label = 'other'))::integer as other,
+           min(i.seen_at) as first_seen,
+           max(i.seen_at) as last_seen
+      from incoming i
+      join fresh f on f.message_id = i.message_id
+     group by i.address
+  )
+  insert into public.sender_stats as s
+    (user_id, address, name, domain, email_count, positive, negative, neutral, other, first_seen, last_seen)
+  select p_user_id, a.address, a.name, a.domain, a.email_count, a.positive, a.negative, a.neutral, a.other,
+         a.first_seen, a.last_seen
+    from activity a
+  on conflict (user_id, address) do update set
+    name = coalesce(excluded.name, s.name),
+    domain = coalesce(excluded.domain, s.domain),
+    email_count = s.email_count + excluded.email_count,
+    positive = s.positive + excluded.positive,
+    negative = s.negative + excluded.negative,
+    neutral = s.neutral + excluded.neutral,
+    other = s.other + excluded.other,
+    first_seen = least(s.first_seen, excluded.first_seen),
+    last_seen = greatest(s.last_seen, excluded.last_seen),
+    updated_at = now();
+
+  get diagnostics v_senders = row_count;
+  return v_senders > 0;
+end;
+$$;
+
+-- security definer : réservé au serveur (clé service_role)
+revoke execute on function public.record_sender_activity(uuid, uuid, jsonb) from public, anon, authenticated;
+grant execute on function public.record_sender_activity(uuid, uuid, jsonb) to service_role;
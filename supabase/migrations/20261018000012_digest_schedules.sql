@@ -0,0 +1,49 @@
+-- Digests planifiés : analyses Gmail récurrentes (cf. lib/schedules.js)
+create table if not exists public.digest_schedules (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  frequency text not null check (frequency in ('daily', 'weekly', 'monthly')),
+  gmail_address text not null,  -- compte Gmail dont les tokens sont stockés (gmail_tokens)
+  query text,                   -- requête Gmail (ex. "label:support")
+  max_emails integer not null default 100 check (max_emails > 0),
+  credit_cap integer not null check (credit_cap > 0),   -- crédits max par exécution
+  group_by_thread boolean not null default false,
+  enabled boolean not null default true,
+  next_run_at timestamptz not null default now(),
+  last_run_at timestamptz,
+  last_window_end timestamptz,  -- les emails sont récupérés depuis cette date à l'exécution suivante
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists digest_schedules_due_idx on public.digest_schedules (enabled, next_run_at);
+create index if not exists digest_schedules_user_idx on public.digest_schedules (user_id, created_at desc);
+
+-- Historique des exécutions
+create table if not exists public.digest_runs (
+  id uuid primary key default gen_random_uuid(),
+  schedule_id uuid not null references public.digest_schedules (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'queued'
+    check (status in ('queued', 'completed', 'failed', 'skipped')),
+  reason text,                  -- skipped : insufficient_credits, no_new_emails ; failed : message d'erreur
+  job_id uuid references public.analysis_jobs (id) on delete set null,
+  final_report_id uuid references public.reports (id) on delete set null,
+  window_start timestamptz,
+  window_end timestamptz not null,   -- fin effective : date du dernier email récupéré si truncated
+  max_emails integer,
+  truncated boolean not null default false,  -- fenêtre coupée par max_emails / credit_cap, suite reprise au run suivant
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists digest_runs_schedule_idx on public.digest_runs (schedule_id, created_at desc);
+create index if not exists digest_runs_job_idx on public.digest_runs (job_id);
+
+alter table public.digest_schedules enable row level security;
+alter table public.digest_runs enable row level security;
+
+-- Rapport final produit par un digest planifié
+alter table public.reports
+  add column if not exists schedule_id uuid references public.digest_schedules (id) on delete set null;
@@ -0,0 +1,45 @@
+-- Envoi des rapports par email (cf. lib/delivery.js)
+-- Envoi automatique de chaque rapport final terminé
+alter table public.profiles
+  add column if not exists deliver_reports boolean not null default false;
+
+-- Destinataires configurés par l'utilisateur (à défaut, son adresse de compte est ajoutée)
+create table if not exists public.delivery_recipients (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text not null,          -- en minuscules
+  unsubscribe_token text not null unique,
+  unsubscribed_at timestamptz,
+  -- double opt-in : une adresse autre que celle du compte ne reçoit rien avant
+  -- d'avoir suivi le lien de confirmation (confirmation_token)
+  confirmed_at timestamptz,
+  confirmation_token text unique,
+  confirmation_sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (user_id, email)
+);
+
+-- Suivi des envois : un par (rapport, destinataire), retenté avec délai croissant
+create table if not exists public.report_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  report_id uuid not null references public.reports (id) on delete cascade,
+  recipient_id uuid references public.delivery_recipients (id) on delete set null,
+  email text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts integer not null default 0,
+  last_error text,
+  message_id text,              -- Message-ID renvoyé par le serveur SMTP
+  next_attempt_at timestamptz not null default now(),
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (report_id, email)
+);
+
+create index if not exists report_deliveries_due_idx on public.report_deliveries (status, next_attempt_at);
+create index if not exists report_deliveries_user_idx on public.report_deliveries (user_id, created_at desc);
+
+alter table public.delivery_recipients enable row level security;
+alter table public.report_deliveries enable row level security;
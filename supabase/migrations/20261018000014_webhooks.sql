@@ -0,0 +1,43 @@
+-- Webhooks sortants : endpoints enregistrés par l'utilisateur (cf. lib/webhooks.js)
+create table if not exists public.webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  url text not null,
+  description text,
+  events text[] not null,       -- report.completed, credits.low, payment.succeeded
+  secret_encrypted text not null,   -- secret de signature HMAC, chiffré (lib/crypto.js)
+  credits_low_threshold integer not null default 50 check (credits_low_threshold >= 0),
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_user_idx on public.webhook_endpoints (user_id, created_at desc);
+
+-- Journal des livraisons : une ligne par (événement, endpoint), retentée avec délai croissant
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references public.webhook_endpoints (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  event_id uuid not null,       -- identique pour tous les endpoints d'un même événement
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivering', 'succeeded', 'failed', 'cancelled')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  response_status integer,
+  response_body text,           -- tronqué
+  duration_ms integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (event_id, endpoint_id)
+);
+
+create index if not exists webhook_deliveries_due_idx on public.webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_endpoint_idx on public.webhook_deliveries (endpoint_id, created_at desc);
+
+alter table public.webhook_endpoints enable row level security;
+alter table public.webhook_deliveries enable row level security;
@@ -0,0 +1,10 @@
+-- Masquage des données personnelles avant l'envoi au modèle (cf. lib/redaction.js)
+alter table public.profiles
+  add column if not exists redaction_level text not null default 'standard'
+    check (redaction_level in ('none', 'standard', 'strict'));
+
+-- Politique appliquée ({ level, version, categories, counts }) et correspondance
+-- jeton -> valeur chiffrée (lib/crypto.js), pour réafficher le rapport en clair à son propriétaire
+alter table public.reports
+  add column if not exists redaction jsonb,
+  add column if not exists redaction_map text;
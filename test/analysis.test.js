@@ -0,0 +1,307 @@
+// test/analysis.test.js
+// Pipeline d'analyse complet (lib/analysis.js : processBatch, runAnalysis) sur
+// le fournisseur mock de lib/llm.js : batchs, fusion, remboursements, masquage.
+import "./helpers/env.js";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { chargeCredits, processBatch, reportEvents, runAnalysis, saveMiniReport } from "../lib/analysis.js";
+import { planBatches } from "../lib/batchPlanner.js";
+import { createMockProvider, setProvider } from "../lib/llm.js";
+import { openRedactionMap } from "../lib/redaction.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+
+const EMAILS = [
+  { id: "e1", from: "alice@example.com", subject: "Commande", body: "Thanks, great service!" },
+  { id: "e2", from: "bob@example.com", subject: "Retard", body: "My refund is late, this is terrible." },
+  { id: "e3", from: "carol@example.com", subject: "Réunion", body: "Meeting moved to 10am." },
+  { id: "e4", from: "dave@example.com", subject: "Facture", body: "Merci pour la facture." },
+  { id: "e5", from: "erin@example.com", subject: "Livraison", body: "Package received today." },
+];
+
+let db;
+let requests;
+let batchEnv;
+
+// Fournisseur mock qui garde chaque requête ; failWhen(request) simule une panne de l'API
+function useMockProvider({ failWhen = () => false, ...options } = {}) {
+  const mock = createMockProvider(options);
+  setProvider({
+    name: "mock",
+    async complete(request) {
+      requests.push(request);
+      if (failWhen(request)) throw new Error("mock provider unavailable");
+      return mock.complete(request);
+    },
+  });
+}
+
+const promptOf = (request) => request.messages.map((m) => m.content).join("\n");
+const credits = () => db.table("profiles").find((p) => p.id === USER_ID).credits;
+const refunds = () => db.table("credit_transactions").filter((t) => t.entry_type === "refund");
+const reports = (isFinal) => db.table("reports").filter((r) => r.is_final === isFinal);
+
+// Débit passé par la route (POST /analyze, worker des jobs) avant runAnalysis
+async function analyze(emails, options = {}) {
+  const analysisId = crypto.randomUUID();
+  const plan = planBatches(emails, options);
+  await chargeCredits(USER_ID, plan.billableEmails, analysisId);
+  return { analysisId, plan, run: () => runAnalysis({ userId: USER_ID, analysisId, plan, ...options }) };
+}
+
+beforeEach(() => {
+  db = installFakeSupabase();
+  db.seed("profiles", [{ id: USER_ID, credits: 10, redaction_level: "none" }]);
+  requests = [];
+  useMockProvider();
+  batchEnv = { LLM_BATCH_MAX_EMAILS: process.env.LLM_BATCH_MAX_EMAILS, LLM_BATCH_MAX_INPUT_TOKENS: process.env.LLM_BATCH_MAX_INPUT_TOKENS };
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(batchEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  setProvider(null);
+});
+
+describe("runAnalysis (fournisseur mock)", () => {
+  it("un batch : rapport final, compteurs issus des résultats par email", async () => {
+    const completed = [];
+    const onCompleted = (event) => completed.push(event);
+    reportEvents.on("completed", onCompleted);
+    let result;
+    try {
+      const { run } = await analyze(EMAILS.slice(0, 3));
+      result = await run();
+    } finally {
+      reportEvents.off("completed", onCompleted);
+    }
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].task, "batch");
+    assert.equal(result.miniReportIds.length, 1);
+    assert.equal(result.finalJson.total_emails, 3);
+    assert.deepEqual(result.finalJson.classification, { positive: 1, negative: 1, neutral: 1, other: 0 });
+    assert.equal(result.finalJson.summary, "Mock analysis of 3 emails.");
+    assert.deepEqual(result.finalJson.coverage, { fully_analyzed: ["e1", "e2", "e3"], truncated: [], skipped: [] });
+    assert.ok(result.usage.inputTokens > 0);
+
+    const [final] = reports(true);
+    assert.equal(final.id, result.finalReportId);
+    assert.deepEqual(final.mini_report_ids, result.miniReportIds);
+    assert.deepEqual(
+      db.table("email_results").map((r) => [r.message_id, r.label, r.final_report_id]),
+      [
+        ["e1", "positive", final.id],
+        ["e2", "negative", final.id],
+        ["e3", "neutral", final.id],
+      ]
+    );
+    assert.equal(completed.length, 1);
+    assert.equal(completed[0].report.id, final.id);
+    assert.equal(credits(), 7);
+    assert.equal(refunds().length, 0);
+  });
+
+  it("plusieurs batchs : un mini-rapport par batch et résumé fusionné", async () => {
+    process.env.LLM_BATCH_MAX_EMAILS = "2";
+    const { plan, run } = await analyze(EMAILS);
+    assert.equal(plan.batches.length, 3);
+
+    const result = await run();
+    assert.equal(requests.filter((r) => r.task === "batch").length, 3);
+    assert.ok(requests.some((r) => r.task === "merge"));
+    assert.equal(reports(false).length, 3);
+    assert.equal(result.finalJson.total_emails, 5);
+    assert.deepEqual(result.finalJson.classification, { positive: 2, negative: 1, neutral: 2, other: 0 });
+    assert.equal(result.finalJson.summary, "Mock merged summary.");
+    assert.equal(result.finalJson.degraded, false);
+    assert.equal(credits(), 5);
+  });
+
+  it("thread plus gros qu'un batch : ses parties comptent pour un seul thread", async () => {
+    process.env.LLM_BATCH_MAX_EMAILS = "2";
+    process.env.LLM_BATCH_MAX_INPUT_TOKENS = "200";
+    const long = "My refund is late, this is terrible. ".repeat(20);
+    const emails = [
+      ...[1, 2, 3, 4, 5].map((n) => ({
+        id: `t1-${n}`,
+        threadId: "t1",
+        from: n % 2 ? "alice@example.com" : "support@example.com",
+        subject: "Remboursement",
+        body: long,
+        date: `2026-10-01T0${n}:00:00Z`,
+      })),
+      { id: "t2-1", threadId: "t2", from: "bob@example.com", subject: "Merci", body: "Thanks, great service!", date: "2026-10-02T09:00:00Z" },
+    ];
+    const { plan, run } = await analyze(emails, { groupByThread: true });
+    // le thread dépasse maxInputTokens et maxEmails : découpé sur plusieurs mini-rapports
+    assert.ok(plan.batches.length >= 3);
+    assert.ok(plan.coverage.truncated.length > 0);
+
+    const result = await run();
+    assert.equal(reports(false).length, plan.batches.length);
+    assert.equal(result.finalJson.total_threads, 2);
+    assert.deepEqual(result.finalJson.classification, { positive: 1, negative: 1, neutral: 0, other: 0 });
+    assert.deepEqual(
+      result.finalJson.threads_attention.map((t) => [t.thread_id, t.message_count, t.subject, t.last_speaker.address]),
+      [["t1", 5, "Remboursement", "alice@example.com"]]
+    );
+    assert.deepEqual(
+      result.finalJson.threads_attention[0].participants.map((p) => p.address),
+      ["alice@example.com", "support@example.com"]
+    );
+  });
+
+  it("batch en échec : ses crédits sont remboursés et ses emails ignorés", async () => {
+    process.env.LLM_BATCH_MAX_EMAILS = "2";
+    useMockProvider({ failWhen: (request) => request.task === "batch" && promptOf(request).includes("[id=e3]") });
+    const { analysisId, run } = await analyze(EMAILS.slice(0, 4));
+
+    const result = await run();
+    assert.equal(result.miniReportIds.length, 1);
+    assert.equal(result.finalJson.total_emails, 2);
+    assert.deepEqual(result.finalJson.coverage.skipped, [
+      { id: "e3", reason: "batch_failed" },
+      { id: "e4", reason: "batch_failed" },
+    ]);
+    assert.deepEqual(
+      refunds().map((t) => [t.reference_id, t.amount]),
+      [[`${analysisId}:batch:1`, 2]]
+    );
+    assert.equal(credits(), 8);
+  });
+
+  it("aucun batch analysé : erreur et tout est remboursé", async () => {
+    useMockProvider({ failWhen: () => true });
+    const { run } = await analyze(EMAILS.slice(0, 3));
+
+    await assert.rejects(run(), { name: "AnalysisError", status: 500 });
+    assert.equal(reports(true).length, 0);
+    assert.equal(credits(), 10);
+  });
+
+  it("rapport final non sauvegardé : erreur et tout est remboursé", async () => {
+    // la 1re insertion est le mini-rapport, la 2e le rapport final
+    db.failNext("reports", "insert", { message: "connection reset", skip: 1 });
+    const { analysisId, run } = await analyze(EMAILS.slice(0, 3));
+
+    await assert.rejects(run());
+    assert.equal(reports(true).length, 0);
+    assert.deepEqual(
+      refunds().map((t) => [t.reference_id, t.amount]),
+      [[`${analysisId}:final`, 3]]
+    );
+    assert.equal(credits(), 10);
+  });
+
+  it("erreur avant le premier batch : les crédits débités sont remboursés", async () => {
+    db.failNext("profiles", "select", { message: "connection reset" });
+    const { analysisId, run } = await analyze(EMAILS.slice(0, 3));
+
+    await assert.rejects(run(), { message: "connection reset" });
+    assert.equal(requests.length, 0);
+    assert.deepEqual(
+      refunds().map((t) => [t.reference_id, t.amount]),
+      [[`${analysisId}:failed`, 3]]
+    );
+    assert.equal(credits(), 10);
+  });
+
+  it("masquage standard : aucune donnée personnelle dans les prompts", async () => {
+    db.table("profiles")[0].redaction_level = "standard";
+    const emails = [
+      {
+        id: "e1",
+        from: "Jean Dupont <jean.dupont@example.com>",
+        subject: "Rappel",
+        body: "Merci de me rappeler au +33 6 12 34 56 78 ou d'écrire à jean.dupont@example.com.",
+      },
+    ];
+    const { run } = await analyze(emails);
+
+    const result = await run();
+    const prompt = promptOf(requests[0]);
+    assert.doesNotMatch(prompt, /jean\.dupont@example\.com|12 34 56 78/);
+    assert.match(prompt, /\[EMAIL_[0-9a-f]{8}\]/);
+    assert.match(prompt, /\[PHONE_[0-9a-f]{8}\]/);
+
+    const [final] = reports(true);
+    assert.equal(final.redaction.level, "standard");
+    assert.deepEqual(final.redaction.counts, { email: 2, phone: 1 });
+    assert.doesNotMatch(JSON.stringify(final.redaction_map), /jean\.dupont/);
+    assert.ok(Object.values(openRedactionMap(final.redaction_map)).includes("jean.dupont@example.com"));
+    assert.equal(result.finalJson.redaction.level, "standard");
+  });
+
+  it("masquage par conversation : participants masqués en base et dans l'événement, en clair pour le propriétaire", async () => {
+    db.table("profiles")[0].redaction_level = "standard";
+    const emails = [
+      { id: "e1", threadId: "t1", from: "Jean Dupont <jean.dupont@example.com>", subject: "Remboursement", body: "My refund is late, this is terrible.", date: "2026-10-01T09:00:00Z" },
+      { id: "e2", threadId: "t1", from: "Support <support@example.com>", subject: "Re: Remboursement", body: "Still terrible.", date: "2026-10-01T10:00:00Z" },
+    ];
+    const completed = [];
+    const onCompleted = (event) => completed.push(event);
+    reportEvents.on("completed", onCompleted);
+    let result;
+    try {
+      const { run } = await analyze(emails, { groupByThread: true });
+      result = await run();
+    } finally {
+      reportEvents.off("completed", onCompleted);
+    }
+
+    const stored = JSON.stringify([reports(false)[0].threads, reports(true)[0].threads_attention, completed[0].report.threads_attention]);
+    assert.doesNotMatch(stored, /jean\.dupont@example\.com|support@example\.com/);
+    assert.match(stored, /\[EMAIL_[0-9a-f]{8}\]/);
+
+    const [thread] = result.finalJson.threads_attention;
+    assert.deepEqual(
+      thread.participants.map((p) => p.address),
+      ["jean.dupont@example.com", "support@example.com"]
+    );
+    assert.equal(thread.last_speaker.address, "support@example.com");
+  });
+});
+
+describe("processBatch (fournisseur mock)", () => {
+  it("sortie invalide : batch remboursé sans mini-rapport", async () => {
+    useMockProvider({ responses: { batch: "not json" } });
+    const analysisId = crypto.randomUUID();
+    const { batches } = planBatches(EMAILS.slice(0, 2));
+    await chargeCredits(USER_ID, 2, analysisId);
+
+    const done = await processBatch({ userId: USER_ID, analysisId, batch: batches[0], index: 0, redactionLevel: "none" });
+    assert.equal(done, null);
+    assert.ok(requests.length > 1, "la sortie invalide est redemandée avant l'échec");
+    assert.equal(reports(false).length, 0);
+    assert.deepEqual(
+      refunds().map((t) => [t.reference_id, t.amount, t.metadata.reason]),
+      [[`${analysisId}:batch:0`, 2, "invalid_output"]]
+    );
+    assert.equal(credits(), 10);
+  });
+
+  it("batch de job déjà enregistré avant un crash : mini-rapport repris sans nouvel appel", async () => {
+    const jobId = crypto.randomUUID();
+    const { batches } = planBatches(EMAILS.slice(0, 2));
+    const first = await processBatch({ userId: USER_ID, analysisId: jobId, batch: batches[0], index: 0, redactionLevel: "none", jobId });
+    assert.equal(requests.length, 1);
+
+    // reprise : batches_done n'avait pas été mis à jour
+    const resumed = await processBatch({ userId: USER_ID, analysisId: jobId, batch: batches[0], index: 0, redactionLevel: "none", jobId });
+    assert.equal(requests.length, 1);
+    assert.equal(resumed.miniId, first.miniId);
+    assert.deepEqual(resumed.parsed.classification, first.parsed.classification);
+    assert.deepEqual(resumed.parsed.coverage, first.parsed.coverage);
+    assert.equal(reports(false).length, 1);
+    assert.equal(db.table("email_results").length, 2);
+
+    // insertion concurrente du même batch : l'id existant est renvoyé
+    assert.equal(await saveMiniReport(USER_ID, first.parsed, { jobId, batchIndex: 0 }), first.miniId);
+    assert.equal(reports(false).length, 1);
+  });
+});
@@ -0,0 +1,75 @@
+// test/auth.test.js
+// Authentification (lib/auth.js) : utilisateur tiré du JWT et jamais du client,
+// state OAuth Google signé et à durée limitée.
+import "./helpers/env.js";
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { supabase } from "../supabaseClient.js";
+import { requireAuth, signOAuthState, verifyOAuthState } from "../lib/auth.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+const OTHER_ID = "7c1e9a2b-3d4f-4a5b-8c6d-9e0f1a2b3c4d";
+
+supabase.auth.getUser = async (token) =>
+  token === "valid-token"
+    ? { data: { user: { id: USER_ID, email: "owner@example.com", app_metadata: {} } }, error: null }
+    : { data: { user: null }, error: { message: "invalid JWT" } };
+
+// Appelle le middleware comme Express : -> { status, body } ou { user } si next() est appelé
+function authenticate({ headers = {}, query = {}, body = {} } = {}) {
+  return new Promise((resolve) => {
+    const req = { headers, query, body };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+      },
+    };
+    requireAuth(req, res, () => resolve({ user: req.user }));
+  });
+}
+
+describe("requireAuth", () => {
+  it("l'utilisateur vient du token, pas du userId envoyé par le client", async () => {
+    const { user } = await authenticate({
+      headers: { authorization: "Bearer valid-token" },
+      query: { userId: OTHER_ID },
+      body: { userId: OTHER_ID },
+    });
+    assert.equal(user.id, USER_ID);
+    assert.equal(user.role, "user");
+  });
+
+  it("sans token valide : 401", async () => {
+    assert.equal((await authenticate({ query: { userId: USER_ID } })).status, 401);
+    assert.equal((await authenticate({ headers: { authorization: "Bearer forged" } })).status, 401);
+  });
+});
+
+describe("state OAuth", () => {
+  const realNow = Date.now;
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it("rattache la boîte Gmail à l'utilisateur qui a demandé l'URL", () => {
+    assert.equal(verifyOAuthState(signOAuthState(USER_ID)), USER_ID);
+  });
+
+  it("refuse un userId brut ou un state modifié", () => {
+    assert.equal(verifyOAuthState(USER_ID), null);
+    const [, signature] = signOAuthState(USER_ID).split(".");
+    const forged = Buffer.from(JSON.stringify({ userId: OTHER_ID, ts: Date.now() })).toString("base64url");
+    assert.equal(verifyOAuthState(`${forged}.${signature}`), null);
+  });
+
+  it("refuse un state expiré", () => {
+    const state = signOAuthState(USER_ID);
+    Date.now = () => realNow() + 11 * 60 * 1000;
+    assert.equal(verifyOAuthState(state), null);
+  });
+});
@@ -0,0 +1,80 @@
+// test/delivery.test.js
+// Destinataires des rapports (lib/delivery.js) : double opt-in des adresses
+// tierces et désabonnements conservés.
+import "./helpers/env.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { supabase } from "../supabaseClient.js";
+import { addRecipient, confirmRecipient, queueReportDelivery, setTransport, unsubscribe } from "../lib/delivery.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+const OWNER = "owner@example.com";
+
+let db;
+let sent;
+
+supabase.auth.admin.getUserById = async (id) => ({ data: { user: id === USER_ID ? { email: OWNER } : null }, error: null });
+
+beforeEach(() => {
+  db = installFakeSupabase();
+  db.seed("profiles", [{ id: USER_ID, credits: 10, language: "en" }]);
+  sent = [];
+  setTransport({
+    async sendMail(message) {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    },
+  });
+});
+
+const row = (email) => db.table("delivery_recipients").find((r) => r.email === email);
+const tokenFromMail = (message) => message.text.match(/token=([0-9a-f]+)/)[1];
+
+describe("destinataires des rapports", () => {
+  it("l'adresse du compte est confirmée d'office", async () => {
+    const recipient = await addRecipient(USER_ID, " Owner@Example.com ");
+    assert.equal(recipient.email, OWNER);
+    assert.ok(recipient.confirmed_at);
+    assert.equal(sent.length, 0);
+  });
+
+  it("une adresse tierce ne reçoit rien avant d'avoir confirmé", async () => {
+    const recipient = await addRecipient(USER_ID, "boss@example.com");
+    assert.equal(recipient.confirmed_at, null);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "boss@example.com");
+    assert.match(sent[0].text, /owner@example\.com would like to send/);
+
+    // un nouvel ajout ne renvoie pas d'email dans la foulée
+    await addRecipient(USER_ID, "boss@example.com");
+    assert.equal(sent.length, 1);
+
+    db.seed("reports", [{ id: "5b0f7a52-7d0e-4bb4-8a43-1a3f1e6c9d21", user_id: USER_ID, is_final: true }]);
+    await assert.rejects(
+      queueReportDelivery(USER_ID, "5b0f7a52-7d0e-4bb4-8a43-1a3f1e6c9d21", { emails: ["boss@example.com"] }),
+      { code: "unknown_recipient" }
+    );
+
+    const confirmed = await confirmRecipient(tokenFromMail(sent[0]));
+    assert.equal(confirmed.email, "boss@example.com");
+    assert.ok(row("boss@example.com").confirmed_at);
+    assert.equal(row("boss@example.com").confirmation_token, null);
+    assert.equal(await confirmRecipient(tokenFromMail(sent[0])), null);
+  });
+
+  it("une adresse désabonnée n'est pas réabonnée par un nouvel ajout", async () => {
+    await addRecipient(USER_ID, OWNER);
+    const { unsubscribe_token: unsubscribeToken } = row(OWNER);
+    await unsubscribe(unsubscribeToken);
+
+    const recipient = await addRecipient(USER_ID, OWNER);
+    assert.ok(recipient.unsubscribed_at);
+    assert.ok(row(OWNER).unsubscribed_at);
+    assert.equal(row(OWNER).unsubscribe_token, unsubscribeToken);
+    // seul le lien envoyé à l'adresse la réabonne
+    assert.equal(sent.length, 1);
+    await confirmRecipient(tokenFromMail(sent[0]));
+    assert.equal(row(OWNER).unsubscribed_at, null);
+  });
+});
@@ -0,0 +1,16 @@
+// test/helpers/env.js
+// Variables d'environnement des tests, à importer avant tout module de lib/ :
+// aucun appel réseau (Supabase remplacé par test/helpers/fakeSupabase.js,
+// modèle par le fournisseur mock de lib/llm.js).
+process.env.SUPABASE_URL ||= "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= "test-service-role-key";
+process.env.STRIPE_SECRET_KEY = "sk_test_resumail";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_resumail";
+process.env.TOKEN_ENCRYPTION_KEY = "test-token-encryption-key";
+process.env.LLM_PROVIDER = "mock";
+process.env.CREDITS_PER_EMAIL = "1";
+
+// journaux des modules silencieux (TEST_LOGS=1 pour les afficher)
+if (!process.env.TEST_LOGS) {
+  for (const level of ["log", "info", "warn", "error"]) console[level] = () => {};
+}
@@ -0,0 +1,346 @@
+// test/helpers/fakeSupabase.js
+// Base Supabase en mémoire pour les tests : sous-ensemble du query builder de
+// supabase-js utilisé par lib/ (select / insert / upsert / update / delete,
+// filtres eq, in, like, gte..., order, limit, range, single, maybeSingle), avec
+// contraintes d'unicité (erreur 23505 comme PostgREST) et RPC déclarées.
+// Une RPC non déclarée renvoie PGRST202 : les modules passent sur leur fallback.
+import crypto from "crypto";
+import { supabase } from "../../supabaseClient.js";
+
+// Contraintes d'unicité des migrations (en plus de la clé "id")
+const UNIQUE_KEYS = {
+  stripe_events: [["id"]],
+  payments: [["stripe_session_id"], ["stripe_payment_intent_id"]],
+  credit_transactions: [["entry_type", "reference_type", "reference_id"]],
+  sender_stats: [["user_id", "address"]],
+  sender_activity_messages: [["user_id", "message_id"]],
+  reports: [["job_id", "batch_index"]],
+};
+
+const clone = (value) => structuredClone(value);
+
+function likeToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/%/g, ".*").replace(/_/g, ".")}$`);
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.filters = [];
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.sorts = [];
+    this.window = null;
+    this.cardinality = null;
+  }
+
+  // --- actions ---
+  select(_columns = "*", { count = null, head = false } = {}) {
+    if (this.action === "select") {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+  insert(rows) {
+    this.action = "insert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+  upsert(rows, { onConflict = "id" } = {}) {
+    this.action = "upsert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictKey = onConflict.split(",").map((c) => c.trim());
+    return this;
+  }
+  update(patch) {
+    this.action = "update";
+    this.payload = patch;
+    return this;
+  }
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // --- filtres ---
+  where(fn) {
+    this.filters.push(fn);
+    return this;
+  }
+  eq(col, value) {
+    return this.where((r) => r[col] === value);
+  }
+  neq(col, value) {
+    return this.where((r) => r[col] !== value);
+  }
+  is(col, value) {
+    return this.where((r) => (r[col] ?? null) === value);
+  }
+  in(col, values) {
+    return this.where((r) => values.includes(r[col]));
+  }
+  like(col, pattern) {
+    const re = likeToRegExp(pattern);
+    return this.where((r) => typeof r[col] === "string" && re.test(r[col]));
+  }
+  gt(col, value) {
+    return this.where((r) => r[col] > value);
+  }
+  gte(col, value) {
+    return this.where((r) => r[col] >= value);
+  }
+  lt(col, value) {
+    return this.where((r) => r[col] < value);
+  }
+  lte(col, value) {
+    return this.where((r) => r[col] <= value);
+  }
+  contains(col, values) {
+    return this.where((r) => Array.isArray(r[col]) && values.every((v) => r[col].includes(v)));
+  }
+  or() {
+    throw new Error(`fakeSupabase: or() is not supported (${this.table})`);
+  }
+
+  // --- modificateurs ---
+  order(col, { ascending = true } = {}) {
+    this.sorts.push({ col, ascending });
+    return this;
+  }
+  limit(n) {
+    this.window = [0, n];
+    return this;
+  }
+  range(from, to) {
+    this.window = [from, to - from + 1];
+    return this;
+  }
+  single() {
+    this.cardinality = "single";
+    return this;
+  }
+  maybeSingle() {
+    this.cardinality = "maybeSingle";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  // --- exécution ---
+  rows() {
+    if (!this.db.tables.has(this.table)) this.db.tables.set(this.table, []);
+    return this.db.tables.get(this.table);
+  }
+
+  matching() {
+    return this.rows().filter((r) => this.filters.every((fn) => fn(r)));
+  }
+
+  conflict(row, ignore = null) {
+    const keys = [["id"], ...(UNIQUE_KEYS[this.table] || [])];
+    return this.rows().find(
+      (other) =>
+        other !== ignore &&
+        keys.some((cols) => cols.every((c) => row[c] != null && other[c] === row[c]))
+    );
+  }
+
+  withDefaults(row) {
+    return { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(row) };
+  }
+
+  execute() {
+    this.db.calls.push({ table: this.table, action: this.action });
+    const failure = this.db.failures.find((f) => f.table === this.table && f.action === this.action);
+    if (failure && failure.skip-- <= 0) {
+      this.db.failures.splice(this.db.failures.indexOf(failure), 1);
+      return { data: null, error: { message: failure.message, code: "XX000" } };
+    }
+
+    let result;
+    switch (this.action) {
+      case "insert": {
+        const inserted = [];
+        for (const raw of this.payload) {
+          const row = this.withDefaults(raw);
+          if (this.conflict(row) || inserted.some((r) => r.id === row.id)) {
+            return { data: null, error: { message: `duplicate key value (${this.table})`, code: "23505" } };
+          }
+          inserted.push(row);
+        }
+        this.rows().push(...inserted);
+        result = inserted;
+        break;
+      }
+      case "upsert": {
+        result = this.payload.map((raw) => {
+          const existing = this.rows().find((r) => this.conflictKey.every((c) => r[c] === raw[c]));
+          if (existing) return Object.assign(existing, clone(raw));
+          const row = this.withDefaults(raw);
+          this.rows().push(row);
+          return row;
+        });
+        break;
+      }
+      case "update": {
+        result = this.matching();
+        for (const row of result) Object.assign(row, clone(this.payload));
+        break;
+      }
+      case "delete": {
+        result = this.matching();
+        this.db.tables.set(this.table, this.rows().filter((r) => !result.includes(r)));
+        break;
+      }
+      default:
+        result = this.matching();
+    }
+
+    for (const { col, ascending } of [...this.sorts].reverse()) {
+      result = [...result].sort((a, b) => (a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    const count = result.length;
+    if (this.window) result = result.slice(this.window[0], this.window[0] + this.window[1]);
+
+    if (this.action !== "select" && !this.returning && !this.cardinality) return { data: null, error: null };
+    if (this.head) return { data: null, error: null, count };
+
+    const data = clone(result);
+    if (this.cardinality) {
+      if (data.length > 1) return { data: null, error: { message: "multiple rows", code: "PGRST116" } };
+      if (!data.length && this.cardinality === "single") {
+        return { data: null, error: { message: "no rows", code: "PGRST116" } };
+      }
+      return { data: data[0] || null, error: null };
+    }
+    return { data, error: null, ...(this.countMode && { count }) };
+  }
+}
+
+// post_credit_transaction (cf. supabase/migrations/20261018000003_credit_ledger.sql)
+function postCreditTransaction(db, p) {
+  const profile = db.table("profiles").find((r) => r.id === p.p_user_id);
+  if (!profile) throw new Error("profile_not_found");
+
+  if (p.p_reference_id != null) {
+    const existing = db
+      .table("credit_transactions")
+      .find(
+        (t) =>
+          t.entry_type === p.p_type &&
+          (t.reference_type ?? null) === (p.p_reference_type ?? null) &&
+          t.reference_id === p.p_reference_id
+      );
+    if (existing) return [{ transaction_id: existing.id, balance: existing.balance_after, duplicate: true }];
+  }
+
+  const balance = (profile.credits || 0) + p.p_amount;
+  if (balance < 0 && !p.p_allow_negative) throw new Error("insufficient_credits");
+
+  const tx = {
+    id: crypto.randomUUID(),
+    user_id: p.p_user_id,
+    entry_type: p.p_type,
+    amount: p.p_amount,
+    balance_after: balance,
+    reference_type: p.p_reference_type ?? null,
+    reference_id: p.p_reference_id ?? null,
+    description: p.p_description ?? null,
+    metadata: p.p_metadata || {},
+    created_at: new Date().toISOString(),
+  };
+  db.table("credit_transactions").push(tx);
+  db.table("credit_ledger_entries").push(
+    { transaction_id: tx.id, account: `user:${p.p_user_id}`, amount: p.p_amount },
+    { transaction_id: tx.id, account: "counter", amount: -p.p_amount }
+  );
+  profile.credits = balance;
+  return [{ transaction_id: tx.id, balance, duplicate: false }];
+}
+
+// claw_back_payment_credits (cf. supabase/migrations/20261018000004_stripe_webhook_idempotency.sql)
+function clawBackPaymentCredits(db, p) {
+  const payment = db.table("payments").find((r) => r.id === p.p_payment_id);
+  if (!payment) throw new Error("payment_not_found");
+
+  const done = -db
+    .table("credit_transactions")
+    .filter((t) => t.user_id === payment.user_id && t.entry_type === "adjustment" && t.metadata?.payment_id === payment.id)
+    .reduce((sum, t) => sum + t.amount, 0);
+  let amount = Math.min(p.p_target, payment.credits_added) - done;
+  let transactionId = null;
+  let balance = null;
+  if (amount > 0) {
+    const [posted] = postCreditTransaction(db, {
+      p_user_id: payment.user_id,
+      p_type: "adjustment",
+      p_amount: -amount,
+      p_reference_type: p.p_reference_type,
+      p_reference_id: p.p_reference_id,
+      p_description: p.p_description,
+      p_metadata: { payment_id: payment.id },
+      p_allow_negative: true,
+    });
+    ({ transaction_id: transactionId, balance } = posted);
+    if (posted.duplicate) amount = 0;
+  } else {
+    amount = 0;
+  }
+  payment.credits_clawed_back = done + amount;
+  payment.updated_at = new Date().toISOString();
+  return [{ transaction_id: transactionId, balance, clawed_back: amount, total_clawed_back: done + amount }];
+}
+
+export function createFakeSupabase({ rpc = {} } = {}) {
+  const db = {
+    tables: new Map(),
+    calls: [],
+    failures: [],
+    rpcs: { post_credit_transaction: postCreditTransaction, claw_back_payment_credits: clawBackPaymentCredits, ...rpc },
+
+    table(name) {
+      if (!db.tables.has(name)) db.tables.set(name, []);
+      return db.tables.get(name);
+    },
+    seed(name, rows) {
+      db.table(name).push(...rows.map((r) => ({ id: crypto.randomUUID(), ...clone(r) })));
+    },
+    // la prochaine requête (table, action) échoue, après `skip` requêtes réussies
+    failNext(table, action, { message = "fake failure", skip = 0 } = {}) {
+      db.failures.push({ table, action, message, skip });
+    },
+
+    from(name) {
+      return new FakeQuery(db, name);
+    },
+    async rpc(name, params) {
+      const handler = db.rpcs[name];
+      if (!handler) return { data: null, error: { message: `function ${name} not found`, code: "PGRST202" } };
+      try {
+        return { data: clone(handler(db, params)), error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message, code: "P0001" } };
+      }
+    },
+  };
+  return db;
+}
+
+// Remplace les requêtes du client partagé (supabaseClient.js) par une base en mémoire
+export function installFakeSupabase(options) {
+  const db = createFakeSupabase(options);
+  supabase.from = (name) => db.from(name);
+  supabase.rpc = (name, params) => db.rpc(name, params);
+  return db;
+}
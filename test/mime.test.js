@@ -0,0 +1,78 @@
+// test/mime.test.js
+// Normalisation des messages (lib/mime.js) sur des .eml réels de test/fixtures/eml.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { normalizeMessage, parseRawMessage } from "../lib/mime.js";
+
+const load = (name) => parseRawMessage(fs.readFileSync(new URL(`./fixtures/eml/${name}.eml`, import.meta.url)));
+const header = (part, name) => part.headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value;
+
+describe("normalizeMessage sur des .eml", () => {
+  it("multipart/alternative : garde la partie text/plain", () => {
+    const { text, source, attachments } = normalizeMessage(load("multipart-alternative"));
+    assert.equal(source, "plain");
+    assert.equal(text, "Hello,\n\nMy order 4521 has not arrived yet. Could you check the tracking?\n\nThanks");
+    assert.doesNotMatch(text, /HTML version/);
+    assert.deepEqual(attachments, []);
+  });
+
+  it("multipart imbriqué : HTML base64 converti en texte, pièces jointes listées", () => {
+    const payload = load("nested-multipart");
+    const { text, source, attachments } = normalizeMessage(payload);
+
+    assert.equal(header(payload, "Subject"), "Votre facture d'octobre");
+    assert.equal(source, "html");
+    assert.equal(
+      text,
+      "Bonjour,\nVotre facture d'octobre est disponible : 42 €.\n\n- Référence A-17\n- Échéance le 31/10"
+    );
+    // style, éléments masqués et citation Gmail retirés
+    assert.doesNotMatch(text, /color|preheader|ancien message/);
+    assert.deepEqual(
+      attachments.map(({ filename, mimeType }) => ({ filename, mimeType })),
+      [
+        { filename: "logo.png", mimeType: "image/png" },
+        { filename: "facture-octobre.pdf", mimeType: "application/pdf" },
+      ]
+    );
+    assert.ok(attachments.every((a) => a.size > 0));
+  });
+
+  it("quoted-printable en ISO-8859-1 : accents, lignes recollées et signature retirée", () => {
+    const payload = load("quoted-printable-latin1");
+    const { text, source } = normalizeMessage(payload);
+
+    assert.equal(header(payload, "From"), "José García <jose@example.es>");
+    assert.equal(header(payload, "Subject"), "Colis abîmé");
+    assert.equal(source, "plain");
+    assert.equal(
+      text,
+      "Bonjour,\n\nLe colis est arrivé abîmé et la boîte était déchirée. Je souhaite un échange très rapidement, " +
+        "c'est la deuxième fois que cela arrive avec votre transporteur et je commence à perdre patience."
+    );
+  });
+
+  it("base64 en windows-1252 : caractères typographiques et citation retirée", () => {
+    const { text } = normalizeMessage(load("base64-windows-1252"));
+    assert.equal(text, "Merci pour l’intervention d’hier – tout fonctionne, coût final 120 €.");
+  });
+
+  it("charset ISO-2022-JP (corps et sujet encodé)", () => {
+    const payload = load("iso-2022-jp");
+    assert.equal(header(payload, "Subject"), "請求書");
+    assert.equal(normalizeMessage(payload).text, "お世話になっております。請求書をお送りします。");
+  });
+
+  it("message réduit à une pièce jointe : repli sur le snippet", () => {
+    const payload = load("attachment-only");
+    const { text, source, attachments } = normalizeMessage(payload, { snippet: "Scan 2025-10-13" });
+
+    assert.equal(text, "Scan 2025-10-13");
+    assert.equal(source, "snippet");
+    assert.equal(attachments.length, 1);
+    assert.equal(attachments[0].filename, "scan-0001.pdf");
+    assert.equal(attachments[0].mimeType, "application/pdf");
+    assert.equal(normalizeMessage(payload).text, "");
+  });
+});
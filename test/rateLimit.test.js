@@ -0,0 +1,77 @@
+// test/rateLimit.test.js
+// Analyses simultanées (limitConcurrentAnalyses / releaseAnalysisSlot) : la place
+// est gardée jusqu'à la fin de l'analyse, pas jusqu'à la fermeture de la réponse.
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createMemoryStore, limitConcurrentAnalyses, releaseAnalysisSlot, setRateLimitStore } from "../lib/rateLimit.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+
+let server;
+let baseUrl;
+let pending;
+
+before(async () => {
+  const app = express();
+  app.post(
+    "/analyze",
+    (req, res, next) => {
+      req.user = { id: USER_ID };
+      next();
+    },
+    limitConcurrentAnalyses,
+    async (req, res) => {
+      try {
+        // analyse synchrone simulée : se termine quand le test appelle pending[i]()
+        await new Promise((resolve) => pending.push(resolve));
+        res.json({ ok: true });
+      } finally {
+        releaseAnalysisSlot(req);
+      }
+    }
+  );
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  const db = installFakeSupabase();
+  db.seed("profiles", [{ id: USER_ID, credits: 10 }]);
+  setRateLimitStore(createMemoryStore());
+  pending = [];
+});
+
+const post = (signal) => fetch(`${baseUrl}/analyze`, { method: "POST", signal });
+
+async function waitForAnalyses(count) {
+  while (pending.length < count) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+describe("limitConcurrentAnalyses", () => {
+  it("garde la place d'une analyse dont le client s'est déconnecté", async () => {
+    const aborted = new AbortController();
+    const first = post(aborted.signal).catch(() => null);
+    await waitForAnalyses(1);
+    aborted.abort();
+    await first;
+    // la fermeture de la connexion ne libère pas la place (plan free : 1 analyse)
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const blocked = await post();
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).code, "too_many_concurrent_analyses");
+
+    pending[0]();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const next = post();
+    await waitForAnalyses(2);
+    pending[1]();
+    assert.equal((await next).status, 200);
+  });
+});
@@ -0,0 +1,99 @@
+// test/schedules.test.js
+// Digests planifiés (lib/schedules.js) : une fenêtre coupée par max_emails est
+// close à la date du dernier email récupéré, et la suite reprise au run suivant.
+import "./helpers/env.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fetchEmails } from "../lib/gmail.js";
+import { jobEvents } from "../lib/jobs.js";
+import "../lib/schedules.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+const SCHEDULE_ID = "6a1d2c4e-8f3b-4d5a-9c7e-1b2a3c4d5e6f";
+
+// Boîte Gmail simulée : messages.list du plus récent au plus ancien, pages de `pageSize`
+function fakeGmail(count, { pageSize = 3 } = {}) {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    id: `m${i + 1}`,
+    internalDate: String(Date.UTC(2026, 9, 1, 0, i)),
+    payload: { mimeType: "text/plain", headers: [{ name: "From", value: "a@example.com" }], body: { data: Buffer.from(`mail ${i + 1}`).toString("base64url") } },
+  })).reverse();
+  return {
+    users: {
+      messages: {
+        async list({ maxResults, pageToken }) {
+          const start = Number(pageToken || 0);
+          const end = start + Math.min(maxResults, pageSize);
+          return { data: { messages: messages.slice(start, end).map(({ id }) => ({ id })), nextPageToken: end < messages.length ? String(end) : undefined } };
+        },
+        async get({ id }) {
+          return { data: messages.find((m) => m.id === id) };
+        },
+      },
+    },
+  };
+}
+
+describe("fetchEmails", () => {
+  it("garde par défaut les plus récents", async () => {
+    const { emails, truncated } = await fetchEmails(fakeGmail(10), { maxEmails: 4 });
+    assert.deepEqual(emails.map((e) => e.id), ["m10", "m9", "m8", "m7"]);
+    assert.equal(truncated, true);
+  });
+
+  it("oldestFirst : garde les plus anciens et date leur réception", async () => {
+    const { emails, truncated } = await fetchEmails(fakeGmail(10), { maxEmails: 4, oldestFirst: true });
+    assert.deepEqual(emails.map((e) => e.id).sort(), ["m1", "m2", "m3", "m4"]);
+    assert.equal(truncated, true);
+    assert.equal(emails.find((e) => e.id === "m4").receivedAt, "2026-10-01T00:03:00.000Z");
+
+    const all = await fetchEmails(fakeGmail(3), { maxEmails: 4, oldestFirst: true });
+    assert.equal(all.emails.length, 3);
+    assert.equal(all.truncated, false);
+  });
+});
+
+describe("fin d'un job de digest", () => {
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.seed("digest_schedules", [{ id: SCHEDULE_ID, user_id: USER_ID, last_window_end: "2026-10-01T00:00:00.000Z" }]);
+    db.seed("digest_runs", [
+      { id: "run-1", schedule_id: SCHEDULE_ID, status: "queued", window_start: "2026-10-01T00:00:00.000Z", window_end: "2026-10-08T00:00:00.000Z" },
+    ]);
+  });
+
+  async function finish(source, { status = "completed" } = {}) {
+    const finalReportId = status === "completed" ? "report-1" : null;
+    jobEvents.emit("finished", { job: { id: "job-1", source: { runId: "run-1", ...source } }, status, finalReportId });
+    // le gestionnaire est asynchrone
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  const run = () => db.table("digest_runs")[0];
+  const schedule = () => db.table("digest_schedules")[0];
+
+  it("fenêtre complète : close à la fin prévue", async () => {
+    await finish({});
+    assert.equal(run().status, "completed");
+    assert.equal(run().truncated, false);
+    assert.equal(schedule().last_window_end, "2026-10-08T00:00:00.000Z");
+  });
+
+  it("fenêtre coupée : close à la date du dernier email récupéré", async () => {
+    await finish({ truncated: true, fetchedUntil: "2026-10-03T12:00:00.000Z" });
+    assert.equal(run().status, "completed");
+    assert.equal(run().truncated, true);
+    assert.equal(run().window_end, "2026-10-03T12:00:00.000Z");
+    assert.equal(schedule().last_window_end, "2026-10-03T12:00:00.000Z");
+  });
+
+  it("aucun email : run ignoré et fenêtre close", async () => {
+    await finish({}, { status: "empty" });
+    assert.equal(run().status, "skipped");
+    assert.equal(run().reason, "no_new_emails");
+    assert.equal(schedule().last_window_end, "2026-10-08T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,56 @@
+// test/senders.test.js
+// Statistiques par expéditeur (lib/senders.js) : un message réanalysé n'est
+// compté qu'une fois, quel que soit le mini-rapport qui le contient.
+import "./helpers/env.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { planBatches } from "../lib/batchPlanner.js";
+import { recordSenderActivity } from "../lib/senders.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+
+let db;
+
+beforeEach(() => {
+  db = installFakeSupabase();
+});
+
+const stats = (address) => db.table("sender_stats").find((r) => r.address === address);
+
+// Enregistre l'activité d'un batch comme le ferait processBatch pour un nouveau mini-rapport
+function record(emails) {
+  const [batch] = planBatches(emails).batches;
+  const emailResults = batch.map((e) => ({ message_id: e.id, label: e.label }));
+  return recordSenderActivity(USER_ID, crypto.randomUUID(), batch, { emailResults });
+}
+
+describe("recordSenderActivity", () => {
+  it("ne recompte pas un message déjà analysé dans un autre mini-rapport", async () => {
+    const first = [
+      { id: "m1", from: "Alice <alice@example.com>", body: "a", label: "negative", date: "2026-10-01T10:00:00Z" },
+      { id: "m2", from: "alice@example.com", body: "b", label: "positive", date: "2026-10-02T10:00:00Z" },
+    ];
+    assert.equal(await record(first), true);
+    // fenêtre qui chevauche la précédente : m2 revient avec un nouveau message
+    const second = [first[1], { id: "m3", from: "alice@example.com", body: "c", label: "negative", date: "2026-10-03T10:00:00Z" }];
+    assert.equal(await record(second), true);
+    assert.equal(await record(second), false);
+
+    const alice = stats("alice@example.com");
+    assert.equal(alice.email_count, 3);
+    assert.equal(alice.negative, 2);
+    assert.equal(alice.positive, 1);
+    assert.equal(alice.name, "Alice");
+    assert.equal(alice.last_seen, "2026-10-03T10:00:00.000Z");
+    assert.equal(db.table("sender_activity_messages").length, 3);
+  });
+
+  it("compte à chaque analyse les emails reçus sans id", async () => {
+    const emails = [{ from: "bob@example.com", body: "sans id", label: "neutral" }];
+    await record(emails);
+    await record(emails);
+    assert.equal(stats("bob@example.com").email_count, 2);
+  });
+});
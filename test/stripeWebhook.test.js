@@ -0,0 +1,201 @@
+// test/stripeWebhook.test.js
+// Webhook Stripe (routes/webhook.js + lib/stripeWebhook.js) sur des événements
+// signés comme par Stripe à partir des fixtures de test/fixtures/stripe.
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import express from "express";
+import { stripe } from "../lib/stripe.js";
+import { paymentEvents } from "../lib/stripeWebhook.js";
+import webhookRouter from "../routes/webhook.js";
+import { installFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const USER_ID = "0b6f3c2e-5d1a-4c7e-9a41-2f8d6e3b7c10";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url), "utf8");
+
+let server;
+let baseUrl;
+let db;
+
+before(async () => {
+  const app = express();
+  app.use("/webhook", webhookRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  db = installFakeSupabase();
+  db.seed("profiles", [{ id: USER_ID, credits: 10 }]);
+});
+
+// Envoie le corps brut avec l'en-tête Stripe-Signature calculé sur ce corps
+async function deliver(payload, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const res = await fetch(`${baseUrl}/webhook`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+    body: payload,
+  });
+  const text = await res.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {}
+  return { status: res.status, body };
+}
+
+const credits = () => db.table("profiles").find((p) => p.id === USER_ID).credits;
+const transactions = (type) => db.table("credit_transactions").filter((t) => t.entry_type === type);
+const payment = () => db.table("payments").find((p) => p.stripe_session_id === "cs_test_credit_pack_100");
+
+describe("POST /webhook (Stripe)", () => {
+  it("rejette une signature invalide sans rien créditer", async () => {
+    const res = await deliver(fixture("checkout.session.completed"), { secret: "whsec_wrong" });
+    assert.equal(res.status, 400);
+    assert.equal(credits(), 10);
+    assert.equal(db.table("stripe_events").length, 0);
+  });
+
+  it("crédite le pack acheté à la fin du checkout", async () => {
+    const emitted = [];
+    const onSucceeded = (event) => emitted.push(event);
+    paymentEvents.on("succeeded", onSucceeded);
+    try {
+      const res = await deliver(fixture("checkout.session.completed"));
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { received: true, duplicate: false });
+    } finally {
+      paymentEvents.off("succeeded", onSucceeded);
+    }
+
+    assert.equal(credits(), 110);
+    assert.equal(transactions("purchase").length, 1);
+    assert.equal(transactions("purchase")[0].reference_id, "cs_test_credit_pack_100");
+    assert.equal(payment().status, "succeeded");
+    assert.equal(payment().credits_added, 100);
+    assert.equal(payment().amount, 9.9);
+    assert.equal(db.table("stripe_events")[0].status, "processed");
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0].userId, USER_ID);
+    assert.equal(emitted[0].payment.credits, 100);
+  });
+
+  it("ignore la seconde livraison d'un même événement", async () => {
+    const payload = fixture("checkout.session.completed");
+    await deliver(payload);
+    const res = await deliver(payload);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, duplicate: true });
+    assert.equal(credits(), 110);
+    assert.equal(transactions("purchase").length, 1);
+  });
+
+  it("ne crédite pas deux fois une session reçue via deux événements", async () => {
+    await deliver(fixture("checkout.session.completed"));
+    const res = await deliver(fixture("checkout.session.async_payment_succeeded"));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.duplicate, false);
+    assert.equal(credits(), 110);
+    assert.equal(transactions("purchase").length, 1);
+  });
+
+  it("rejoue un événement dont le traitement a échoué", async () => {
+    const payload = fixture("checkout.session.completed");
+    db.failNext("payments", "upsert", { message: "connection reset" });
+    const failed = await deliver(payload);
+    assert.equal(failed.status, 500);
+    assert.equal(db.table("stripe_events")[0].status, "failed");
+    assert.equal(credits(), 10);
+
+    const retried = await deliver(payload);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.duplicate, false);
+    assert.equal(credits(), 110);
+  });
+
+  it("ne traite pas une livraison concurrente d'un événement en cours", async () => {
+    const payload = fixture("checkout.session.completed");
+    db.seed("stripe_events", [
+      { id: JSON.parse(payload).id, type: "checkout.session.completed", status: "processing", claimed_at: new Date().toISOString() },
+    ]);
+
+    const res = await deliver(payload);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, duplicate: true });
+    assert.equal(credits(), 10);
+    assert.equal(db.table("stripe_events")[0].status, "processing");
+  });
+
+  it("reprend un événement resté en cours au-delà du bail", async () => {
+    const payload = fixture("checkout.session.completed");
+    db.seed("stripe_events", [
+      { id: JSON.parse(payload).id, type: "checkout.session.completed", status: "processing", claimed_at: "2026-01-01T00:00:00.000Z" },
+    ]);
+
+    const res = await deliver(payload);
+    assert.equal(res.body.duplicate, false);
+    assert.equal(credits(), 110);
+    assert.equal(db.table("stripe_events")[0].status, "processed");
+  });
+
+  it("reprend les crédits au prorata d'un remboursement partiel puis total", async () => {
+    await deliver(fixture("checkout.session.completed"));
+
+    await deliver(fixture("charge.refunded.partial"));
+    assert.equal(credits(), 60);
+    assert.equal(payment().status, "partially_refunded");
+    assert.equal(payment().credits_clawed_back, 50);
+
+    await deliver(fixture("charge.refunded.full"));
+    assert.equal(credits(), 10);
+    assert.equal(payment().status, "refunded");
+    assert.equal(payment().credits_clawed_back, 100);
+    assert.deepEqual(
+      transactions("adjustment").map((t) => t.amount),
+      [-50, -50]
+    );
+  });
+
+  it("calcule la reprise depuis le ledger et non depuis un compteur périmé", async () => {
+    await deliver(fixture("checkout.session.completed"));
+    await deliver(fixture("charge.refunded.partial"));
+    // compteur resté en arrière (ex. livraison concurrente qui a lu l'ancienne valeur)
+    payment().credits_clawed_back = 0;
+
+    await deliver(fixture("charge.refunded.full"));
+    assert.equal(credits(), 10);
+    assert.equal(payment().credits_clawed_back, 100);
+    assert.deepEqual(
+      transactions("adjustment").map((t) => t.amount),
+      [-50, -50]
+    );
+  });
+
+  it("laisse le solde devenir négatif si les crédits remboursés ont été consommés", async () => {
+    await deliver(fixture("checkout.session.completed"));
+    db.table("profiles").find((p) => p.id === USER_ID).credits = 30;
+
+    const res = await deliver(fixture("charge.refunded.full"));
+    assert.equal(res.status, 200);
+    assert.equal(credits(), -70);
+  });
+
+  it("ne reprend pas deux fois les crédits d'un remboursement rejoué", async () => {
+    await deliver(fixture("checkout.session.completed"));
+    const payload = fixture("charge.refunded.full");
+    await deliver(payload);
+    const res = await deliver(payload);
+
+    assert.equal(res.body.duplicate, true);
+    assert.equal(credits(), 10);
+    assert.equal(transactions("adjustment").length, 1);
+  });
+});
@@ -0,0 +1,40 @@
+// test/webhooks.test.js
+// Webhooks sortants (lib/webhooks.js) : adresses privées ou locales refusées,
+// y compris sous leurs formes IPv6 qui contiennent une IPv4.
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isPrivateAddress } from "../lib/webhooks.js";
+
+describe("isPrivateAddress", () => {
+  it("refuse les plages privées IPv4 et IPv6", () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "169.254.169.254", "192.168.1.1", "::1", "::", "fd00::1", "fe80::1%eth0"]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("refuse une IPv4 privée mappée, IPv4-compatible ou 6to4", () => {
+    for (const address of [
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "::127.0.0.1",
+      "::7f00:1",
+      "::a9fe:a9fe",
+      "2002:7f00:1::",
+      "2002:a9fe:a9fe::1",
+      "2002:c0a8:101:0:0:0:0:1",
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("accepte les adresses publiques", () => {
+    for (const address of ["8.8.8.8", "2606:4700::1111", "::8.8.8.8", "2002:808:808::1"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it("refuse ce qui n'est pas une adresse IP", () => {
+    assert.equal(isPrivateAddress("localhost"), true);
+  });
+});